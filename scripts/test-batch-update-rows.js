@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+
+/**
+ * batchUpdateRows Regression Test
+ *
+ * Rewriting a location sheet must keep every scan column. The Google Sheets adapter used to
+ * write the range A2:C, so rebuilding a sheet dropped Serie, Marca, Color and Ubicaciones
+ * (and everything after them) for every vehicle.
+ *
+ * Runs offline: the Google Sheets adapter talks to an in-memory spreadsheet that enforces
+ * A1 ranges the way the Sheets API does, and the local adapter writes to a temp file.
+ *
+ * Usage: npm run test:batch-update
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-update-test-'));
+process.env.STORAGE_DRIVER = 'googleSheets';
+process.env.LOCAL_STORAGE_PATH = path.join(tempDir, 'local-storage.json');
+
+const sheetsConfig = require('../src/config/googleSheets');
+sheetsConfig.rateLimiting.minRequestInterval = 0;
+
+const googleSheets = require('../src/services/googleSheets');
+const localSheets = require('../src/services/localSheets');
+const inventoryService = require('../src/services/inventoryService');
+const { locationHeaders } = require('../src/config/sheetSchemas');
+
+// The 7-column layout written before scans carried an Inventory ID
+const SEVEN_COLUMN_HEADERS = ['Date', 'Identifier', 'Scanned By', 'Serie', 'Marca', 'Color', 'Ubicaciones'];
+
+const scanRow = (identifier, extra = []) => [
+  'Oct 19, 2026', identifier, 'auditor@example.com', identifier, 'Nissan', 'Rojo', 'Fila A', ...extra
+];
+
+// ================================
+// In-memory Sheets API
+// ================================
+
+const columnNumber = (letters) => letters.split('').reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0);
+
+// Parse "Sheet!A2:C10", "Sheet!A:Z" or "Sheet!A2:Z"
+const parseRange = (range) => {
+  const match = range.match(/^(.+)!([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/);
+  if (!match) throw new Error(`Unable to parse range: ${range}`);
+  return {
+    sheet: match[1],
+    startColumn: columnNumber(match[2]),
+    startRow: match[3] ? parseInt(match[3]) : 1,
+    endColumn: match[4] ? columnNumber(match[4]) : columnNumber(match[2]),
+    endRow: match[5] ? parseInt(match[5]) : Infinity
+  };
+};
+
+const createFakeSheetsClient = (spreadsheet) => ({
+  spreadsheets: {
+    get: async () => ({
+      data: { sheets: Object.keys(spreadsheet).map(title => ({ properties: { title } })) }
+    }),
+    batchUpdate: async ({ resource }) => {
+      resource.requests.forEach(request => {
+        if (request.addSheet) spreadsheet[request.addSheet.properties.title] = [];
+      });
+      return { data: {} };
+    },
+    values: {
+      get: async ({ range }) => {
+        const { sheet } = parseRange(range);
+        const rows = (spreadsheet[sheet] || []).map(row => {
+          const trimmed = [...row];
+          while (trimmed.length && trimmed[trimmed.length - 1] === '') trimmed.pop();
+          return trimmed;
+        });
+        while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+        return { data: { values: rows } };
+      },
+      update: async ({ range, resource }) => {
+        const target = parseRange(range);
+        const rows = spreadsheet[target.sheet];
+        const width = target.endColumn - target.startColumn + 1;
+
+        resource.values.forEach((values, offset) => {
+          const rowNumber = target.startRow + offset;
+          // Like the Sheets API, refuse to write outside the requested range
+          if (values.length > width || rowNumber > target.endRow) {
+            throw new Error(`Requested writing within range [${range}], but tried writing ${values.length} columns to row ${rowNumber}`);
+          }
+          while (rows.length < rowNumber) rows.push([]);
+          values.forEach((value, index) => {
+            rows[rowNumber - 1][target.startColumn - 1 + index] = value;
+          });
+        });
+
+        return { data: { updatedCells: resource.values.reduce((sum, values) => sum + values.length, 0) } };
+      },
+      append: async ({ range, resource }) => {
+        const { sheet } = parseRange(range);
+        spreadsheet[sheet].push(...resource.values.map(values => [...values]));
+        return { data: {} };
+      },
+      clear: async ({ range }) => {
+        const target = parseRange(range);
+        const rows = spreadsheet[target.sheet];
+        rows.forEach((row, index) => {
+          const rowNumber = index + 1;
+          if (rowNumber < target.startRow || rowNumber > target.endRow) return;
+          for (let column = target.startColumn; column <= target.endColumn; column++) {
+            if (column - 1 < row.length) row[column - 1] = '';
+          }
+        });
+        return { data: {} };
+      }
+    }
+  }
+});
+
+// Point the Google Sheets adapter at a fresh in-memory spreadsheet
+const useFakeSpreadsheet = (sheets) => {
+  // Copy the rows so writes cannot alter the test's expected values
+  const spreadsheet = {};
+  Object.entries(sheets).forEach(([title, rows]) => {
+    spreadsheet[title] = rows.map(row => [...row]);
+  });
+
+  googleSheets.sheets = createFakeSheetsClient(spreadsheet);
+  googleSheets.initialized = true;
+  googleSheets.clearCache();
+};
+
+// ================================
+// Tests
+// ================================
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('getColumnLetter handles single and double letters', async () => {
+  assert.strictEqual(googleSheets.getColumnLetter(1), 'A');
+  assert.strictEqual(googleSheets.getColumnLetter(7), 'G');
+  assert.strictEqual(googleSheets.getColumnLetter(26), 'Z');
+  assert.strictEqual(googleSheets.getColumnLetter(27), 'AA');
+  assert.strictEqual(googleSheets.getColumnLetter(52), 'AZ');
+});
+
+test('Google Sheets: batchUpdateRows keeps all 7 columns', async () => {
+  useFakeSpreadsheet({
+    Renault: [SEVEN_COLUMN_HEADERS, scanRow('VIN001'), scanRow('VIN002'), scanRow('VIN003')]
+  });
+
+  await googleSheets.batchUpdateRows('Renault', [scanRow('VIN001'), scanRow('VIN003')]);
+  const data = await googleSheets.getSheetData('Renault');
+
+  assert.deepStrictEqual(data, [SEVEN_COLUMN_HEADERS, scanRow('VIN001'), scanRow('VIN003')]);
+});
+
+test('Google Sheets: batchUpdateRows keeps Inventory ID and status columns', async () => {
+  const deletedRow = scanRow('VIN002', ['inv_1', 'Deleted', '2026-10-19T10:00:00.000Z', 'sup@example.com', 'Wrong car']);
+  useFakeSpreadsheet({
+    Renault: [locationHeaders, scanRow('VIN001', ['inv_1']), deletedRow]
+  });
+
+  await googleSheets.batchUpdateRows('Renault', [scanRow('VIN001', ['inv_1']), deletedRow]);
+  const data = await googleSheets.getSheetData('Renault');
+
+  assert.deepStrictEqual(data.slice(1), [scanRow('VIN001', ['inv_1']), deletedRow]);
+});
+
+test('Google Sheets: batchUpdateRows refreshes cached sheet data', async () => {
+  useFakeSpreadsheet({
+    Renault: [SEVEN_COLUMN_HEADERS, scanRow('VIN001'), scanRow('VIN002')]
+  });
+
+  await googleSheets.getSheetData('Renault'); // Populate the cache
+  await googleSheets.batchUpdateRows('Renault', [scanRow('VIN002')]);
+  const data = await googleSheets.getSheetData('Renault');
+
+  assert.deepStrictEqual(data.slice(1), [scanRow('VIN002')]);
+});
+
+test('Local storage: batchUpdateRows keeps all 7 columns', async () => {
+  await localSheets.ensureSheetExists('Renault');
+  await localSheets.batchUpdateRows('Renault', [scanRow('VIN001'), scanRow('VIN002')]);
+  await localSheets.batchUpdateRows('Renault', [scanRow('VIN002')]);
+  const data = await localSheets.getSheetData('Renault');
+
+  assert.deepStrictEqual(data.slice(1), [scanRow('VIN002')]);
+});
+
+test('Clearing one inventory keeps the car data of the other inventory', async () => {
+  const summary = (inventoryId, status) => [
+    'October', '2026', 'Renault', status, 'Oct 1, 2026', 'sup@example.com', 'Sue', '2', inventoryId, '', ''
+  ];
+  useFakeSpreadsheet({
+    MonthlySummary: [
+      ['Month', 'Year', 'Location', 'Status', 'Created At', 'Created By', 'User Name', 'Total Scans', 'Session ID', 'Completed At', 'Finished By'],
+      summary('inv_first', 'Completed'),
+      summary('inv_second', 'Active')
+    ],
+    Renault: [
+      locationHeaders,
+      scanRow('VIN001', ['inv_first']),
+      scanRow('VIN002', ['inv_second']),
+      scanRow('VIN003', ['inv_first']),
+      scanRow('VIN004', ['inv_second'])
+    ]
+  });
+
+  await inventoryService.clearAgencyDataAfterDownload('Renault', '10', '2026', 'inv_first');
+  const data = await googleSheets.getSheetData('Renault');
+
+  assert.deepStrictEqual(data.slice(1), [
+    scanRow('VIN002', ['inv_second']),
+    scanRow('VIN004', ['inv_second'])
+  ]);
+});
+
+const run = async () => {
+  // Adapters log every write; keep the output to test results
+  const log = console.log;
+  console.log = () => {};
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      log(`❌ ${name}`);
+      log(`   ${error.message}`);
+    }
+  }
+
+  console.log = log;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log(`\n📊 ${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run();
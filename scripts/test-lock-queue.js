@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Write Lock Queue Regression Test
+ *
+ * Read-modify-write work on a sheet (duplicate check + append, scan counts) runs one at a time
+ * per key. Without the queue, concurrent scans of the same vehicle were both saved and scan
+ * counts lost updates.
+ *
+ * Runs offline on the local storage adapter (temp file); the distributed lock is an in-memory fake.
+ *
+ * Usage: npm run test:locks
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-queue-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(tempDir, 'local-storage.json');
+
+const lockConfig = require('../src/config/locks');
+lockConfig.retryInterval = 10;
+
+const lockService = require('../src/services/lockService');
+const inventoryService = require('../src/services/inventoryService');
+const { ConflictError, ValidationError } = require('../src/middleware/errorHandler');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ================================
+// Tests
+// ================================
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('Work on one key runs one at a time, in arrival order', async () => {
+  let counter = 0;
+  const order = [];
+
+  await Promise.all([1, 2, 3, 4, 5].map(id => lockService.withLock('test:counter', async () => {
+    const value = counter;
+    await sleep(5); // A read-modify-write that would lose updates if interleaved
+    counter = value + 1;
+    order.push(id);
+  })));
+
+  assert.strictEqual(counter, 5);
+  assert.deepStrictEqual(order, [1, 2, 3, 4, 5]);
+  assert.strictEqual(lockService.getActiveLockCount(), 0);
+});
+
+test('Different keys do not wait for each other', async () => {
+  const events = [];
+  await Promise.all([
+    lockService.withLock('test:a', async () => {
+      events.push('a start');
+      await sleep(30);
+      events.push('a end');
+    }),
+    lockService.withLock('test:b', async () => {
+      events.push('b start');
+      events.push('b end');
+    })
+  ]);
+
+  assert.deepStrictEqual(events, ['a start', 'b start', 'b end', 'a end']);
+});
+
+test('A failing holder releases the key for the next one', async () => {
+  const first = lockService.withLock('test:failure', async () => {
+    throw new Error('boom');
+  });
+  const second = lockService.withLock('test:failure', async () => 'done');
+
+  await assert.rejects(first, /boom/);
+  assert.strictEqual(await second, 'done');
+  assert.strictEqual(lockService.getActiveLockCount(), 0);
+});
+
+test('A waiter that times out gets a ConflictError and does not let the next one skip ahead', async () => {
+  const events = [];
+  const holder = lockService.withLock('test:timeout', async () => {
+    await sleep(60);
+    events.push('holder');
+  });
+  const impatient = lockService.withLock('test:timeout', async () => events.push('impatient'), { timeout: 10 });
+  const patient = lockService.withLock('test:timeout', async () => events.push('patient'));
+
+  await assert.rejects(impatient, error => error instanceof ConflictError);
+  await Promise.all([holder, patient]);
+  assert.deepStrictEqual(events, ['holder', 'patient']);
+});
+
+test('A distributed lock is acquired around the work and released after it', async () => {
+  const held = new Set();
+  const calls = [];
+  lockService.setDistributedLock({
+    acquire: async key => {
+      calls.push(`acquire ${key}`);
+      if (held.has(key)) return null;
+      held.add(key);
+      return `token-${key}`;
+    },
+    release: async (key, token) => {
+      calls.push(`release ${key} ${token}`);
+      held.delete(key);
+    }
+  });
+
+  try {
+    const result = await lockService.withLock('test:distributed', async () => 'ok');
+    assert.strictEqual(result, 'ok');
+    assert.deepStrictEqual(calls, ['acquire test:distributed', 'release test:distributed token-test:distributed']);
+
+    // Held by another instance until the deadline: retried, then a ConflictError
+    held.add('test:busy');
+    await assert.rejects(lockService.withLock('test:busy', async () => 'never', { timeout: 50 }), error => error instanceof ConflictError);
+    assert.ok(calls.filter(call => call === 'acquire test:busy').length > 1);
+  } finally {
+    lockService.setDistributedLock(null);
+  }
+});
+
+test('Concurrent scans of one vehicle save it once and count it once', async () => {
+  const scan = () => inventoryService.saveScan({
+    agency: 'Renault',
+    month: '10',
+    year: '2026',
+    code: '1HGCM82633A004352',
+    user: 'auditor@example.com',
+    userName: 'Auditor'
+  });
+
+  const results = await Promise.allSettled([scan(), scan(), scan(), scan()]);
+  const saved = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+
+  assert.strictEqual(saved.length, 1);
+  assert.ok(rejected.every(result => result.reason instanceof ValidationError && /already been scanned/.test(result.reason.message)));
+
+  const inventory = await inventoryService.getInventoryById('Renault', saved[0].value.scanData.inventoryId);
+  assert.strictEqual(inventory.totalScans, 1);
+  assert.strictEqual((await inventoryService.getInventoryScanRows('Renault', inventory)).length, 1);
+});
+
+const run = async () => {
+  // Services log every write; keep the output to test results
+  const log = console.log;
+  const error = console.error;
+  console.log = () => {};
+  console.error = () => {};
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      log(`✅ ${name}`);
+    } catch (testError) {
+      failed++;
+      log(`❌ ${name}`);
+      log(`   ${testError.message}`);
+    }
+  }
+
+  console.log = log;
+  console.error = error;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log(`\n📊 ${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run();
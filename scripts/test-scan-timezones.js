@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Scan Timezone Regression Test
+ *
+ * Scans are stored with a UTC Scanned At and dated, bucketed into months and counted against the
+ * inventory policy in their location's timezone, whatever the server's own timezone. Legacy rows
+ * (Date column only) are brought up to date by migrateScanTimestamps, which must be safe to re-run.
+ *
+ * Runs offline on the local storage adapter (temp file), with the server clock set to Tokyo so a
+ * check that leans on server time fails.
+ *
+ * Usage: npm run test:timezones
+ */
+
+process.env.TZ = 'Asia/Tokyo';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-timezones-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = path.join(tempDir, 'local-storage.json');
+
+const storage = require('../src/services/storage');
+const inventoryService = require('../src/services/inventoryService');
+const inventoryPolicyService = require('../src/services/inventoryPolicyService');
+const { SUMMARY_SHEET_NAME, summaryHeaders, locationHeaders } = require('../src/config/sheetSchemas');
+
+const MEXICO_CITY = 'America/Mexico_City';
+const TIJUANA = 'America/Tijuana'; // Observes DST, unlike Mexico City since 2022
+
+const iso = date => date.toISOString();
+
+// ================================
+// Tests
+// ================================
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('getZonedDate gives the calendar date and time at the location', async () => {
+  const instant = new Date('2026-10-01T03:30:00Z');
+
+  assert.deepStrictEqual(inventoryService.getZonedDate(instant, MEXICO_CITY),
+    { year: 2026, month: 9, day: 30, hour: 21, minute: 30, second: 0 });
+  assert.deepStrictEqual(inventoryService.getZonedDate(instant, 'UTC'),
+    { year: 2026, month: 10, day: 1, hour: 3, minute: 30, second: 0 });
+});
+
+test('getZonedDayStart finds local midnight, across DST changes', async () => {
+  assert.strictEqual(iso(inventoryService.getZonedDayStart({ year: 2026, month: 10, day: 19 }, MEXICO_CITY)), '2026-10-19T06:00:00.000Z');
+
+  // Tijuana: PST (UTC-8) until March 8, PDT (UTC-7) until November 1, 2026
+  assert.strictEqual(iso(inventoryService.getZonedDayStart({ year: 2026, month: 3, day: 8 }, TIJUANA)), '2026-03-08T08:00:00.000Z');
+  assert.strictEqual(iso(inventoryService.getZonedDayStart({ year: 2026, month: 3, day: 9 }, TIJUANA)), '2026-03-09T07:00:00.000Z');
+  assert.strictEqual(iso(inventoryService.getZonedDayStart({ year: 2026, month: 11, day: 1 }, TIJUANA)), '2026-11-01T07:00:00.000Z');
+  assert.strictEqual(iso(inventoryService.getZonedDayStart({ year: 2026, month: 11, day: 2 }, TIJUANA)), '2026-11-02T08:00:00.000Z');
+});
+
+test('parseScanDate reads every Date format written so far', async () => {
+  const october19 = { year: 2026, month: 10, day: 19 };
+
+  assert.deepStrictEqual(inventoryService.parseScanDate('Oct 19, 2026'), october19);
+  assert.deepStrictEqual(inventoryService.parseScanDate('October 19, 2026'), october19);
+  assert.deepStrictEqual(inventoryService.parseScanDate('Sept 2, 2025'), { year: 2025, month: 9, day: 2 });
+  assert.deepStrictEqual(inventoryService.parseScanDate('10/19/2026'), october19);
+  assert.deepStrictEqual(inventoryService.parseScanDate('2026-10-19T06:00:00.000Z'), october19);
+  assert.strictEqual(inventoryService.parseScanDate('Foo 19, 2026'), null);
+  assert.strictEqual(inventoryService.parseScanDate(''), null);
+});
+
+test('Scans are dated and bucketed into months in the location\'s timezone', async () => {
+  // 21:00 on September 30 in Mexico City, already October 1 in UTC (and in Tokyo)
+  const instant = new Date('2026-10-01T03:00:00Z');
+
+  assert.deepStrictEqual(inventoryService.getScanMonth(instant, MEXICO_CITY), { month: '9', year: '2026' });
+  assert.deepStrictEqual(inventoryService.getScanMonth(instant, 'UTC'), { month: '10', year: '2026' });
+  assert.strictEqual(inventoryService.formatScanDate(instant, MEXICO_CITY), 'Sep 30, 2026');
+
+  // The year rolls over at local midnight too
+  assert.deepStrictEqual(inventoryService.getScanMonth(new Date('2027-01-01T05:59:59Z'), MEXICO_CITY), { month: '12', year: '2026' });
+  assert.deepStrictEqual(inventoryService.getScanMonth(new Date('2027-01-01T06:00:00Z'), MEXICO_CITY), { month: '1', year: '2027' });
+});
+
+test('Inventory policy periods, weekdays and start window follow the location\'s timezone', async () => {
+  // Sunday 21:30 in Mexico City, Monday 03:30 in UTC
+  const now = new Date('2026-10-19T03:30:00Z');
+
+  const day = inventoryPolicyService.getPeriodRange(now, 'day', MEXICO_CITY);
+  assert.deepStrictEqual([iso(day.start), iso(day.end)], ['2026-10-18T06:00:00.000Z', '2026-10-19T06:00:00.000Z']);
+
+  const week = inventoryPolicyService.getPeriodRange(now, 'week', MEXICO_CITY);
+  assert.deepStrictEqual([iso(week.start), iso(week.end)], ['2026-10-12T06:00:00.000Z', '2026-10-19T06:00:00.000Z']);
+
+  const month = inventoryPolicyService.getPeriodRange(new Date('2026-12-31T12:00:00Z'), 'month', MEXICO_CITY);
+  assert.deepStrictEqual([iso(month.start), iso(month.end)], ['2026-12-01T06:00:00.000Z', '2027-01-01T06:00:00.000Z']);
+
+  const policy = { ...inventoryPolicyService.resolvePolicy(null), allowedDays: ['sun'], startWindow: { from: '20:00', to: '22:00' } };
+  const context = { agency: 'Renault', month: 'October', year: '2026', inventories: [], now };
+  assert.doesNotThrow(() => inventoryPolicyService.assertCanStart(policy, { ...context, timeZone: MEXICO_CITY }));
+  assert.throws(() => inventoryPolicyService.assertCanStart(policy, { ...context, timeZone: 'UTC' }), /rule: allowedDays/);
+});
+
+test('migrateScanTimestamps timestamps legacy rows once and assigns their inventory', async () => {
+  const summaryRow = (month, inventoryId, status) => {
+    const row = summaryHeaders.map(() => '');
+    Object.assign(row, { 0: month, 1: '2026', 2: 'Renault', 3: status, 4: 'Oct 1, 2026', 7: '1', 8: inventoryId });
+    return row;
+  };
+  const legacyRow = (date, identifier) => [date, identifier, 'auditor@example.com', '', 'Renault', 'Gris', 'Fila A'];
+
+  await storage.ensureSheetExists(SUMMARY_SHEET_NAME);
+  await storage.updateRow(SUMMARY_SHEET_NAME, 1, summaryHeaders);
+  await storage.appendRows(SUMMARY_SHEET_NAME, [
+    summaryRow('September', 'inv_september', 'Approved'),
+    summaryRow('October', 'inv_october_a', 'Approved'),
+    summaryRow('October', 'inv_october_b', 'Active'),
+    summaryRow('August', 'inv_august', 'Cancelled')
+  ]);
+
+  await storage.ensureSheetExists('Renault');
+  await storage.updateRow('Renault', 1, locationHeaders.slice(0, 7));
+  await storage.appendRows('Renault', [
+    legacyRow('Sep 30, 2026', 'VIN001'), // One inventory that month: assigned
+    legacyRow('10/2/2026', 'VIN002'), // Two inventories: left to be matched by date
+    legacyRow('Aug 5, 2026', 'VIN003'), // Only a cancelled one: not assigned
+    legacyRow('someday', 'VIN004') // Unreadable
+  ]);
+
+  const first = await inventoryService.migrateScanTimestamps('admin@example.com');
+  const renault = first.locations.find(location => location.agency === 'Renault');
+  assert.deepStrictEqual(renault, {
+    agency: 'Renault',
+    timezone: MEXICO_CITY,
+    timestamped: 3,
+    assignedInventory: 1,
+    unreadableRows: [5]
+  });
+
+  const rows = (await storage.getSheetData('Renault')).slice(1);
+  assert.deepStrictEqual(rows.map(row => [row[7], row[20], row[21]]), [
+    ['inv_september', '2026-09-30T06:00:00.000Z', 'day'],
+    ['', '2026-10-02T06:00:00.000Z', 'day'],
+    ['', '2026-08-05T06:00:00.000Z', 'day'],
+    [undefined, undefined, undefined]
+  ]);
+
+  // Re-running changes nothing
+  const second = await inventoryService.migrateScanTimestamps('admin@example.com');
+  assert.strictEqual(second.totalTimestamped, 0);
+  assert.strictEqual(second.totalAssigned, 0);
+  assert.deepStrictEqual((await storage.getSheetData('Renault')).slice(1), rows);
+});
+
+const run = async () => {
+  // Services log every write; keep the output to test results
+  const log = console.log;
+  console.log = () => {};
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      log(`❌ ${name}`);
+      log(`   ${error.message}`);
+    }
+  }
+
+  console.log = log;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log(`\n📊 ${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run();
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * VIN Check Digit Regression Test
+ *
+ * The 9th character of a VIN is a check digit (weighted sum modulo 11, 10 written as X).
+ * A wrong one flags a typo: it warns by default and rejects the scan or CSV row with
+ * VIN_CHECK_DIGIT_MODE=strict. I, O and Q are never valid VIN characters.
+ *
+ * Runs offline: only validation and the VIN decoder are loaded.
+ *
+ * Usage: npm run test:vin
+ */
+
+const assert = require('assert');
+
+const { computeVinCheckDigit, validateVinCheckDigit, validateSerie } = require('../src/utils/validation');
+const vinDecoderService = require('../src/services/vinDecoderService');
+
+// ================================
+// Tests
+// ================================
+
+const tests = [];
+const test = (name, fn) => tests.push({ name, fn });
+
+test('computeVinCheckDigit matches known VINs', async () => {
+  assert.strictEqual(computeVinCheckDigit('1HGCM82633A004352'), '3');
+  assert.strictEqual(computeVinCheckDigit('11111111111111111'), '1');
+  assert.strictEqual(computeVinCheckDigit('1M8GDM9AXKP042788'), 'X'); // Remainder 10
+  assert.strictEqual(computeVinCheckDigit('1hgcm82633a004352'), '3'); // Case-insensitive
+});
+
+test('validateVinCheckDigit accepts valid VINs and rejects typos', async () => {
+  assert.strictEqual(validateVinCheckDigit('1HGCM82633A004352'), true);
+  assert.strictEqual(validateVinCheckDigit('1M8GDM9AXKP042788'), true);
+  assert.strictEqual(validateVinCheckDigit('1HGCM82633A004353'), false); // Last digit mistyped
+  assert.strictEqual(validateVinCheckDigit('1HGCM82643A004352'), false); // Check digit mistyped
+});
+
+test('validateSerie rejects I, O, Q and wrong lengths', async () => {
+  assert.strictEqual(validateSerie('1HGCM82633A004352'), true);
+  assert.strictEqual(validateSerie('1HGCM82633A00435O'), false);
+  assert.strictEqual(validateSerie('1HGCM82633AI04352'), false);
+  assert.strictEqual(validateSerie('QHGCM82633A004352'), false);
+  assert.strictEqual(validateSerie('1HGCM82633A00435'), false);
+  assert.strictEqual(validateVinCheckDigit('1HGCM82633A00435O'), false);
+});
+
+test('checkVin warns on a wrong check digit by default and rejects it in strict mode', async () => {
+  const mode = vinDecoderService.checkDigitMode;
+  try {
+    vinDecoderService.checkDigitMode = 'warn';
+    let result = vinDecoderService.checkVin('1HGCM82643A004352');
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.warnings.map(warning => [warning.type, warning.expected]), [['vin_check_digit', '3']]);
+
+    vinDecoderService.checkDigitMode = 'strict';
+    result = vinDecoderService.checkVin('1HGCM82643A004352');
+    assert.deepStrictEqual(result.errors, ['VIN 1HGCM82643A004352 has check digit 4, expected 3']);
+    assert.deepStrictEqual(result.warnings, []);
+
+    result = vinDecoderService.checkVin('1HGCM82633A004352');
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.decoded.checkDigit.valid, true);
+  } finally {
+    vinDecoderService.checkDigitMode = mode;
+  }
+});
+
+test('checkVin rejects a serie that is not a VIN in any mode', async () => {
+  const result = vinDecoderService.checkVin('1HGCM82633A00435O');
+  assert.strictEqual(result.decoded, null);
+  assert.strictEqual(result.errors.length, 1);
+});
+
+const run = async () => {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+
+  console.log(`\n📊 ${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run();
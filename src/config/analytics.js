@@ -0,0 +1,17 @@
+/**
+ * Auditor productivity analytics (GET /api/analytics/...)
+ * Metrics are computed from each scan's Scanned At time; legacy rows only carry a day (their Scanned At, if migrated,
+ * is the start of that day) and are counted without entering the time-based metrics
+ */
+const idleGapMinutes = parseInt(process.env.ANALYTICS_IDLE_GAP_MINUTES);
+
+module.exports = {
+  // A pause between two consecutive scans longer than this is an idle gap, left out of active time
+  idleGapMinutes: idleGapMinutes > 0 ? idleGapMinutes : 15,
+
+  // Period analyzed when the request gives no ?from
+  defaultPeriodDays: 30,
+
+  // Longest period one request may cover
+  maxPeriodDays: 366
+};
@@ -0,0 +1,29 @@
+const domain = process.env.AUTH0_DOMAIN;
+
+module.exports = {
+  // Auth0 tenant (e.g. your-domain.auth0.com)
+  domain,
+
+  // API identifier the access tokens are issued for
+  audience: process.env.AUTH0_AUDIENCE,
+
+  // Token issuer, defaults to the tenant URL
+  issuer: process.env.AUTH0_ISSUER || (domain ? `https://${domain}/` : undefined),
+
+  // Auth0 signs access tokens with RS256; keys are fetched from the tenant JWKS endpoint
+  algorithms: ['RS256'],
+  jwksUri: process.env.AUTH0_JWKS_URI || (domain ? `https://${domain}/.well-known/jwks.json` : undefined),
+
+  // JWKS client settings
+  jwks: {
+    cache: true,
+    cacheMaxEntries: 5,
+    cacheMaxAge: 10 * 60 * 60 * 1000, // 10 hours
+    rateLimit: true,
+    jwksRequestsPerMinute: 10
+  },
+
+  // Namespace of custom claims added by an Auth0 Action (e.g. https://mh-automotriz.com/)
+  // Access tokens only carry email/name/roles/agencies when they are added as namespaced claims
+  claimsNamespace: process.env.AUTH0_CLAIMS_NAMESPACE || ''
+};
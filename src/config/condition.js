@@ -0,0 +1,26 @@
+/**
+ * Vehicle condition report vocabulary
+ * Damage is recorded as panel + damage code (e.g. front_bumper:SCR)
+ */
+module.exports = {
+  panels: [
+    'front_bumper', 'rear_bumper', 'hood', 'roof', 'trunk', 'windshield', 'rear_window',
+    'front_left_fender', 'front_right_fender', 'rear_left_quarter', 'rear_right_quarter',
+    'front_left_door', 'front_right_door', 'rear_left_door', 'rear_right_door',
+    'left_mirror', 'right_mirror', 'wheels', 'interior'
+  ],
+
+  damageCodes: {
+    SCR: 'Scratch',
+    DNT: 'Dent',
+    CRK: 'Crack',
+    BRK: 'Broken',
+    MIS: 'Missing part',
+    RST: 'Rust',
+    PNT: 'Paint damage'
+  },
+
+  fuelLevels: ['empty', '1/4', '1/2', '3/4', 'full'],
+
+  maxNotesLength: 1000
+};
@@ -0,0 +1,10 @@
+module.exports = {
+  // How long a response is kept for replay (default: 24 hours)
+  ttl: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000,
+
+  // Most responses kept at once; the oldest are dropped first
+  maxEntries: parseInt(process.env.IDEMPOTENCY_MAX_ENTRIES) || 10000,
+
+  // Longest accepted Idempotency-Key header
+  maxKeyLength: 255
+};
@@ -0,0 +1,25 @@
+/**
+ * Identifier types a location accepts as scan codes (VINs, barcodes, stock numbers, plates, dealer tags...)
+ * A location without its own list accepts the default types; set one with POST/PUT /api/locations/:id
+ */
+module.exports = {
+  // Normalization rules a type may apply to a code before matching it (surrounding spaces are always trimmed)
+  normalizations: {
+    uppercase: value => value.toUpperCase(),
+    lowercase: value => value.toLowerCase(),
+    stripDashes: value => value.replace(/-/g, ''),
+    stripSpaces: value => value.replace(/\s+/g, '')
+  },
+
+  // Most identifier types a location can define
+  maxTypes: 20,
+
+  // Longest pattern accepted, to keep location rows small and patterns readable
+  maxPatternLength: 200,
+
+  // Types of locations without their own list; lower priority is tried first
+  defaultTypes: [
+    { id: 'serie', name: 'VIN', pattern: '^[A-HJ-NPR-Z0-9]{17}$', normalize: ['uppercase', 'stripSpaces'], priority: 1 },
+    { id: 'barcode', name: 'Barcode', pattern: '^\\d{8}$', normalize: ['stripSpaces'], priority: 2 }
+  ]
+};
@@ -0,0 +1,44 @@
+/**
+ * Rules for starting a new inventory at a location, and for handling inventories left open
+ * Each location can override any of them (Policy column of the Locations sheet)
+ * Joining the inventory already in progress for the month is never blocked by the start rules
+ */
+module.exports = {
+  // Period lengths maxInventoriesPerPeriod is counted over, in the location's timezone (weeks start on Monday)
+  periods: ['day', 'week', 'month'],
+
+  weekdays: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+
+  // What the stale inventory check does with a stale inventory: tell its room, pause it, or submit it for review
+  staleActions: ['notify', 'pause', 'submit'],
+
+  defaultPolicy: {
+    // Inventories that may be started per period (cancelled ones do not count)
+    maxInventoriesPerPeriod: 2,
+    period: 'month',
+
+    // Weekdays an inventory may be started on, in the location's timezone (empty = every day)
+    allowedDays: [],
+
+    // Time of day an inventory may be started in, in the location's timezone ("HH:MM"); null = any time
+    startWindow: null,
+
+    // Inventories in progress at the location across all months; null = one per month
+    maxActiveInventories: null,
+
+    // An Active or Reopened inventory is stale after this many hours without scans or status changes,
+    // or (Active only) once its month has ended
+    staleAfterHours: 72,
+    staleAction: 'notify'
+  },
+
+  // Upper bound of the numeric limits, to catch typos
+  maxLimit: 100,
+  maxStaleAfterHours: 24 * 31,
+
+  // Scheduled stale inventory check (node-cron expression, UTC)
+  staleCheck: {
+    enabled: process.env.STALE_INVENTORY_CHECK_ENABLED !== 'false',
+    schedule: process.env.STALE_INVENTORY_CHECK_SCHEDULE || '15 * * * *' // Hourly
+  }
+};
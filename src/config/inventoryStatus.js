@@ -0,0 +1,58 @@
+/**
+ * Inventory lifecycle (MonthlySummary Status column)
+ *
+ *   Active ──pause──▶ Paused ──resume──▶ Active
+ *   Active / Paused / Reopened / Completed ──submitForReview (finish-session)──▶ InReview
+ *   InReview ──approve (signed; backs up and clears the sheet)──▶ Approved
+ *   InReview ──reject──▶ Active
+ *   Completed / InReview / Approved ──reopen──▶ Reopened (scans restored from the Drive backup)
+ *   Active / Paused / Reopened / InReview ──cancel──▶ Cancelled
+ *
+ * Completed is only found on rows finished before the supervisor sign-off existed.
+ */
+
+const INVENTORY_STATUS = {
+  ACTIVE: 'Active',
+  PAUSED: 'Paused',
+  COMPLETED: 'Completed',
+  IN_REVIEW: 'InReview',
+  APPROVED: 'Approved',
+  REOPENED: 'Reopened',
+  CANCELLED: 'Cancelled'
+};
+
+const { ACTIVE, PAUSED, COMPLETED, IN_REVIEW, APPROVED, REOPENED, CANCELLED } = INVENTORY_STATUS;
+
+// Transition name -> statuses it may start from and the status it leads to
+const TRANSITIONS = {
+  pause: { from: [ACTIVE, REOPENED], to: PAUSED },
+  resume: { from: [PAUSED], to: ACTIVE },
+  submitForReview: { from: [ACTIVE, PAUSED, REOPENED, COMPLETED], to: IN_REVIEW },
+  approve: { from: [IN_REVIEW], to: APPROVED },
+  reject: { from: [IN_REVIEW], to: ACTIVE },
+  reopen: { from: [COMPLETED, IN_REVIEW, APPROVED], to: REOPENED },
+  cancel: { from: [ACTIVE, PAUSED, REOPENED, IN_REVIEW], to: CANCELLED }
+};
+
+// Statuses that accept new scans
+const SCANNING_STATUSES = [ACTIVE, REOPENED];
+
+// Statuses of an inventory still in progress; a location has at most one per month
+const OPEN_STATUSES = [ACTIVE, PAUSED, REOPENED, IN_REVIEW];
+
+// Statuses of an inventory whose count is final (can be downloaded)
+const FINISHED_STATUSES = [COMPLETED, APPROVED];
+
+// Transitions available from a status
+const getAllowedTransitions = (status) => {
+  return Object.keys(TRANSITIONS).filter(name => TRANSITIONS[name].from.includes(status));
+};
+
+module.exports = {
+  INVENTORY_STATUS,
+  TRANSITIONS,
+  SCANNING_STATUSES,
+  OPEN_STATUSES,
+  FINISHED_STATUSES,
+  getAllowedTransitions
+};
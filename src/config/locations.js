@@ -0,0 +1,28 @@
+/**
+ * Locations the registry is seeded with the first time the Locations sheet is empty
+ * After that, locations are managed through /api/locations
+ */
+module.exports = {
+  types: ['agency', 'bodega'],
+
+  // Most zones a location can be split into
+  maxZones: 50,
+
+  // IANA timezone of locations without their own; scan dates and month/year are taken in the location's timezone
+  defaultTimezone: process.env.DEFAULT_LOCATION_TIMEZONE || 'America/Mexico_City',
+
+  defaultLocations: [
+    // Agencies
+    { id: 'suzuki', name: 'Suzuki', type: 'agency', sheetName: 'Suzuki' },
+    { id: 'alfa-romeo', name: 'Alfa Romeo', type: 'agency', sheetName: 'Alfa Romeo' },
+    { id: 'renault', name: 'Renault', type: 'agency', sheetName: 'Renault' },
+    { id: 'jac', name: 'Jac', type: 'agency', sheetName: 'Jac' },
+    { id: 'car4u', name: 'Car4u', type: 'agency', sheetName: 'Car4u' },
+    { id: 'audi', name: 'Audi', type: 'agency', sheetName: 'audi' },
+    { id: 'stellantis', name: 'Stellantis', type: 'agency', sheetName: 'Stellantis' },
+
+    // Bodegas
+    { id: 'bodega-coyote', name: 'Bodega Coyote', type: 'bodega', sheetName: 'Bodega Coyote' },
+    { id: 'bodega-goyo', name: 'Bodega Goyo', type: 'bodega', sheetName: 'Bodega Goyo' }
+  ]
+};
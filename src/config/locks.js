@@ -0,0 +1,10 @@
+module.exports = {
+  // How long a write waits for its turn before giving up (409 CONFLICT, the client retries)
+  waitTimeout: parseInt(process.env.LOCK_WAIT_TIMEOUT_MS) || 30000,
+
+  // Distributed locks only: lock expiry, so a crashed instance cannot block a room forever
+  ttl: parseInt(process.env.LOCK_TTL_MS) || 30000,
+
+  // Distributed locks only: delay between acquire attempts
+  retryInterval: parseInt(process.env.LOCK_RETRY_INTERVAL_MS) || 200
+};
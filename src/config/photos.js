@@ -0,0 +1,30 @@
+const path = require('path');
+
+module.exports = {
+  // Where photos are stored: 'drive' (Google Drive) or 'local' (disk)
+  // Defaults to local when sheets are stored locally, so offline setups need no Google account
+  driver: process.env.PHOTO_STORAGE_DRIVER || (process.env.STORAGE_DRIVER === 'local' ? 'local' : 'drive'),
+
+  // Drive adapter: photos go to <inventory folder>/<driveFolder>/<location folder>
+  driveFolder: process.env.PHOTO_DRIVE_FOLDER || 'Photos',
+
+  // Local adapter: photos go to <dirPath>/<location>/
+  local: {
+    dirPath: process.env.LOCAL_PHOTOS_PATH || path.join(__dirname, '../../data/photos')
+  },
+
+  // Prefix of the links to locally stored photos (they are served by the API)
+  baseUrl: process.env.API_BASE_URL || '',
+
+  // Upload limits
+  maxFileSize: parseInt(process.env.PHOTO_MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
+  maxFilesPerUpload: 10,
+
+  // Accepted MIME types and the extension they are stored with
+  mimeTypes: {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * Sheet layouts shared by every storage adapter
+ * Keeps Google Sheets and the local adapter creating identical headers
+ */
+
+const SUMMARY_SHEET_NAME = 'MonthlySummary';
+const FILE_STORAGE_SHEET_NAME = 'FileStorage';
+const LOCATIONS_SHEET_NAME = 'Locations';
+const EXPECTED_STOCK_SHEET_NAME = 'ExpectedStock';
+const AUDIT_LOG_SHEET_NAME = 'AuditLog';
+const SCAN_PHOTOS_SHEET_NAME = 'ScanPhotos';
+const ZONE_ASSIGNMENTS_SHEET_NAME = 'ZoneAssignments';
+const VIN_INDEX_SHEET_NAME = 'VinIndex';
+
+// MonthlySummary: one row per inventory
+// Status Changed At / Status Changed By stamp the latest lifecycle transition (full trail in AuditLog)
+// Completed At / Finished By / Approval Signature / Approval Comment record the supervisor's sign-off
+// Last Activity At is stamped whenever the scan count changes (stale inventory check)
+const summaryHeaders = [
+  'Month', 'Year', 'Location', 'Status', 'Created At', 'Created By', 'User Name',
+  'Total Scans', 'Session ID', 'Completed At', 'Finished By', 'Status Changed At', 'Status Changed By',
+  'Approval Signature', 'Approval Comment', 'Last Activity At'
+];
+
+// Location sheets (agencies and bodegas): one row per scanned vehicle
+// Inventory ID ties each scan to its MonthlySummary row (Session ID)
+// Status / Deleted At / Deleted By / Delete Reason mark soft-deleted scans (empty Status = active)
+// Scan Key is the client-generated key of scans uploaded in a batch
+// Damage / Condition Notes / Mileage / Keys Present / Fuel Level hold the optional condition report
+// Zone is the id of the location zone the scan was attributed to
+// Identifier Type is the id of the location identifier type the code matched (VIN, barcode, stock number...)
+// Scanned At is the UTC ISO time of the scan; Date is its day in the location's timezone, for display
+// Scanned At Precision is 'day' on legacy rows whose Scanned At was migrated from Date (time unknown)
+const locationHeaders = [
+  'Date', 'Identifier', 'Scanned By', 'Serie', 'Marca', 'Color', 'Ubicaciones', 'Inventory ID',
+  'Status', 'Deleted At', 'Deleted By', 'Delete Reason', 'Scan Key',
+  'Damage', 'Condition Notes', 'Mileage', 'Keys Present', 'Fuel Level', 'Zone', 'Identifier Type', 'Scanned At',
+  'Scanned At Precision'
+];
+
+// FileStorage: one row per file stored on Google Drive
+const fileStorageHeaders = [
+  'File ID', 'Filename', 'Agency', 'Month', 'Year', 'Type',
+  'Size', 'Uploaded At', 'Expires At', 'Download Count', 'Status'
+];
+
+// Locations: the location registry, one row per agency or bodega
+// Policy is the JSON of the location's inventory policy overrides (empty = default policy)
+// Zones is the JSON list of the location's zones ({ id, name, ubicaciones })
+// Identifier Types is the JSON list of the codes the location accepts (empty = default types)
+// Timezone is the IANA timezone scans are dated in (empty = default timezone)
+const locationRegistryHeaders = [
+  'ID', 'Name', 'Type', 'Sheet Name', 'Drive Folder', 'Active', 'Created At', 'Updated At', 'Policy', 'Zones',
+  'Identifier Types', 'Timezone'
+];
+
+// ExpectedStock: one row per vehicle of an uploaded stock list (latest Upload ID per location/month wins)
+const expectedStockHeaders = [
+  'Upload ID', 'Location', 'Month', 'Year', 'Serie', 'Marca', 'Color', 'Ubicaciones',
+  'Uploaded At', 'Uploaded By'
+];
+
+// AuditLog: append-only trail of changes to inventories (scan deletions, restores, ...)
+const auditLogHeaders = [
+  'Timestamp', 'Action', 'Location', 'Inventory ID', 'Identifier', 'User', 'User Name', 'Reason', 'Details'
+];
+
+// ScanPhotos: one row per photo attached to a scanned vehicle (File ID is the storage adapter's ID)
+const scanPhotoHeaders = [
+  'Photo ID', 'Location', 'Inventory ID', 'Identifier', 'Filename', 'Mime Type', 'Size',
+  'Storage', 'File ID', 'URL', 'Uploaded At', 'Uploaded By'
+];
+
+// ZoneAssignments: append-only log of auditors assigned to a zone of an inventory
+// The latest row per inventory and user wins; an empty Zone ID unassigns the user
+const zoneAssignmentHeaders = [
+  'Inventory ID', 'Location', 'Zone ID', 'User', 'Assigned At', 'Assigned By'
+];
+
+// VinIndex: append-only log of the VINs counted at every location, used to catch one VIN counted at two locations
+// Action is 'scanned' or 'removed' (scan deleted); the latest row per VIN, location and inventory wins
+// Marca / Color / Ubicaciones copy the scan's car data, so the vehicle registry outlives the cleared location sheets
+const vinIndexHeaders = [
+  'VIN', 'Location', 'Inventory ID', 'Month', 'Year', 'Identifier', 'Action', 'Recorded At', 'User',
+  'Marca', 'Color', 'Ubicaciones'
+];
+
+// Sheets with a fixed name; any other sheet is a location sheet
+const sheetHeaders = {
+  [SUMMARY_SHEET_NAME]: summaryHeaders,
+  [FILE_STORAGE_SHEET_NAME]: fileStorageHeaders,
+  [LOCATIONS_SHEET_NAME]: locationRegistryHeaders,
+  [EXPECTED_STOCK_SHEET_NAME]: expectedStockHeaders,
+  [AUDIT_LOG_SHEET_NAME]: auditLogHeaders,
+  [SCAN_PHOTOS_SHEET_NAME]: scanPhotoHeaders,
+  [ZONE_ASSIGNMENTS_SHEET_NAME]: zoneAssignmentHeaders,
+  [VIN_INDEX_SHEET_NAME]: vinIndexHeaders
+};
+
+// Get the header row a new sheet should be created with
+const getHeadersForSheet = (sheetName) => {
+  return sheetHeaders[sheetName] || locationHeaders;
+};
+
+module.exports = {
+  SUMMARY_SHEET_NAME,
+  FILE_STORAGE_SHEET_NAME,
+  LOCATIONS_SHEET_NAME,
+  EXPECTED_STOCK_SHEET_NAME,
+  AUDIT_LOG_SHEET_NAME,
+  SCAN_PHOTOS_SHEET_NAME,
+  ZONE_ASSIGNMENTS_SHEET_NAME,
+  VIN_INDEX_SHEET_NAME,
+  summaryHeaders,
+  locationHeaders,
+  fileStorageHeaders,
+  locationRegistryHeaders,
+  expectedStockHeaders,
+  auditLogHeaders,
+  scanPhotoHeaders,
+  zoneAssignmentHeaders,
+  vinIndexHeaders,
+  getHeadersForSheet
+};
@@ -0,0 +1,13 @@
+const path = require('path');
+
+module.exports = {
+  // Storage driver: 'googleSheets' (default) or 'local'
+  // Use 'local' for offline development, integration tests, or while the Sheets quota is exhausted
+  driver: process.env.STORAGE_DRIVER || 'googleSheets',
+
+  // Local adapter settings
+  local: {
+    // JSON file holding every sheet (created on first write)
+    filePath: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../data/local-storage.json')
+  }
+};
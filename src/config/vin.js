@@ -0,0 +1,127 @@
+/**
+ * VIN checks (ISO 3779) and the offline WMI table VINs are decoded with
+ * The check digit (9th character) is mandatory in North America; vehicles built for other markets may not carry one,
+ * which is why a wrong check digit only warns unless VIN_CHECK_DIGIT_MODE=strict
+ */
+const CHECK_DIGIT_MODES = ['warn', 'strict'];
+
+module.exports = {
+  checkDigitModes: CHECK_DIGIT_MODES,
+
+  // 'warn' accepts a VIN with a wrong check digit and flags it, 'strict' rejects it
+  checkDigitMode: CHECK_DIGIT_MODES.includes(process.env.VIN_CHECK_DIGIT_MODE) ? process.env.VIN_CHECK_DIGIT_MODE : 'warn',
+
+  // Region of the first character (ISO 3780)
+  regions: [
+    { from: 'A', to: 'H', region: 'Africa' },
+    { from: 'J', to: 'R', region: 'Asia' },
+    { from: 'S', to: 'Z', region: 'Europe' },
+    { from: '1', to: '5', region: 'North America' },
+    { from: '6', to: '7', region: 'Oceania' },
+    { from: '8', to: '9', region: 'South America' }
+  ],
+
+  // Country of the first two characters, for the countries most stock comes from
+  countries: [
+    { from: '1A', to: '19', country: 'United States' },
+    { from: '4A', to: '49', country: 'United States' },
+    { from: '5A', to: '59', country: 'United States' },
+    { from: '2A', to: '29', country: 'Canada' },
+    { from: '3A', to: '3W', country: 'Mexico' },
+    { from: '9A', to: '9E', country: 'Brazil' },
+    { from: '93', to: '99', country: 'Brazil' },
+    { from: 'JA', to: 'J0', country: 'Japan' },
+    { from: 'KL', to: 'KR', country: 'South Korea' },
+    { from: 'LA', to: 'L0', country: 'China' },
+    { from: 'MA', to: 'ME', country: 'India' },
+    { from: 'SA', to: 'SM', country: 'United Kingdom' },
+    { from: 'TR', to: 'TV', country: 'Hungary' },
+    { from: 'TJ', to: 'TP', country: 'Czech Republic' },
+    { from: 'VF', to: 'VR', country: 'France' },
+    { from: 'VS', to: 'VW', country: 'Spain' },
+    { from: 'WA', to: 'W0', country: 'Germany' },
+    { from: 'YS', to: 'YW', country: 'Sweden' },
+    { from: 'ZA', to: 'ZR', country: 'Italy' }
+  ],
+
+  // World Manufacturer Identifiers (first 3 characters, or first 2 when the maker owns the whole prefix)
+  // makes are the brands a CSV marca or scan marca may use for that WMI
+  manufacturers: {
+    '1HG': { name: 'Honda', makes: ['Honda'] },
+    '2HG': { name: 'Honda', makes: ['Honda'] },
+    '3HG': { name: 'Honda', makes: ['Honda'] },
+    'JHM': { name: 'Honda', makes: ['Honda'] },
+    'JT': { name: 'Toyota', makes: ['Toyota', 'Lexus'] },
+    '4T1': { name: 'Toyota', makes: ['Toyota'] },
+    '5TD': { name: 'Toyota', makes: ['Toyota'] },
+    '3TM': { name: 'Toyota', makes: ['Toyota'] },
+    'JN1': { name: 'Nissan', makes: ['Nissan'] },
+    'JN8': { name: 'Nissan', makes: ['Nissan'] },
+    '1N4': { name: 'Nissan', makes: ['Nissan'] },
+    '3N1': { name: 'Nissan', makes: ['Nissan'] },
+    '3N6': { name: 'Nissan', makes: ['Nissan'] },
+    'WVW': { name: 'Volkswagen', makes: ['Volkswagen', 'VW'] },
+    'WV1': { name: 'Volkswagen Commercial Vehicles', makes: ['Volkswagen', 'VW'] },
+    'WV2': { name: 'Volkswagen Commercial Vehicles', makes: ['Volkswagen', 'VW'] },
+    '1VW': { name: 'Volkswagen', makes: ['Volkswagen', 'VW'] },
+    '3VW': { name: 'Volkswagen', makes: ['Volkswagen', 'VW'] },
+    'WAU': { name: 'Audi', makes: ['Audi'] },
+    'WA1': { name: 'Audi', makes: ['Audi'] },
+    'TRU': { name: 'Audi', makes: ['Audi'] },
+    'WBA': { name: 'BMW', makes: ['BMW'] },
+    'WBS': { name: 'BMW M', makes: ['BMW'] },
+    '5UX': { name: 'BMW', makes: ['BMW'] },
+    'WDB': { name: 'Mercedes-Benz', makes: ['Mercedes-Benz', 'Mercedes'] },
+    'WDD': { name: 'Mercedes-Benz', makes: ['Mercedes-Benz', 'Mercedes'] },
+    'W1K': { name: 'Mercedes-Benz', makes: ['Mercedes-Benz', 'Mercedes'] },
+    'W1N': { name: 'Mercedes-Benz', makes: ['Mercedes-Benz', 'Mercedes'] },
+    '4JG': { name: 'Mercedes-Benz', makes: ['Mercedes-Benz', 'Mercedes'] },
+    'WP0': { name: 'Porsche', makes: ['Porsche'] },
+    'VF1': { name: 'Renault', makes: ['Renault'] },
+    '93Y': { name: 'Renault', makes: ['Renault'] },
+    'VF3': { name: 'Peugeot', makes: ['Peugeot'] },
+    'VF7': { name: 'Citroën', makes: ['Citroën', 'Citroen'] },
+    'JS1': { name: 'Suzuki', makes: ['Suzuki'] },
+    'JS2': { name: 'Suzuki', makes: ['Suzuki'] },
+    'JS3': { name: 'Suzuki', makes: ['Suzuki'] },
+    'JSA': { name: 'Suzuki', makes: ['Suzuki'] },
+    'MA3': { name: 'Maruti Suzuki', makes: ['Suzuki'] },
+    'TSM': { name: 'Suzuki', makes: ['Suzuki'] },
+    'ZAR': { name: 'Alfa Romeo', makes: ['Alfa Romeo'] },
+    'ZFA': { name: 'Fiat', makes: ['Fiat'] },
+    'ZFF': { name: 'Ferrari', makes: ['Ferrari'] },
+    '1C4': { name: 'Stellantis (FCA US)', makes: ['Chrysler', 'Dodge', 'Jeep', 'Ram', 'Stellantis'] },
+    '1C6': { name: 'Stellantis (FCA US)', makes: ['Ram', 'Dodge', 'Stellantis'] },
+    '1J4': { name: 'Jeep', makes: ['Jeep', 'Stellantis'] },
+    '3C4': { name: 'Stellantis (FCA Mexico)', makes: ['Chrysler', 'Dodge', 'Jeep', 'Fiat', 'Stellantis'] },
+    '1G1': { name: 'Chevrolet', makes: ['Chevrolet', 'GM'] },
+    '1GC': { name: 'Chevrolet Truck', makes: ['Chevrolet', 'GM'] },
+    '1GT': { name: 'GMC Truck', makes: ['GMC', 'GM'] },
+    '3G1': { name: 'Chevrolet', makes: ['Chevrolet', 'GM'] },
+    '3GC': { name: 'Chevrolet Truck', makes: ['Chevrolet', 'GM'] },
+    'KL1': { name: 'GM Korea', makes: ['Chevrolet', 'GM'] },
+    '1FA': { name: 'Ford', makes: ['Ford'] },
+    '1FM': { name: 'Ford', makes: ['Ford'] },
+    '1FT': { name: 'Ford Truck', makes: ['Ford'] },
+    '3FA': { name: 'Ford', makes: ['Ford'] },
+    'JM1': { name: 'Mazda', makes: ['Mazda'] },
+    '3MZ': { name: 'Mazda', makes: ['Mazda'] },
+    'KNA': { name: 'Kia', makes: ['Kia'] },
+    'KND': { name: 'Kia', makes: ['Kia'] },
+    '3KP': { name: 'Kia', makes: ['Kia'] },
+    'KMH': { name: 'Hyundai', makes: ['Hyundai'] },
+    'KM8': { name: 'Hyundai', makes: ['Hyundai'] },
+    '5NP': { name: 'Hyundai', makes: ['Hyundai'] },
+    'JA3': { name: 'Mitsubishi', makes: ['Mitsubishi'] },
+    'JA4': { name: 'Mitsubishi', makes: ['Mitsubishi'] },
+    'ML3': { name: 'Mitsubishi', makes: ['Mitsubishi'] },
+    'JF1': { name: 'Subaru', makes: ['Subaru'] },
+    'JF2': { name: 'Subaru', makes: ['Subaru'] },
+    'YV1': { name: 'Volvo', makes: ['Volvo'] },
+    'SAL': { name: 'Land Rover', makes: ['Land Rover'] },
+    'SAJ': { name: 'Jaguar', makes: ['Jaguar'] },
+    '5YJ': { name: 'Tesla', makes: ['Tesla'] },
+    'LSJ': { name: 'SAIC MG', makes: ['MG'] },
+    'LJ1': { name: 'JAC', makes: ['JAC'] }
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Cross-location VIN checks (VinIndex sheet)
+ * A VIN counted at two locations in the same month is a transfer error or fraud auditors must review
+ */
+const COLLISION_ACTIONS = ['warn', 'block'];
+
+// VinIndex actions: a scan of the VIN was saved, or deleted
+const VIN_ACTIONS = {
+  SCANNED: 'scanned',
+  REMOVED: 'removed'
+};
+
+module.exports = {
+  actions: VIN_ACTIONS,
+
+  collisionActions: COLLISION_ACTIONS,
+
+  // What saving a scan does when its VIN is already counted at another location that month:
+  // 'warn' saves it and returns a warning, 'block' rejects it
+  collisionAction: COLLISION_ACTIONS.includes(process.env.VIN_COLLISION_ACTION) ? process.env.VIN_COLLISION_ACTION : 'warn'
+};
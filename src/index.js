@@ -10,6 +10,7 @@ const apiRoutes = require('./routes/api');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const cleanupScheduler = require('./services/cleanupScheduler');
 const websocketService = require('./services/websocketService');
+const locationService = require('./services/locationService');
 
 const app = express();
 const server = http.createServer(app);
@@ -62,8 +63,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Length', 'X-Request-Id'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'X-Request-Id', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 }));
 
@@ -146,13 +147,13 @@ app.get('/health', (req, res) => {
 // Detailed health check (for monitoring systems)
 app.get('/health/detailed', async (req, res) => {
   try {
-    const googleSheets = require('./services/googleSheets');
+    const storage = require('./services/storage');
     const googleDrive = require('./services/googleDrive');
     
-    // Test Google Sheets connection
+    // Test storage backend connection (Google Sheets or local adapter)
     let sheetsStatus = 'unknown';
     try {
-      await googleSheets.getSheetData('MonthlySummary');
+      await storage.getSheetData('MonthlySummary');
       sheetsStatus = 'connected';
     } catch (error) {
       sheetsStatus = 'error';
@@ -178,6 +179,7 @@ app.get('/health/detailed', async (req, res) => {
         external: Math.round(process.memoryUsage().external / 1024 / 1024)
       },
       services: {
+        storageDriver: storage.driver,
         googleSheets: sheetsStatus,
         googleDrive: driveStatus,
         auth0: process.env.AUTH0_DOMAIN ? 'configured' : 'not_configured',
@@ -214,6 +216,7 @@ process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
   
   websocketService.shutdown();
+  cleanupScheduler.stopStaleInventoryCheck();
   
   server.close(() => {
     console.log('✅ Server closed');
@@ -225,6 +228,7 @@ process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
   
   websocketService.shutdown();
+  cleanupScheduler.stopStaleInventoryCheck();
   
   server.close(() => {
     console.log('✅ Server closed');
@@ -239,6 +243,18 @@ server.listen(PORT, () => {
   console.log(`📝 Logging: Morgan enabled`);
   console.log(`🔌 WebSocket: /ws/inventory`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+
+  // Load the location registry so WebSocket rooms can be resolved without waiting on storage
+  locationService.loadLocations().catch(error => {
+    console.error(`❌ Failed to load locations:`, error.message);
+  });
+  
+  // Handle inventories left open (notify, pause or submit them per location policy)
+  try {
+    cleanupScheduler.startStaleInventoryCheck();
+  } catch (error) {
+    console.error(`❌ Failed to start stale inventory check:`, error);
+  }
   
   // Start cleanup scheduler (disabled - using Google Drive only)
   // try {
@@ -1,10 +1,120 @@
 const jwt = require('jsonwebtoken');
+const jwksRsa = require('jwks-rsa');
+const config = require('../config/auth');
 
-const authMiddleware = (req, res, next) => {
+let jwksClient = null;
+
+// Lazily create the JWKS client so the server can boot before Auth0 is configured
+const getJwksClient = () => {
+  if (!jwksClient) {
+    if (!config.jwksUri) {
+      throw new Error('AUTH0_DOMAIN (or AUTH0_JWKS_URI) environment variable is not set');
+    }
+
+    jwksClient = jwksRsa({
+      jwksUri: config.jwksUri,
+      ...config.jwks
+    });
+  }
+
+  return jwksClient;
+};
+
+// Resolve the signing key for a token from the JWKS endpoint
+const getSigningKey = (header, callback) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    getJwksClient().getSigningKey(header.kid, (error, key) => {
+      if (error) {
+        return callback(error);
+      }
+      callback(null, key.getPublicKey());
+    });
+  } catch (error) {
+    callback(error);
+  }
+};
+
+/**
+ * Verify an Auth0 access token (RS256, JWKS)
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} - Decoded token claims
+ */
+const verifyToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getSigningKey, {
+      audience: config.audience,
+      issuer: config.issuer,
+      algorithms: config.algorithms
+    }, (error, decoded) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(decoded);
+    });
+  });
+};
+
+// Read a claim that may be standard or namespaced
+const getClaim = (claims, name) => {
+  return claims[name] || (config.claimsNamespace ? claims[`${config.claimsNamespace}${name}`] : undefined);
+};
+
+// Read a claim as a lowercase string array (accepts an array or a comma-separated string)
+const getListClaim = (claims, name) => {
+  const value = getClaim(claims, name);
+  if (!value) return [];
+
+  const list = Array.isArray(value) ? value : value.toString().split(',');
+  return list.map(item => item.toString().trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Build the authenticated user from token claims
+ * `user` is the identifier stored in the sheets (email when available, otherwise the Auth0 subject)
+ * `roles` and `agencies` drive authorization (see middleware/authorize.js)
+ * @param {Object} claims - Decoded token claims
+ * @returns {Object} - { id, email, user, userName, roles, agencies, claims }
+ */
+const getUserFromClaims = (claims) => {
+  const email = getClaim(claims, 'email') || null;
+  const user = email || claims.sub;
+
+  return {
+    id: claims.sub,
+    email,
+    user,
+    userName: getClaim(claims, 'name') || user,
+    roles: getListClaim(claims, 'roles'),
+    agencies: getListClaim(claims, 'agencies'),
+    claims
+  };
+};
+
+/**
+ * Get the `user`/`userName` pair for the authenticated request
+ * @param {Object} req - Express request (after authMiddleware)
+ * @returns {Object} - { user, userName }
+ */
+const getRequestUser = (req) => {
+  return {
+    user: req.user.user,
+    userName: req.user.userName
+  };
+};
+
+// Extract the bearer token from an Authorization header
+const getBearerToken = (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+  return authHeader.substring(7); // Remove 'Bearer ' prefix
+};
+
+const authMiddleware = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req.headers.authorization);
+
+    if (!token) {
       return res.status(401).json({
         success: false,
         error: 'UNAUTHORIZED',
@@ -12,20 +122,15 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
-      audience: process.env.JWT_AUDIENCE,
-      issuer: process.env.JWT_ISSUER
-    });
+    // Verify JWT token against the Auth0 JWKS
+    const decoded = await verifyToken(token);
 
     // Add user info to request
-    req.user = decoded;
+    req.user = getUserFromClaims(decoded);
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    
+    console.error('Auth middleware error:', error.message);
+
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
@@ -33,7 +138,7 @@ const authMiddleware = (req, res, next) => {
         message: 'Authentication token has expired'
       });
     }
-    
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -50,4 +155,10 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
+module.exports = {
+  authMiddleware,
+  verifyToken,
+  getBearerToken,
+  getUserFromClaims,
+  getRequestUser
+};
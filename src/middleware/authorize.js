@@ -0,0 +1,103 @@
+/**
+ * Role-based access control
+ *
+ * Roles come from the `roles` token claim and are ordered:
+ *   auditor    - scan and read inventories
+ *   supervisor - everything an auditor can do, plus finish inventories and delete scans
+ *   admin      - everything, plus maintenance and storage cleanup
+ *
+ * Non-admin users are also limited to the locations in their `agencies` claim
+ * (use "*" to grant every location).
+ */
+const { ForbiddenError } = require('./errorHandler');
+const locationService = require('../services/locationService');
+
+const ROLES = {
+  AUDITOR: 'auditor',
+  SUPERVISOR: 'supervisor',
+  ADMIN: 'admin'
+};
+
+const ROLE_RANK = {
+  [ROLES.AUDITOR]: 1,
+  [ROLES.SUPERVISOR]: 2,
+  [ROLES.ADMIN]: 3
+};
+
+// Highest rank among the user's roles (0 when the user has no known role)
+const getRoleRank = (user) => {
+  return (user?.roles || []).reduce((rank, role) => Math.max(rank, ROLE_RANK[role] || 0), 0);
+};
+
+/**
+ * Check if a user has a role (or a higher one)
+ * @param {Object} user - req.user
+ * @param {string} role - Minimum role
+ * @returns {boolean}
+ */
+const hasRole = (user, role) => {
+  return getRoleRank(user) >= ROLE_RANK[role];
+};
+
+/**
+ * Check if a user may act on a location
+ * @param {Object} user - req.user
+ * @param {string} agency - Location id, name or sheet name
+ * @returns {boolean}
+ */
+const canAccessAgency = (user, agency) => {
+  if (hasRole(user, ROLES.ADMIN)) return true;
+
+  // Claims list location ids; requests may name a location by id, name or sheet name
+  const location = locationService.findLocation(agency);
+  const locationId = location ? location.id : locationService.normalizeKey(agency);
+
+  const agencies = user?.agencies || [];
+  return agencies.includes('*') || agencies.includes(locationId);
+};
+
+/**
+ * Throw ForbiddenError unless the user may act on the location
+ * For handlers that only learn the location after parsing the request (e.g. QR payloads)
+ * @param {Object} user - req.user
+ * @param {string} agency - Location id
+ */
+const assertAgencyAccess = (user, agency) => {
+  if (!canAccessAgency(user, agency)) {
+    throw new ForbiddenError(`You do not have access to location: ${agency}`);
+  }
+};
+
+// Location a request targets, wherever the route carries it
+const getRequestAgency = (req) => {
+  return req.params?.agency || req.body?.agency || req.body?.location || req.query?.agency || null;
+};
+
+/**
+ * Route middleware: require a minimum role and, when the request names a location,
+ * access to that location
+ * @param {string} role - Minimum role (ROLES.*)
+ * @returns {Function} - Express middleware
+ */
+const authorize = (role) => {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return next(new ForbiddenError(`This action requires the ${role} role`));
+    }
+
+    const agency = getRequestAgency(req);
+    if (agency && !canAccessAgency(req.user, agency)) {
+      return next(new ForbiddenError(`You do not have access to location: ${agency}`));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  canAccessAgency,
+  assertAgencyAccess,
+  authorize
+};
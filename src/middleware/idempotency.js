@@ -0,0 +1,109 @@
+/**
+ * Idempotency keys
+ *
+ * Clients on flaky networks retry writes after a timeout even when the first call went
+ * through. When a request carries an `Idempotency-Key` header, the first successful (2xx)
+ * response is kept for a window and replayed to retries with the same key, user, route and
+ * body, so a retry never turns into a "duplicate barcode" or "already completed" error.
+ *
+ *   - a retry while the first call is still running gets 409 CONFLICT
+ *   - reusing a key with a different body gets 400 VALIDATION_ERROR
+ *   - failed responses are not kept, so the request can be retried with the same key
+ *
+ * Responses live in memory, so replays only work against the instance that served the
+ * first call.
+ */
+const crypto = require('crypto');
+const { ValidationError, ConflictError } = require('./errorHandler');
+const config = require('../config/idempotency');
+
+// storeKey -> { fingerprint, status: 'pending' | 'completed', statusCode, body, expiresAt }
+const responses = new Map();
+
+// Drop expired entries, then the oldest ones while over the limit (Maps keep insertion order)
+const prune = () => {
+  const now = Date.now();
+  for (const [storeKey, entry] of responses) {
+    if (entry.expiresAt <= now) responses.delete(storeKey);
+  }
+  for (const storeKey of responses.keys()) {
+    if (responses.size <= config.maxEntries) break;
+    responses.delete(storeKey);
+  }
+};
+
+// Hash of the request body, to catch a key reused for a different request
+const getFingerprint = (req) => {
+  return crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+};
+
+/**
+ * Route middleware: replay the stored response for a repeated Idempotency-Key
+ * Place after authorize() so rejected requests are never stored.
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > config.maxKeyLength) {
+    return next(new ValidationError(`Idempotency-Key must be at most ${config.maxKeyLength} characters`));
+  }
+
+  prune();
+
+  // Keys are scoped per user and route, so two clients cannot collide
+  const storeKey = `${req.user?.id || 'anonymous'}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+  const fingerprint = getFingerprint(req);
+  const existing = responses.get(storeKey);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return next(new ValidationError('Idempotency-Key was already used with a different request body'));
+    }
+    if (existing.status === 'pending') {
+      return next(new ConflictError('A request with this Idempotency-Key is still being processed, please retry'));
+    }
+
+    console.log(`🔁 Replaying response for Idempotency-Key ${key} (${req.method} ${req.originalUrl})`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.body);
+  }
+
+  responses.set(storeKey, {
+    fingerprint,
+    status: 'pending',
+    expiresAt: Date.now() + config.ttl
+  });
+
+  // Keep successful responses; forget failed ones so the client can retry
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      responses.set(storeKey, {
+        fingerprint,
+        status: 'completed',
+        statusCode: res.statusCode,
+        body,
+        expiresAt: Date.now() + config.ttl
+      });
+    } else {
+      responses.delete(storeKey);
+    }
+    return json(body);
+  };
+
+  // The connection may close before any response was sent
+  res.on('close', () => {
+    if (responses.get(storeKey)?.status === 'pending') {
+      responses.delete(storeKey);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
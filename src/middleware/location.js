@@ -0,0 +1,37 @@
+/**
+ * Location validation
+ *
+ * Validates the location a request targets against the location registry and rewrites it
+ * to the location's sheet name, so "bodega-coyote", "bodega_coyote" and "Bodega Coyote"
+ * all reach the same sheet, summary rows and WebSocket room.
+ */
+const inventoryService = require('../services/inventoryService');
+const { asyncHandler } = require('./errorHandler');
+
+// Request fields that may carry a location
+const LOCATION_FIELDS = [
+  ['params', 'agency'],
+  ['body', 'agency'],
+  ['body', 'location'],
+  ['query', 'agency']
+];
+
+const requireLocation = asyncHandler(async (req, res, next) => {
+  const field = LOCATION_FIELDS.find(([source, key]) => req[source] && req[source][key]);
+
+  // Routes that need a location validate its presence themselves
+  if (!field) {
+    return next();
+  }
+
+  const [source, key] = field;
+  const location = await inventoryService.validateLocation(req[source][key]);
+
+  req[source][key] = location.sheetName;
+  req.location = location;
+  next();
+});
+
+module.exports = {
+  requireLocation
+};
@@ -0,0 +1,82 @@
+/**
+ * Multipart uploads
+ *
+ * Uploaded files land in temp/uploads under a timestamped, sanitized name; routes move or
+ * store them and remove the temp file when done.
+ */
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { ValidationError } = require('./errorHandler');
+const photoConfig = require('../config/photos');
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadDir = path.join(__dirname, '../../temp/uploads');
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const timestamp = Date.now();
+    const originalName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${timestamp}_${originalName}`);
+  }
+});
+
+// CSV / Excel stock lists (QR generation and expected stock)
+const csvUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept CSV and Excel files
+    const allowedTypes = [
+      'text/csv',
+      'application/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+    
+    if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Only CSV and Excel files are allowed'));
+    }
+  }
+});
+
+// Photo evidence of scanned vehicles
+const photoUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: photoConfig.maxFileSize,
+    files: photoConfig.maxFilesPerUpload
+  },
+  fileFilter: (req, file, cb) => {
+    if (photoConfig.mimeTypes[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new ValidationError(`Only ${Object.values(photoConfig.mimeTypes).join(', ')} photos are allowed`));
+    }
+  }
+});
+
+// Remove the temp files of an upload (after they were stored, or when the request failed)
+const cleanupUploadedFiles = (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  files.forEach(file => {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+module.exports = {
+  csvUpload,
+  photoUpload,
+  cleanupUploadedFiles
+};
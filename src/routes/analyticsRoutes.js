@@ -0,0 +1,70 @@
+const express = require('express');
+const router = express.Router();
+const analyticsService = require('../services/analyticsService');
+const inventoryService = require('../services/inventoryService');
+const analyticsConfig = require('../config/analytics');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { authorize, assertAgencyAccess, canAccessAgency, ROLES } = require('../middleware/authorize');
+const { validateTimestamp } = require('../utils/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period and location of a request (?from, ?to ISO dates, ?location); defaults to the last defaultPeriodDays days
+const getPeriodFilters = async (req) => {
+  const { from, to, location } = req.query;
+
+  ['from', 'to'].forEach(param => {
+    if (req.query[param] && !validateTimestamp(req.query[param])) {
+      throw new ValidationError(`Invalid ${param}: ${req.query[param]}. Use an ISO date (e.g. 2026-09-01)`);
+    }
+  });
+
+  const toDate = to ? new Date(to) : new Date();
+  const fromDate = from ? new Date(from) : new Date(toDate.getTime() - analyticsConfig.defaultPeriodDays * DAY_MS);
+  if (fromDate > toDate) {
+    throw new ValidationError('from must be before to');
+  }
+  if (toDate - fromDate > analyticsConfig.maxPeriodDays * DAY_MS) {
+    throw new ValidationError(`The period cannot be longer than ${analyticsConfig.maxPeriodDays} days`);
+  }
+
+  let sheetName = null;
+  if (location) {
+    const resolved = await inventoryService.validateLocation(location);
+    assertAgencyAccess(req.user, resolved.id);
+    sheetName = resolved.sheetName;
+  }
+
+  return {
+    from: fromDate,
+    to: toDate,
+    location: sheetName,
+    isVisible: agency => canAccessAgency(req.user, agency)
+  };
+};
+
+// GET /api/analytics/inventories - Productivity of each inventory with scans in a period (?from, ?to, ?location)
+router.get('/inventories', authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
+  const result = await analyticsService.getInventoriesAnalytics(await getPeriodFilters(req));
+  res.status(200).json({ success: true, ...result });
+}));
+
+// GET /api/analytics/inventories/:inventoryId - Throughput, idle gaps and per-auditor metrics of one inventory
+router.get('/inventories/:inventoryId', authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
+  const inventory = await inventoryService.findInventoryById(req.params.inventoryId);
+  if (!inventory) {
+    throw new NotFoundError(`Inventory not found: ${req.params.inventoryId}`);
+  }
+  assertAgencyAccess(req.user, inventory.agency);
+
+  const analytics = await analyticsService.getInventoryAnalytics(inventory.inventoryId);
+  res.status(200).json({ success: true, analytics });
+}));
+
+// GET /api/analytics/auditors - Productivity of each auditor over a period, across inventories (?from, ?to, ?location)
+router.get('/auditors', authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
+  const result = await analyticsService.getAuditorsAnalytics(await getPeriodFilters(req));
+  res.status(200).json({ success: true, ...result });
+}));
+
+module.exports = router;
@@ -1,16 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const { authMiddleware } = require('../middleware/auth');
 
 // Import separate route modules
 const inventoryRoutes = require('./inventoryRoutes');
 const downloadRoutes = require('./downloadRoutes');
 const validationRoutes = require('./validationRoutes');
 const qrRoutes = require('./qrRoutes');
+const locationRoutes = require('./locationRoutes');
+const vehicleRoutes = require('./vehicleRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+
+// Every API route requires a valid Auth0 access token
+router.use(authMiddleware);
 
 // Mount route modules with their respective prefixes
 router.use('/inventory', inventoryRoutes);
 router.use('/download', downloadRoutes);
 router.use('/validation', validationRoutes);
 router.use('/qr', qrRoutes);
+router.use('/locations', locationRoutes);
+router.use('/vehicles', vehicleRoutes);
+router.use('/analytics', analyticsRoutes);
 
 module.exports = router;
@@ -4,11 +4,14 @@ const path = require('path');
 const inventoryService = require('../services/inventoryService');
 const downloadService = require('../services/downloadService');
 const fileStorageService = require('../services/fileStorageService');
+const reconciliationService = require('../services/reconciliationService');
 const { asyncHandler, ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { authorize, ROLES } = require('../middleware/authorize');
+const { requireLocation } = require('../middleware/location');
 
 
 // GET /api/inventory/location/:agency/:month/:year - Get all inventories for a location
-router.get('/inventory/location/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/inventory/location/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -71,7 +74,7 @@ router.get('/inventory/location/:agency/:month/:year', asyncHandler(async (req,
 }));
 
 // GET /api/download/inventory/:agency/:month/:year/csv/location - Download most recent inventory for location
-router.get('/inventory/:agency/:month/:year/csv/location', asyncHandler(async (req, res) => {
+router.get('/inventory/:agency/:month/:year/csv/location', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
   const { strategy = 'most_recent' } = req.query; // Strategy: most_recent, first, last, all
 
@@ -172,7 +175,7 @@ router.get('/inventory/:agency/:month/:year/csv/location', asyncHandler(async (r
 }));
 
 // GET /api/download/inventory/:agency/:month/:year/csv/:inventoryId - Download specific inventory by inventory ID
-router.get('/inventory/:agency/:month/:year/csv/:inventoryId', asyncHandler(async (req, res) => {
+router.get('/inventory/:agency/:month/:year/csv/:inventoryId', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year, inventoryId } = req.params;
 
   // Validate parameters
@@ -208,27 +211,35 @@ router.get('/inventory/:agency/:month/:year/csv/:inventoryId', asyncHandler(asyn
       return;
     }
 
-    // If no specific inventory file found, fall back to most recent
-    const monthFiles = storedFiles.filter(file => 
-      file.name.includes(`${agency}`) && 
-      file.name.includes(`${month}`) && 
-      file.name.includes(`${year}`)
-    ).sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+    // No backup yet, generate this inventory from Google Sheets (first time)
+    const inventoryData = await inventoryService.getInventoryDataForDownload(agency, month, year, inventoryId);
+    const fileInfo = await downloadService.generateCSV(inventoryData);
 
-    if (monthFiles.length > 0) {
-      const existingFile = monthFiles[0];
-      const fileData = await fileStorageService.downloadStoredFile(existingFile.id);
-      
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="${existingFile.name}"`);
-      res.setHeader('Content-Length', fileData.size);
-      res.send(fileData.content);
-      
-      return;
-    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileInfo.filename}"`);
+    res.setHeader('Content-Length', fileInfo.size);
 
-    // No backup found at all
-    throw new ValidationError(`No inventory files found for ${agency} ${month}/${year}`);
+    res.sendFile(fileInfo.filepath, (err) => {
+      if (err) {
+        console.error('Error sending file:', err);
+      } else {
+        // Store file on Google Drive before clearing this inventory's rows
+        fileStorageService.storeInventoryFile(agency, month, year, 'csv', inventoryId)
+          .then((result) => {
+            console.log('✅ File stored on Google Drive:', result.filename);
+          })
+          .catch((error) => {
+            console.error('❌ Failed to store file on Google Drive:', error);
+          })
+          .finally(() => {
+            inventoryService.clearAgencyDataAfterDownload(agency, month, year, inventoryId)
+              .catch((error) => {
+                console.error('❌ Failed to clear agency sheet data:', error);
+              });
+          });
+      }
+      downloadService.cleanupFile(fileInfo.filepath);
+    });
 
   } catch (error) {
     console.error('Error in specific inventory download:', error);
@@ -241,7 +252,7 @@ router.get('/inventory/:agency/:month/:year/csv/:inventoryId', asyncHandler(asyn
 }));
 
 // GET /api/download/inventory/:agency/:month/:year/csv
-router.get('/inventory/:agency/:month/:year/csv', asyncHandler(async (req, res) => {
+router.get('/inventory/:agency/:month/:year/csv', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -321,7 +332,7 @@ router.get('/inventory/:agency/:month/:year/csv', asyncHandler(async (req, res)
 }));
 
 // GET /api/download/inventory/:agency/:month/:year/excel
-router.get('/inventory/:agency/:month/:year/excel', asyncHandler(async (req, res) => {
+router.get('/inventory/:agency/:month/:year/excel', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -329,8 +340,8 @@ router.get('/inventory/:agency/:month/:year/excel', asyncHandler(async (req, res
     throw new ValidationError('Missing required parameters: agency, month, year');
   }
 
-  // Get inventory data
-  const inventoryData = await inventoryService.getInventoryDataForDownload(agency, month, year);
+  // Get inventory data (?inventoryId= selects one of the month's inventories)
+  const inventoryData = await inventoryService.getInventoryDataForDownload(agency, month, year, req.query.inventoryId);
   
   // Generate Excel file
   const fileInfo = await downloadService.generateExcel(inventoryData);
@@ -346,7 +357,7 @@ router.get('/inventory/:agency/:month/:year/excel', asyncHandler(async (req, res
       console.error('Error sending file:', err);
     } else {
       // Store file on Google Drive before clearing data
-      fileStorageService.storeInventoryFile(agency, month, year, 'xlsx')
+      fileStorageService.storeInventoryFile(agency, month, year, 'xlsx', inventoryData.inventoryId)
         .then((result) => {
           console.log('✅ File stored on Google Drive:', result.filename);
         })
@@ -366,8 +377,42 @@ router.get('/inventory/:agency/:month/:year/excel', asyncHandler(async (req, res
   });
 }));
 
+// GET /api/download/reconciliation/:agency/:month/:year/:type - Reconciliation report as csv or excel
+router.get('/reconciliation/:agency/:month/:year/:type', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const { agency, month, year, type } = req.params;
+
+  // Validate parameters
+  if (!agency || !month || !year) {
+    throw new ValidationError('Missing required parameters: agency, month, year');
+  }
+  if (!['csv', 'excel'].includes(type)) {
+    throw new ValidationError(`Unsupported file type: ${type}. Must be csv or excel`);
+  }
+
+  const report = await reconciliationService.getReconciliation(agency, month, year, req.query.inventoryId);
+
+  const fileInfo = type === 'csv'
+    ? await downloadService.generateReconciliationCSV(report)
+    : await downloadService.generateReconciliationExcel(report);
+
+  // Set response headers for file download
+  res.setHeader('Content-Type', type === 'csv'
+    ? 'text/csv'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileInfo.filename}"`);
+  res.setHeader('Content-Length', fileInfo.size);
+
+  // Send file and cleanup (reports are generated on demand; nothing is stored or cleared)
+  res.sendFile(fileInfo.filepath, (err) => {
+    if (err) {
+      console.error('Error sending file:', err);
+    }
+    downloadService.cleanupFile(fileInfo.filepath);
+  });
+}));
+
 // POST /api/download/cleanup-temp-files
-router.post('/cleanup-temp-files', asyncHandler(async (req, res) => {
+router.post('/cleanup-temp-files', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   try {
     downloadService.cleanupOldFiles();
     res.status(200).json({
@@ -380,7 +425,7 @@ router.post('/cleanup-temp-files', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/download/store/:agency/:month/:year/:type
-router.post('/store/:agency/:month/:year/:type', asyncHandler(async (req, res) => {
+router.post('/store/:agency/:month/:year/:type', requireLocation, authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
   const { agency, month, year, type } = req.params;
 
   // Validate parameters
@@ -392,8 +437,8 @@ router.post('/store/:agency/:month/:year/:type', asyncHandler(async (req, res) =
     throw new ValidationError('Invalid file type. Supported types: csv, xlsx');
   }
 
-  // Store file on Google Drive
-  const result = await fileStorageService.storeInventoryFile(agency, month, year, type);
+  // Store file on Google Drive (?inventoryId= selects one of the month's inventories)
+  const result = await fileStorageService.storeInventoryFile(agency, month, year, type, req.query.inventoryId);
 
   res.status(200).json({
     success: true,
@@ -403,7 +448,7 @@ router.post('/store/:agency/:month/:year/:type', asyncHandler(async (req, res) =
 }));
 
 // GET /api/download/stored/:agency/:month/:year
-router.get('/stored/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/stored/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -427,7 +472,7 @@ router.get('/stored/:agency/:month/:year', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/download/stored-files/:agency - List files stored in Google Drive for an agency
-router.get('/stored-files/:agency', asyncHandler(async (req, res) => {
+router.get('/stored-files/:agency', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency } = req.params;
   
   if (!agency) {
@@ -478,7 +523,7 @@ router.get('/stored-files/:agency', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/download/stored-files
-router.get('/stored-files', asyncHandler(async (req, res) => {
+router.get('/stored-files', requireLocation, authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const { agency, month, year, type, status } = req.query;
 
   // Get all stored files with optional filters
@@ -501,7 +546,7 @@ router.get('/stored-files', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/download/stored-file/:fileId
-router.get('/stored-file/:fileId', asyncHandler(async (req, res) => {
+router.get('/stored-file/:fileId', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const { fileId } = req.params;
 
   if (!fileId) {
@@ -538,7 +583,7 @@ router.get('/stored-file/:fileId', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/download/cleanup-expired
-router.post('/cleanup-expired', asyncHandler(async (req, res) => {
+router.post('/cleanup-expired', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   try {
     const result = await fileStorageService.cleanupExpiredFiles();
     res.status(200).json({
@@ -552,7 +597,7 @@ router.post('/cleanup-expired', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/download/storage-stats
-router.get('/storage-stats', asyncHandler(async (req, res) => {
+router.get('/storage-stats', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   try {
     const stats = await fileStorageService.getFileStatistics();
     res.status(200).json({
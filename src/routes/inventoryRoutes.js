@@ -2,15 +2,46 @@ const express = require('express');
 const router = express.Router();
 const inventoryService = require('../services/inventoryService');
 const websocketService = require('../services/websocketService');
-const { asyncHandler, ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+const reconciliationService = require('../services/reconciliationService');
+const photoService = require('../services/photoService');
+const zoneService = require('../services/zoneService');
+const vinIndexService = require('../services/vinIndexService');
+const downloadService = require('../services/downloadService');
+const { asyncHandler, ValidationError, NotFoundError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { getRequestUser } = require('../middleware/auth');
+const { authorize, assertAgencyAccess, canAccessAgency, ROLES } = require('../middleware/authorize');
+const { requireLocation } = require('../middleware/location');
+const { validateScanData } = require('../utils/validation');
+const { idempotency } = require('../middleware/idempotency');
+const { photoUpload, cleanupUploadedFiles } = require('../middleware/upload');
+const photoConfig = require('../config/photos');
+
+// Load the inventory named by :inventoryId and check the user may act on its location
+const loadInventory = asyncHandler(async (req, res, next) => {
+  const inventory = await inventoryService.findInventoryById(req.params.inventoryId);
+  if (!inventory) {
+    throw new NotFoundError(`Inventory not found: ${req.params.inventoryId}`);
+  }
+
+  assertAgencyAccess(req.user, inventory.agency);
+  req.inventory = inventory;
+  next();
+});
 
 // POST /api/inventory/save-scan
-router.post('/save-scan', asyncHandler(async (req, res) => {
-  const { agency, month, year, code, user, userName, carData } = req.body;
+router.post('/save-scan', requireLocation, authorize(ROLES.AUDITOR), idempotency, asyncHandler(async (req, res) => {
+  const { agency, month, year, code, timestamp, carData, condition, zone } = req.body;
+  const { user, userName } = getRequestUser(req);
 
-  // Validate required fields
-  if (!agency || !month || !year || !code || !user) {
-    throw new ValidationError('Missing required fields: agency, month, year, code, user');
+  // Validate required fields; a scan with its timestamp counts in that month at the location, in its timezone
+  if (!agency || !code || (!timestamp && (!month || !year))) {
+    throw new ValidationError('Missing required fields: agency, code, and month and year (or timestamp)');
+  }
+
+  // The code must match one of the location's identifier types
+  const validation = validateScanData({ agency, month, year, code, timestamp, user, userName, carData }, await inventoryService.getIdentifierTypes(agency));
+  if (!validation.isValid) {
+    throw new ValidationError(validation.errors.join('; '), validation.errors);
   }
 
   const result = await inventoryService.saveScan({
@@ -18,48 +49,79 @@ router.post('/save-scan', asyncHandler(async (req, res) => {
     month,
     year,
     code,
+    timestamp,
     user,
-    userName: userName || user,
-    carData: carData || null // Optional car data for QR scans
+    userName,
+    carData: carData || null, // Optional car data for QR scans
+    condition: condition || null, // Optional condition report
+    zone: zone || null // Optional zone id (else attributed by ubicación or the auditor's assignment)
   });
 
-  // Notify connected WebSocket clients about the scan
-  websocketService.notifyScanAdded(agency, month, year, user, userName || user, code, user);
+  // Notify connected WebSocket clients about the scan, in the room of the month it was saved in
+  // (that of its timestamp, which may differ from the month sent)
+  const scanMonth = inventoryService.getMonthNumber(result.scanData.month).toString();
+  const scanYear = result.scanData.year.toString();
+  websocketService.notifyScanAdded(agency, scanMonth, scanYear, user, userName, result.scanData.barcode, user);
+  zoneService.broadcastProgress(agency, scanMonth, scanYear, result.scanData.inventoryId);
 
   res.status(200).json(result);
 }));
 
-// POST /api/inventory/finish-session
-router.post('/finish-session', asyncHandler(async (req, res) => {
-  const { agency, month, year, user } = req.body;
+// POST /api/inventory/save-scans-batch - Upload scans collected offline
+router.post('/save-scans-batch', requireLocation, authorize(ROLES.AUDITOR), idempotency, asyncHandler(async (req, res) => {
+  const { agency, month, year, scans } = req.body;
+  const { user, userName } = getRequestUser(req);
 
   // Validate required fields
-  if (!agency || !month || !year || !user) {
-    throw new ValidationError('Missing required fields: agency, month, year, user');
+  if (!agency || !month || !year || !scans) {
+    throw new ValidationError('Missing required fields: agency, month, year, scans');
+  }
+
+  const result = await inventoryService.saveScansBatch({
+    agency,
+    month,
+    year,
+    user,
+    userName,
+    scans
+  });
+
+  // Notify connected WebSocket clients once for the whole batch
+  const savedCodes = result.results.filter(item => item.status === 'saved').map(item => item.code);
+  if (savedCodes.length > 0) {
+    websocketService.notifyScansAdded(agency, month, year, user, userName, savedCodes, user);
+    zoneService.broadcastProgress(agency, month, year, result.inventoryId);
+  }
+
+  res.status(200).json(result);
+}));
+
+// POST /api/inventory/finish-session - Submit the month's inventory for supervisor review
+router.post('/finish-session', requireLocation, authorize(ROLES.AUDITOR), idempotency, asyncHandler(async (req, res) => {
+  const { agency, month, year } = req.body;
+  const { user, userName } = getRequestUser(req);
+
+  // Validate required fields
+  if (!agency || !month || !year) {
+    throw new ValidationError('Missing required fields: agency, month, year');
   }
 
   const result = await inventoryService.finishSession({
     agency,
     month,
     year,
-    user
+    user,
+    userName
   });
 
-  // Notify connected WebSocket clients about inventory completion
-  websocketService.notifyInventoryCompleted(
-    agency, 
-    month, 
-    year, 
-    result.completedBy || user, 
-    result.inventoryId,
-    `El inventario ha sido completado por ${result.completedBy || user}.`
-  );
+  // Notify connected WebSocket clients that scanning stopped for review
+  websocketService.notifyInventoryStatusChanged(agency, month, year, result.inventoryId, result);
 
   res.status(200).json(result);
 }));
 
 // GET /api/inventory/monthly-inventory/:agency/:month/:year
-router.get('/monthly-inventory/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/monthly-inventory/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -67,7 +129,10 @@ router.get('/monthly-inventory/:agency/:month/:year', asyncHandler(async (req, r
     throw new ValidationError('Missing required parameters: agency, month, year');
   }
 
-  const result = await inventoryService.getMonthlyInventory(agency, month, year);
+  // ?damaged=true keeps only the vehicles whose condition report records damage
+  const result = await inventoryService.getMonthlyInventory(agency, month, year, req.query.inventoryId, {
+    damagedOnly: req.query.damaged === 'true'
+  });
   
   // Safari-specific response handling
   const isSafari = req.get('User-Agent') && req.get('User-Agent').includes('Safari');
@@ -87,7 +152,7 @@ router.get('/monthly-inventory/:agency/:month/:year', asyncHandler(async (req, r
 }));
 
 // GET /api/inventory/agency-inventories/:agency
-router.get('/agency-inventories/:agency', asyncHandler(async (req, res) => {
+router.get('/agency-inventories/:agency', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency } = req.params;
 
   // Validate parameters
@@ -100,7 +165,7 @@ router.get('/agency-inventories/:agency', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/inventory/check-monthly-inventory/:agency/:month/:year
-router.get('/check-monthly-inventory/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/check-monthly-inventory/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -128,7 +193,7 @@ router.get('/check-monthly-inventory/:agency/:month/:year', asyncHandler(async (
 }));
 
 // GET /api/inventory/duplicate-barcodes/:agency/:month/:year
-router.get('/duplicate-barcodes/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/duplicate-barcodes/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -136,12 +201,12 @@ router.get('/duplicate-barcodes/:agency/:month/:year', asyncHandler(async (req,
     throw new ValidationError('Missing required parameters: agency, month, year');
   }
 
-  const result = await inventoryService.getDuplicateBarcodes(agency, month, year);
+  const result = await inventoryService.getDuplicateBarcodes(agency, month, year, req.query.inventoryId);
   res.status(200).json(result);
 }));
 
 // GET /api/inventory/scan-count/:agency/:month/:year
-router.get('/scan-count/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/scan-count/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -149,50 +214,311 @@ router.get('/scan-count/:agency/:month/:year', asyncHandler(async (req, res) =>
     throw new ValidationError('Missing required parameters: agency, month, year');
   }
 
-  const result = await inventoryService.getScanCount(agency, month, year);
+  const result = await inventoryService.getScanCount(agency, month, year, req.query.inventoryId);
   res.status(200).json(result);
 }));
 
 // DELETE /api/inventory/delete-scanned-entry
-router.delete('/delete-scanned-entry', asyncHandler(async (req, res) => {
-  const { agency, barcode } = req.body;
+router.delete('/delete-scanned-entry', requireLocation, authorize(ROLES.SUPERVISOR), idempotency, asyncHandler(async (req, res) => {
+  const { agency, barcode, inventoryId, reason } = req.body;
+  const { user, userName } = getRequestUser(req);
 
   // Validate required fields
   if (!agency || !barcode) {
     throw new ValidationError('Missing required fields: agency, barcode');
   }
 
-  const result = await inventoryService.deleteScannedEntry(agency, barcode);
-  
+  // Soft delete: the row is kept (marked Deleted) and can be restored
+  const result = await inventoryService.deleteScannedEntry(agency, barcode, inventoryId, { user, userName, reason });
+
   // Notify connected WebSocket clients about scan removal
-  // Extract user info from the result if available
-  const user = result.user || 'unknown';
-  const userName = result.userName || user;
-  
   // We need to get the room info from the request or result
   // For now, we'll try to get it from the request body
   if (req.body.month && req.body.year) {
     websocketService.notifyScanRemoved(agency, req.body.month, req.body.year, user, userName, barcode, user);
+    zoneService.broadcastProgress(agency, req.body.month, req.body.year, result.deletedEntry.inventoryId);
   }
 
   res.status(200).json(result);
 }));
 
 // DELETE /api/inventory/delete-multiple
-router.delete('/delete-multiple', asyncHandler(async (req, res) => {
-  const { agency, barcodes } = req.body;
+router.delete('/delete-multiple', requireLocation, authorize(ROLES.SUPERVISOR), idempotency, asyncHandler(async (req, res) => {
+  const { agency, barcodes, inventoryId, reason } = req.body;
+  const { user, userName } = getRequestUser(req);
 
   // Validate required fields
   if (!agency || !barcodes || !Array.isArray(barcodes) || barcodes.length === 0) {
     throw new ValidationError('Missing required fields: agency, barcodes (non-empty array)');
   }
 
-  const result = await inventoryService.deleteMultipleScannedEntries(agency, barcodes);
+  const result = await inventoryService.deleteMultipleScannedEntries(agency, barcodes, inventoryId, { user, userName, reason });
+  res.status(200).json(result);
+}));
+
+// POST /api/inventory/restore-scanned-entry
+router.post('/restore-scanned-entry', requireLocation, authorize(ROLES.SUPERVISOR), idempotency, asyncHandler(async (req, res) => {
+  const { agency, barcode, inventoryId, reason } = req.body;
+  const { user, userName } = getRequestUser(req);
+
+  // Validate required fields
+  if (!agency || !barcode) {
+    throw new ValidationError('Missing required fields: agency, barcode');
+  }
+
+  const result = await inventoryService.restoreScannedEntry(agency, barcode, inventoryId, { user, userName, reason });
+
+  // The restored scan is back in the inventory: notify the room like a new scan
+  // Rooms are keyed by the month as the client sent it, so prefer the body month/year
+  const { restoredEntry } = result;
+  const month = req.body.month || (restoredEntry.month && inventoryService.getMonthNumber(restoredEntry.month).toString());
+  const year = req.body.year || restoredEntry.year;
+  if (month && year) {
+    websocketService.notifyScanAdded(agency, month, year, user, userName, barcode, user);
+    zoneService.broadcastProgress(agency, month, year, restoredEntry.inventoryId);
+  }
+
+  res.status(200).json(result);
+}));
+
+// GET /api/inventory/history/:agency/:inventoryId - Deletions and restores of an inventory
+router.get('/history/:agency/:inventoryId', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const { agency, inventoryId } = req.params;
+
+  // Validate parameters
+  if (!agency || !inventoryId) {
+    throw new ValidationError('Missing required parameters: agency, inventoryId');
+  }
+
+  const result = await inventoryService.getInventoryHistory(agency, inventoryId);
+  res.status(200).json(result);
+}));
+
+// Handler moving the inventory named by :inventoryId through its lifecycle
+// requireReason makes a { reason } body mandatory
+const transitionHandler = (transition, { requireReason = false } = {}) => asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+  const { user, userName } = getRequestUser(req);
+
+  if (requireReason && (typeof reason !== 'string' || !reason.trim())) {
+    throw new ValidationError('Missing required field: reason');
+  }
+
+  const actor = { user, userName, reason: typeof reason === 'string' ? reason.trim() : '' };
+  const result = transition === 'submitForReview'
+    ? await inventoryService.submitForReview(req.inventory, actor)
+    : await inventoryService.transitionInventory(req.inventory, transition, actor);
+
+  // Rooms are keyed by month number
+  const month = inventoryService.getMonthNumber(req.inventory.month).toString();
+  websocketService.notifyInventoryStatusChanged(req.inventory.agency, month, req.inventory.year, req.inventory.inventoryId, result);
+
+  res.status(200).json(result);
+});
+
+// GET /api/inventory/inventories/:inventoryId/review - Stats a supervisor checks before signing off
+router.get('/inventories/:inventoryId/review', authorize(ROLES.AUDITOR), loadInventory, asyncHandler(async (req, res) => {
+  const result = await inventoryService.getReviewSummary(req.inventory);
+  res.status(200).json(result);
+}));
+
+// GET /api/inventory/inventories/:inventoryId/lifecycle - Status, allowed transitions and status changes
+router.get('/inventories/:inventoryId/lifecycle', authorize(ROLES.AUDITOR), loadInventory, asyncHandler(async (req, res) => {
+  const result = await inventoryService.getInventoryLifecycle(req.inventory);
+  res.status(200).json(result);
+}));
+
+// POST /api/inventory/inventories/:inventoryId/pause - Stop accepting scans for a while
+router.post('/inventories/:inventoryId/pause', authorize(ROLES.AUDITOR), loadInventory, idempotency, transitionHandler('pause'));
+
+// POST /api/inventory/inventories/:inventoryId/resume - Accept scans again after a pause
+router.post('/inventories/:inventoryId/resume', authorize(ROLES.AUDITOR), loadInventory, idempotency, transitionHandler('resume'));
+
+// POST /api/inventory/inventories/:inventoryId/submit-review - Hand the count over for review (same as finish-session)
+router.post('/inventories/:inventoryId/submit-review', authorize(ROLES.AUDITOR), loadInventory, idempotency, transitionHandler('submitForReview'));
+
+// POST /api/inventory/inventories/:inventoryId/approve - Sign off an inventory in review; backs it up and clears the sheet
+// Body: { signature, comment }
+router.post('/inventories/:inventoryId/approve', authorize(ROLES.SUPERVISOR), loadInventory, idempotency, asyncHandler(async (req, res) => {
+  const { signature, comment } = req.body || {};
+  const { user, userName } = getRequestUser(req);
+
+  const result = await inventoryService.approveInventory(req.inventory, { user, userName, signature, comment });
+
+  // Notify connected WebSocket clients about inventory completion
+  const month = inventoryService.getMonthNumber(req.inventory.month).toString();
+  websocketService.notifyInventoryCompleted(
+    req.inventory.agency,
+    month,
+    req.inventory.year,
+    user,
+    req.inventory.inventoryId,
+    `El inventario ha sido aprobado y completado por ${user}.`
+  );
+  websocketService.notifyInventoryStatusChanged(req.inventory.agency, month, req.inventory.year, req.inventory.inventoryId, result);
+
+  res.status(200).json(result);
+}));
+
+// POST /api/inventory/inventories/:inventoryId/reject - Send an inventory in review back to scanning
+router.post('/inventories/:inventoryId/reject', authorize(ROLES.SUPERVISOR), loadInventory, idempotency, transitionHandler('reject', { requireReason: true }));
+
+// POST /api/inventory/inventories/:inventoryId/reopen - Undo a finish or approval; restores the scans from the Drive backup
+router.post('/inventories/:inventoryId/reopen', authorize(ROLES.SUPERVISOR), loadInventory, idempotency, transitionHandler('reopen', { requireReason: true }));
+
+// POST /api/inventory/inventories/:inventoryId/cancel - Abandon an inventory (it no longer counts towards the monthly limit)
+router.post('/inventories/:inventoryId/cancel', authorize(ROLES.SUPERVISOR), loadInventory, idempotency, transitionHandler('cancel', { requireReason: true }));
+
+// GET /api/inventory/stale-inventories - Active/Reopened inventories left open, per location policy (?agency= for one location)
+router.get('/stale-inventories', requireLocation, authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const inventories = await inventoryService.getStaleInventories({ agency: req.query.agency || null });
+
+  res.status(200).json({
+    success: true,
+    totalStale: inventories.length,
+    inventories
+  });
+}));
+
+// Month name of a :month route parameter (1-12)
+const getMonthParam = (month) => {
+  const monthName = inventoryService.getMonthName(month);
+  if (monthName === 'Unknown') {
+    throw new ValidationError(`Invalid month: ${month}. Must be 1-12`);
+  }
+  return monthName;
+};
+
+// GET /api/inventory/vin-collisions/:month/:year - VINs counted at more than one location (?agency= for one location)
+// Users limited to some locations only see collisions involving one of them
+router.get('/vin-collisions/:month/:year', requireLocation, authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
+  const { month, year } = req.params;
+
+  const report = await vinIndexService.getCollisions(getMonthParam(month), year, { agency: req.query.agency || null });
+  const collisions = report.collisions.filter(collision =>
+    collision.locations.some(agency => canAccessAgency(req.user, agency))
+  );
+
+  res.status(200).json({
+    success: true,
+    ...report,
+    totalCollisions: collisions.length,
+    collisions
+  });
+}));
+
+// POST /api/inventory/vin-collisions/:month/:year/reindex - Index the VINs of scans saved before the index existed
+router.post('/vin-collisions/:month/:year/reindex', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const { month, year } = req.params;
+  const { user } = getRequestUser(req);
+
+  const result = await vinIndexService.reindex(getMonthParam(month), year, user);
+  res.status(200).json({ success: true, ...result });
+}));
+
+// POST /api/inventory/scan-timestamps/migrate - Timestamp the scan rows saved before Scanned At existed
+router.post('/scan-timestamps/migrate', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const { user } = getRequestUser(req);
+
+  const result = await inventoryService.migrateScanTimestamps(user);
+  res.status(200).json({ success: true, ...result });
+}));
+
+// POST /api/inventory/scans/:inventoryId/:identifier/photos - Attach photos to a scanned vehicle
+// Multipart form with one or more files in the "photos" field
+router.post('/scans/:inventoryId/:identifier/photos', authorize(ROLES.AUDITOR), loadInventory, photoUpload.array('photos', photoConfig.maxFilesPerUpload), asyncHandler(async (req, res) => {
+  const { identifier } = req.params;
+  const { user } = getRequestUser(req);
+
+  try {
+    const photos = await photoService.addScanPhotos(req.inventory, identifier, req.files, user);
+
+    res.status(201).json({
+      success: true,
+      message: `${photos.length} photo(s) attached to ${identifier}`,
+      inventoryId: req.inventory.inventoryId,
+      identifier,
+      photos
+    });
+  } finally {
+    // Stored photos were copied or uploaded; the temp files are no longer needed
+    cleanupUploadedFiles(req);
+  }
+}));
+
+// GET /api/inventory/scans/:inventoryId/:identifier/photos - Photos of a scanned vehicle
+router.get('/scans/:inventoryId/:identifier/photos', authorize(ROLES.AUDITOR), loadInventory, asyncHandler(async (req, res) => {
+  const { identifier } = req.params;
+
+  const photos = await photoService.getScanPhotos(req.inventory.inventoryId, identifier);
+  res.status(200).json({
+    success: true,
+    inventoryId: req.inventory.inventoryId,
+    identifier,
+    totalPhotos: photos.length,
+    photos
+  });
+}));
+
+// GET /api/inventory/inventories/:inventoryId/zones/progress - Expected vs scanned vehicles per zone
+router.get('/inventories/:inventoryId/zones/progress', authorize(ROLES.AUDITOR), loadInventory, asyncHandler(async (req, res) => {
+  const progress = await zoneService.getProgress(req.inventory);
+  res.status(200).json({ success: true, ...progress });
+}));
+
+// GET /api/inventory/inventories/:inventoryId/assignments - Auditors assigned to each zone
+router.get('/inventories/:inventoryId/assignments', authorize(ROLES.AUDITOR), loadInventory, asyncHandler(async (req, res) => {
+  const assignments = await zoneService.getAssignments(req.inventory);
+  res.status(200).json({ success: true, inventoryId: req.inventory.inventoryId, assignments });
+}));
+
+// PUT /api/inventory/inventories/:inventoryId/assignments - Assign auditors to zones
+// Body: { assignments: [{ user, zone }] } (zone null unassigns the user)
+router.put('/inventories/:inventoryId/assignments', authorize(ROLES.SUPERVISOR), loadInventory, idempotency, asyncHandler(async (req, res) => {
+  const { assignments } = req.body;
+  const { user } = getRequestUser(req);
+
+  const result = await zoneService.assignUsers(req.inventory, assignments, user);
+
+  // Assignments change how new scans are attributed: refresh the room's progress
+  const month = inventoryService.getMonthNumber(req.inventory.month).toString();
+  zoneService.broadcastProgress(req.inventory.agency, month, req.inventory.year, req.inventory.inventoryId);
+
+  res.status(200).json({ success: true, inventoryId: req.inventory.inventoryId, assignments: result });
+}));
+
+// PUT /api/inventory/scans/:inventoryId/:identifier/condition - Replace a scan's condition report
+// Body: { condition: { damages: [{ panel, code }], notes, mileage, keysPresent, fuelLevel } } (null clears it)
+router.put('/scans/:inventoryId/:identifier/condition', authorize(ROLES.AUDITOR), loadInventory, asyncHandler(async (req, res) => {
+  const { identifier } = req.params;
+  const { condition } = req.body;
+  const { user, userName } = getRequestUser(req);
+
+  // Validate required fields
+  if (condition === undefined) {
+    throw new ValidationError('Missing required field: condition');
+  }
+
+  const result = await inventoryService.updateScanCondition(req.inventory, identifier, condition, { user, userName });
   res.status(200).json(result);
 }));
 
+// GET /api/inventory/photos/:photoId/file - Photo content (the link of locally stored photos)
+router.get('/photos/:photoId/file', authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const photo = await photoService.getPhoto(req.params.photoId);
+  if (!photo) {
+    throw new NotFoundError(`Photo not found: ${req.params.photoId}`);
+  }
+
+  assertAgencyAccess(req.user, photo.agency);
+
+  const content = await photoService.readPhotoFile(photo);
+  res.set('Content-Disposition', `inline; filename="${photo.filename}"`);
+  res.type(photo.mimeType).send(content);
+}));
+
 // GET /api/inventory/inventory-data/:agency/:month/:year
-router.get('/inventory-data/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/inventory-data/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -200,12 +526,60 @@ router.get('/inventory-data/:agency/:month/:year', asyncHandler(async (req, res)
     throw new ValidationError('Missing required parameters: agency, month, year');
   }
 
-  const result = await inventoryService.getInventoryDataForDownload(agency, month, year);
+  const result = await inventoryService.getInventoryDataForDownload(agency, month, year, req.query.inventoryId);
   res.status(200).json(result);
 }));
 
+// GET /api/inventory/reconciliation/:agency/:month/:year
+// Expected stock (last uploaded CSV) vs. scanned vehicles: found, missing, unexpected and misplaced
+router.get('/reconciliation/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const { agency, month, year } = req.params;
+
+  // Validate parameters
+  if (!agency || !month || !year) {
+    throw new ValidationError('Missing required parameters: agency, month, year');
+  }
+
+  const result = await reconciliationService.getReconciliation(agency, month, year, req.query.inventoryId);
+  res.status(200).json(result);
+}));
+
+// GET /api/inventory/diff/:agency?from=:inventoryId&to=:inventoryId - What changed between two inventories of a location
+// Arrivals, departures and relocations; add &format=csv or &format=excel to download it
+router.get('/diff/:agency', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const { agency } = req.params;
+  const { from, to, format } = req.query;
+
+  if (format && !['csv', 'excel'].includes(format)) {
+    throw new ValidationError(`Unsupported file type: ${format}. Must be csv or excel`);
+  }
+
+  const diff = await reconciliationService.getInventoryDiff(agency, from, to);
+  if (!format) {
+    return res.status(200).json({ success: true, ...diff });
+  }
+
+  const fileInfo = format === 'csv'
+    ? await downloadService.generateDiffCSV(diff)
+    : await downloadService.generateDiffExcel(diff);
+
+  res.setHeader('Content-Type', format === 'csv'
+    ? 'text/csv'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileInfo.filename}"`);
+  res.setHeader('Content-Length', fileInfo.size);
+
+  // Diffs are generated on demand; nothing is stored
+  res.sendFile(fileInfo.filepath, (err) => {
+    if (err) {
+      console.error('Error sending file:', err);
+    }
+    downloadService.cleanupFile(fileInfo.filepath);
+  });
+}));
+
 // GET /api/inventory/check-inventory-limits/:agency/:month/:year
-router.get('/check-inventory-limits/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/check-inventory-limits/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -218,7 +592,7 @@ router.get('/check-inventory-limits/:agency/:month/:year', asyncHandler(async (r
 }));
 
 // POST /api/inventory/check-completion
-router.post('/check-completion', asyncHandler(async (req, res) => {
+router.post('/check-completion', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.body;
   
   if (!agency || !month || !year) {
@@ -235,7 +609,7 @@ router.post('/check-completion', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/inventory/diagnose-google-sheets
-router.get('/diagnose-google-sheets', asyncHandler(async (req, res) => {
+router.get('/diagnose-google-sheets', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const googleSheets = require('../services/googleSheets');
   
   try {
@@ -320,7 +694,7 @@ router.get('/diagnose-google-sheets', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/inventory/check-completion-by-other/{agency}/{month}/{year}/{currentUserId}
-router.get('/check-completion-by-other/:agency/:month/:year/:currentUserId', asyncHandler(async (req, res) => {
+router.get('/check-completion-by-other/:agency/:month/:year/:currentUserId', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year, currentUserId } = req.params;
 
   // Validate required parameters
@@ -347,7 +721,7 @@ router.get('/check-completion-by-other/:agency/:month/:year/:currentUserId', asy
 }));
 
 // GET /api/inventory/websocket/room-info/:agency/:month/:year
-router.get('/websocket/room-info/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/websocket/room-info/:agency/:month/:year', requireLocation, authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -372,7 +746,7 @@ router.get('/websocket/room-info/:agency/:month/:year', asyncHandler(async (req,
 }));
 
 // GET /api/inventory/websocket/metrics
-router.get('/websocket/metrics', asyncHandler(async (req, res) => {
+router.get('/websocket/metrics', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const metrics = websocketService.getMetrics();
   const roomStats = websocketService.getRoomStats();
 
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const locationService = require('../services/locationService');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const { authorize, ROLES } = require('../middleware/authorize');
+
+// GET /api/locations - List locations (add ?includeInactive=true for deactivated ones)
+router.get('/', authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const includeInactive = req.query.includeInactive === 'true';
+  const locations = await locationService.listLocations({ includeInactive });
+
+  res.status(200).json({
+    success: true,
+    locations,
+    totalLocations: locations.length
+  });
+}));
+
+// GET /api/locations/:id - Get a location by id, name or sheet name
+router.get('/:id', authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const location = await locationService.getLocation(req.params.id);
+  if (!location) {
+    throw new NotFoundError(`Location not found: ${req.params.id}`);
+  }
+
+  res.status(200).json({
+    success: true,
+    location: locationService.toJSON(location)
+  });
+}));
+
+// POST /api/locations - Create a location
+router.post('/', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const { id, name, type, sheetName, driveFolder, active, policy, zones, identifierTypes, timezone } = req.body;
+  const location = await locationService.createLocation({ id, name, type, sheetName, driveFolder, active, policy, zones, identifierTypes, timezone });
+
+  res.status(201).json({
+    success: true,
+    message: `Location ${location.id} created`,
+    location
+  });
+}));
+
+// PUT /api/locations/:id - Update a location's name, type, Drive folder, active flag, inventory policy, zones or identifier types
+router.put('/:id', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const { name, type, sheetName, driveFolder, active, policy, zones, identifierTypes, timezone } = req.body;
+  const location = await locationService.updateLocation(req.params.id, { name, type, sheetName, driveFolder, active, policy, zones, identifierTypes, timezone });
+
+  res.status(200).json({
+    success: true,
+    message: `Location ${location.id} updated`,
+    location
+  });
+}));
+
+// DELETE /api/locations/:id - Deactivate a location (its sheet and stored files are kept)
+router.delete('/:id', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const location = await locationService.deleteLocation(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: `Location ${location.id} deactivated`,
+    location
+  });
+}));
+
+module.exports = router;
@@ -1,70 +1,57 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const qrService = require('../services/qrService');
 const inventoryService = require('../services/inventoryService');
+const reconciliationService = require('../services/reconciliationService');
+const zoneService = require('../services/zoneService');
+const vinDecoderService = require('../services/vinDecoderService');
 const { asyncHandler, ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../temp/uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const timestamp = Date.now();
-    const originalName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-    cb(null, `${timestamp}_${originalName}`);
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept CSV and Excel files
-    const allowedTypes = [
-      'text/csv',
-      'application/csv',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
-      cb(null, true);
-    } else {
-      cb(new ValidationError('Only CSV and Excel files are allowed'));
-    }
-  }
-});
+const { getRequestUser } = require('../middleware/auth');
+const { authorize, assertAgencyAccess, ROLES } = require('../middleware/authorize');
+const { requireLocation } = require('../middleware/location');
+const { idempotency } = require('../middleware/idempotency');
+const { csvUpload } = require('../middleware/upload');
+const { validateSerie, validateScanData } = require('../utils/validation');
 
 // POST /api/qr/upload-csv - Upload CSV file and generate QR codes
-router.post('/upload-csv', upload.single('csvFile'), asyncHandler(async (req, res) => {
-  const { location, user, userName } = req.body;
+// The CSV is also saved as the location's expected stock for the month (body month/year, default current)
+router.post('/upload-csv', authorize(ROLES.SUPERVISOR), csvUpload.single('csvFile'), requireLocation, asyncHandler(async (req, res) => {
+  const { location } = req.body;
+  const { user, userName } = getRequestUser(req);
 
   // Validate required fields
-  if (!location || !user) {
-    throw new ValidationError('Missing required fields: location, user');
+  if (!location) {
+    throw new ValidationError('Missing required field: location');
   }
 
+  // The current month is taken in the location's timezone
+  const current = inventoryService.getScanMonth(new Date(), await inventoryService.getLocationTimezone(location));
+  const month = req.body.month || current.month;
+  const year = req.body.year || current.year;
+
   if (!req.file) {
     throw new ValidationError('No CSV file uploaded');
   }
 
+  if (isNaN(parseInt(month)) || parseInt(month) < 1 || parseInt(month) > 12 || isNaN(parseInt(year))) {
+    throw new ValidationError('Invalid month or year');
+  }
+
   try {
+    // The location is only known once multer has parsed the form
+    assertAgencyAccess(req.user, req.location.id);
 
     // Parse CSV file
     const csvData = await qrService.parseCSVFile(req.file.path);
 
+    // Persist the list so the month's inventory can be reconciled against it
+    const expectedStock = await reconciliationService.saveExpectedStock(req.location.sheetName, month, year, csvData, user);
+
     // Generate QR codes
-    const qrResult = await qrService.generateQRCodes(csvData, location, user, userName || user);
+    // QR codes carry the location id, which stays stable if the display name changes
+    const qrResult = await qrService.generateQRCodes(csvData, req.location.id, user, userName);
 
     // Create ZIP file
     const zipResult = await qrService.createQRCodesZip(qrResult);
@@ -72,6 +59,10 @@ router.post('/upload-csv', upload.single('csvFile'), asyncHandler(async (req, re
     // Cleanup uploaded CSV file
     await qrService.cleanupFiles(req.file.path);
 
+    // Rows whose VIN has a wrong check digit or another manufacturer than their marca
+    const vinWarnings = csvData
+      .filter(row => row.warnings.length > 0)
+      .map(row => ({ rowNumber: row.rowNumber, serie: row.serie, marca: row.marca, warnings: row.warnings }));
 
     res.status(200).json({
       success: true,
@@ -82,11 +73,18 @@ router.post('/upload-csv', upload.single('csvFile'), asyncHandler(async (req, re
         location: qrResult.location,
         generatedBy: qrResult.generatedBy,
         generatedAt: qrResult.generatedAt,
+        expectedStock: {
+          uploadId: expectedStock.uploadId,
+          month: inventoryService.getMonthName(month),
+          year: year.toString(),
+          totalVehicles: expectedStock.totalVehicles
+        },
         downloadInfo: {
           filename: zipResult.zipFilename,
           size: zipResult.size,
           downloadUrl: `/api/qr/download/${path.basename(zipResult.zipFilename, '.zip')}`
-        }
+        },
+        vinWarnings
       }
     });
 
@@ -100,7 +98,7 @@ router.post('/upload-csv', upload.single('csvFile'), asyncHandler(async (req, re
 }));
 
 // GET /api/qr/download/:sessionId - Download generated QR codes ZIP
-router.get('/download/:sessionId', asyncHandler(async (req, res) => {
+router.get('/download/:sessionId', authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
 
   if (!sessionId) {
@@ -147,12 +145,13 @@ router.get('/download/:sessionId', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/qr/scan - Process scanned QR code
-router.post('/scan', asyncHandler(async (req, res) => {
-  const { qrData, user, userName } = req.body;
+router.post('/scan', authorize(ROLES.AUDITOR), idempotency, asyncHandler(async (req, res) => {
+  const { qrData, condition, zone } = req.body;
+  const { user, userName } = getRequestUser(req);
 
   // Validate required fields
-  if (!qrData || !user) {
-    throw new ValidationError('Missing required fields: qrData, user');
+  if (!qrData) {
+    throw new ValidationError('Missing required field: qrData');
   }
 
   try {
@@ -160,32 +159,49 @@ router.post('/scan', asyncHandler(async (req, res) => {
     // Parse QR code data
     const parsedData = qrService.parseQRData(qrData);
 
-    // Extract month and year from current date (or you could use the QR timestamp)
-    const now = new Date();
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const year = now.getFullYear().toString();
+    // The location is carried inside the QR payload
+    const location = await inventoryService.validateLocation(parsedData.location);
+    assertAgencyAccess(req.user, location.id);
+
+    // The scan counts in the current month at the location, in its timezone
+    const current = inventoryService.getScanMonth(new Date(), location.timezone);
+    const month = current.month.padStart(2, '0');
+    const year = current.year;
 
     // Create a unique identifier for this car (using serie as the main identifier)
     const carIdentifier = parsedData.serie;
+    const carData = {
+      serie: parsedData.serie,
+      marca: parsedData.marca,
+      color: parsedData.color,
+      ubicaciones: parsedData.ubicaciones
+    };
+
+    // The serie must match one of the location's identifier types
+    const validation = validateScanData(
+      { agency: location.sheetName, month, year, code: carIdentifier, user, userName, carData },
+      location.identifierTypes
+    );
+    if (!validation.isValid) {
+      throw new ValidationError(validation.errors.join('; '), validation.errors);
+    }
 
     // Save the scan using the existing inventory service
     const scanResult = await inventoryService.saveScan({
-      agency: parsedData.location, // Use location from QR as agency
+      agency: location.sheetName, // Use location from QR as agency
       code: carIdentifier, // Use serie as the code
       user: user,
-      userName: userName || user,
+      userName: userName,
       month: month,
       year: year,
       timestamp: new Date().toISOString(),
-      // Additional data from QR
-      carData: {
-        serie: parsedData.serie,
-        marca: parsedData.marca,
-        color: parsedData.color,
-        ubicaciones: parsedData.ubicaciones
-      }
+      carData, // Additional data from QR
+      condition: condition || null, // Optional condition report
+      zone: zone || null // Optional zone id (else attributed by the QR's ubicación)
     });
 
+    // Rooms are keyed by month number
+    zoneService.broadcastProgress(location.sheetName, parseInt(month, 10).toString(), year, scanResult.scanData.inventoryId);
 
     res.status(200).json({
       success: true,
@@ -206,8 +222,24 @@ router.post('/scan', asyncHandler(async (req, res) => {
   }
 }));
 
+// GET /api/qr/decode-vin/:vin - Decode a VIN offline (manufacturer, region, model year, check digit)
+// ?marca= also tells whether it is one of the manufacturer's makes (null when the WMI is unknown)
+router.get('/decode-vin/:vin', authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const vin = req.params.vin.trim();
+  if (!validateSerie(vin)) {
+    throw new ValidationError(`${vin} is not a valid VIN: 17 letters and digits, without I, O and Q`);
+  }
+
+  const decoded = vinDecoderService.decode(vin);
+  res.status(200).json({
+    success: true,
+    ...decoded,
+    marcaMatches: req.query.marca ? vinDecoderService.matchesMarca(decoded, req.query.marca) : null
+  });
+}));
+
 // POST /api/qr/cleanup-temp-files - Cleanup old temporary files
-router.post('/cleanup-temp-files', asyncHandler(async (req, res) => {
+router.post('/cleanup-temp-files', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   try {
     qrService.cleanupOldFiles();
     res.status(200).json({
@@ -220,24 +252,8 @@ router.post('/cleanup-temp-files', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/qr/locations - Get available locations (agencies + bodegas)
-router.get('/locations', asyncHandler(async (req, res) => {
-  const locations = [
-    // Existing agencies
-    { id: 'suzuki', name: 'Suzuki', type: 'agency' },
-    { id: 'nissan', name: 'Nissan', type: 'agency' },
-    { id: 'honda', name: 'Honda', type: 'agency' },
-    { id: 'toyota', name: 'Toyota', type: 'agency' },
-    { id: 'mazda', name: 'Mazda', type: 'agency' },
-    { id: 'hyundai', name: 'Hyundai', type: 'agency' },
-    { id: 'kia', name: 'Kia', type: 'agency' },
-    { id: 'volkswagen', name: 'Volkswagen', type: 'agency' },
-    { id: 'chevrolet', name: 'Chevrolet', type: 'agency' },
-    { id: 'ford', name: 'Ford', type: 'agency' },
-    
-    // New bodegas
-    { id: 'bodega_coyote', name: 'Bodega Coyote', type: 'bodega' },
-    { id: 'bodega_goyo', name: 'Bodega Goyo', type: 'bodega' }
-  ];
+router.get('/locations', authorize(ROLES.AUDITOR), asyncHandler(async (req, res) => {
+  const locations = await inventoryService.getAvailableLocations();
 
   res.status(200).json({
     success: true,
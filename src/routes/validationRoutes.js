@@ -2,15 +2,17 @@ const express = require('express');
 const router = express.Router();
 const inventoryService = require('../services/inventoryService');
 const { asyncHandler, ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { authorize, ROLES } = require('../middleware/authorize');
+const { requireLocation } = require('../middleware/location');
 
 // GET /api/validation/monthly-summary
-router.get('/monthly-summary', asyncHandler(async (req, res) => {
+router.get('/monthly-summary', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const result = await inventoryService.validateMonthlySummaryStructure();
   res.status(200).json(result);
 }));
 
 // GET /api/validation/monthly-summary/:agency/:month/:year
-router.get('/monthly-summary/:agency/:month/:year', asyncHandler(async (req, res) => {
+router.get('/monthly-summary/:agency/:month/:year', requireLocation, authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.params;
 
   // Validate parameters
@@ -23,13 +25,13 @@ router.get('/monthly-summary/:agency/:month/:year', asyncHandler(async (req, res
 }));
 
 // POST /api/validation/cleanup-duplicates
-router.post('/cleanup-duplicates', asyncHandler(async (req, res) => {
+router.post('/cleanup-duplicates', authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const result = await inventoryService.cleanupDuplicateRows();
   res.status(200).json(result);
 }));
 
 // POST /api/validation/cleanup-specific-duplicates
-router.post('/cleanup-specific-duplicates', asyncHandler(async (req, res) => {
+router.post('/cleanup-specific-duplicates', requireLocation, authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
   const { agency, month, year } = req.body;
 
   // Validate required fields
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const vehicleService = require('../services/vehicleService');
+const inventoryService = require('../services/inventoryService');
+const reconciliationService = require('../services/reconciliationService');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { authorize, assertAgencyAccess, canAccessAgency, ROLES } = require('../middleware/authorize');
+const { validateSerie, validateTimestamp } = require('../utils/validation');
+
+// GET /api/vehicles - Vehicles of the registry (?location= last counted there, ?lastSeenBefore= ISO date)
+// Users limited to some locations only see counts at those locations
+router.get('/', authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
+  const { location, lastSeenBefore } = req.query;
+
+  let sheetName = null;
+  if (location) {
+    const resolved = await inventoryService.validateLocation(location);
+    assertAgencyAccess(req.user, resolved.id);
+    sheetName = resolved.sheetName;
+  }
+  if (lastSeenBefore && !validateTimestamp(lastSeenBefore)) {
+    throw new ValidationError(`Invalid lastSeenBefore: ${lastSeenBefore}. Use an ISO date (e.g. 2026-09-01)`);
+  }
+
+  const result = await vehicleService.listVehicles({
+    location: sheetName,
+    lastSeenBefore: lastSeenBefore ? new Date(lastSeenBefore) : null,
+    isVisible: agency => canAccessAgency(req.user, agency)
+  });
+
+  res.status(200).json({ success: true, ...result });
+}));
+
+// GET /api/vehicles/:vin - Where a vehicle has been counted, across months
+router.get('/:vin', authorize(ROLES.SUPERVISOR), asyncHandler(async (req, res) => {
+  const vin = reconciliationService.normalizeSerie(req.params.vin);
+  if (!validateSerie(vin)) {
+    throw new ValidationError(`${req.params.vin} is not a valid VIN: 17 letters and digits, without I, O and Q`);
+  }
+
+  const vehicle = await vehicleService.getVehicle(vin, {
+    isVisible: agency => canAccessAgency(req.user, agency)
+  });
+  if (!vehicle) {
+    throw new NotFoundError(`Vehicle not found: ${vin}`);
+  }
+
+  res.status(200).json({ success: true, vehicle });
+}));
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const inventoryService = require('./inventoryService');
+const reconciliationService = require('./reconciliationService');
+const auditService = require('./auditService');
+const analyticsConfig = require('../config/analytics');
+const { INVENTORY_STATUS } = require('../config/inventoryStatus');
+const { NotFoundError, ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Auditor productivity and throughput, per inventory and per period
+ * Idle gaps are pauses between consecutive scans longer than ANALYTICS_IDLE_GAP_MINUTES;
+ * scans per hour are computed over active time (first to last scan, minus idle gaps)
+ */
+class AnalyticsService {
+  constructor() {
+    this.idleGapMinutes = analyticsConfig.idleGapMinutes;
+  }
+
+  toMinutes(ms) {
+    return Math.round(ms / MINUTE_MS * 10) / 10;
+  }
+
+  // When a scan was made: its Scanned At time, or only the start of its day for legacy rows
+  // (Scanned At migrated from the Date column, or missing from an older backup)
+  getScanTime(scan, timeZone) {
+    const scannedAt = new Date(scan.scannedAt || '');
+    if (!isNaN(scannedAt.getTime())) {
+      return { ...scan, time: scannedAt, timed: scan.scannedAtPrecision !== 'day' };
+    }
+    const day = inventoryService.parseScanDate(scan.date);
+    return { ...scan, time: day ? inventoryService.getZonedDayStart(day, timeZone) : null, timed: false };
+  }
+
+  /**
+   * Throughput of a set of scans
+   * @param {Array} scans - Scans with their time (see getScanTime)
+   * @returns {Object} - { totalScans, timedScans, firstScanAt, lastScanAt, spanMinutes, activeMinutes,
+   *   idleMinutes, scansPerHour, idleGapCount, idleGaps: [{ from, to, minutes }] }
+   */
+  computeMetrics(scans) {
+    const times = scans
+      .filter(scan => scan.timed)
+      .map(scan => scan.time.getTime())
+      .sort((a, b) => a - b);
+
+    if (times.length === 0) {
+      return {
+        totalScans: scans.length,
+        timedScans: 0,
+        firstScanAt: null,
+        lastScanAt: null,
+        spanMinutes: null,
+        activeMinutes: null,
+        idleMinutes: null,
+        scansPerHour: null,
+        idleGapCount: 0,
+        idleGaps: []
+      };
+    }
+
+    const idleGaps = [];
+    for (let i = 1; i < times.length; i++) {
+      const gap = times[i] - times[i - 1];
+      if (gap > this.idleGapMinutes * MINUTE_MS) {
+        idleGaps.push({ from: new Date(times[i - 1]).toISOString(), to: new Date(times[i]).toISOString(), minutes: this.toMinutes(gap) });
+      }
+    }
+
+    const spanMs = times[times.length - 1] - times[0];
+    const idleMs = idleGaps.reduce((sum, gap) => sum + (new Date(gap.to) - new Date(gap.from)), 0);
+    const activeMs = spanMs - idleMs;
+
+    return {
+      totalScans: scans.length,
+      timedScans: times.length,
+      firstScanAt: new Date(times[0]).toISOString(),
+      lastScanAt: new Date(times[times.length - 1]).toISOString(),
+      spanMinutes: this.toMinutes(spanMs),
+      activeMinutes: this.toMinutes(activeMs),
+      idleMinutes: this.toMinutes(idleMs),
+      scansPerHour: activeMs > 0 ? Math.round(times.length / (activeMs / (60 * MINUTE_MS)) * 10) / 10 : null,
+      idleGapCount: idleGaps.length,
+      idleGaps
+    };
+  }
+
+  // Metrics of each auditor among a set of scans, busiest first
+  getAuditorMetrics(scans) {
+    const byAuditor = new Map();
+    scans.forEach(scan => {
+      const auditor = scan.scannedBy || 'Unknown';
+      byAuditor.set(auditor, [...(byAuditor.get(auditor) || []), scan]);
+    });
+
+    return Array.from(byAuditor.entries())
+      .map(([auditor, auditorScans]) => ({ auditor, ...this.computeMetrics(auditorScans) }))
+      .sort((a, b) => b.totalScans - a.totalScans);
+  }
+
+  /**
+   * Time from the start of the inventory to its submission for review
+   * The start is its creation, or its first scan when offline scans predate it; the end is the last
+   * submission (a rejected inventory completes on resubmission), or Completed At before the review flow existed
+   * @param {string} firstScanAt - ISO time of the inventory's first scan, if any
+   */
+  async getCompletion(inventory, firstScanAt = null) {
+    const events = await auditService.getInventoryHistory(inventory.agency, inventory.inventoryId, [
+      auditService.actions.STATUS_CHANGED
+    ]);
+    const submissions = events.filter(event => event.details?.to === INVENTORY_STATUS.IN_REVIEW);
+    const approval = events.filter(event => event.details?.to === INVENTORY_STATUS.APPROVED).pop();
+
+    const startDates = [inventoryService.parseDisplayDate(inventory.createdAt), firstScanAt ? new Date(firstScanAt) : null].filter(Boolean);
+    const startedAt = startDates.length > 0 ? new Date(Math.min(...startDates)) : null;
+    const completedAt = submissions.length > 0
+      ? new Date(submissions[submissions.length - 1].timestamp)
+      : inventoryService.parseDisplayDate(inventory.completedAt);
+
+    return {
+      startedAt: startedAt ? startedAt.toISOString() : null,
+      completedAt: completedAt ? completedAt.toISOString() : null,
+      approvedAt: approval ? approval.timestamp : null,
+      timeToCompleteMinutes: startedAt && completedAt ? this.toMinutes(completedAt - startedAt) : null
+    };
+  }
+
+  // Scans of an inventory with their time, oldest first
+  async getTimedScans(inventory) {
+    const scans = await reconciliationService.getInventoryScans(inventory.agency, inventory);
+    const timeZone = await inventoryService.getLocationTimezone(inventory.agency);
+    return scans
+      .map(scan => this.getScanTime(scan, timeZone))
+      .sort((a, b) => (a.time ? a.time.getTime() : 0) - (b.time ? b.time.getTime() : 0));
+  }
+
+  /**
+   * Productivity of one inventory: overall throughput, idle gaps and each auditor's metrics
+   * Scans of an inventory already cleared from the sheet are read from its Drive backup
+   */
+  async getInventoryAnalytics(inventoryId) {
+    try {
+      const inventory = await inventoryService.findInventoryById(inventoryId);
+      if (!inventory) {
+        throw new NotFoundError(`Inventory not found: ${inventoryId}`);
+      }
+
+      const scans = await this.getTimedScans(inventory);
+      const metrics = this.computeMetrics(scans);
+
+      return {
+        agency: inventory.agency,
+        inventoryId: inventory.inventoryId,
+        month: inventory.month,
+        year: inventory.year,
+        status: inventory.status,
+        idleGapMinutes: this.idleGapMinutes,
+        ...(await this.getCompletion(inventory, metrics.firstScanAt)),
+        ...metrics,
+        auditors: this.getAuditorMetrics(scans)
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to get inventory analytics: ${error.message}`);
+    }
+  }
+
+  // Whether an inventory's month overlaps a period; a day of margin covers scans saved near midnight
+  isInPeriod(inventory, from, to) {
+    const monthIndex = inventoryService.getMonthNumber(inventory.month) - 1;
+    const year = parseInt(inventory.year);
+    if (monthIndex < 0 || isNaN(year)) return false;
+
+    const monthStart = Date.UTC(year, monthIndex, 1) - DAY_MS;
+    const monthEnd = Date.UTC(year, monthIndex + 1, 1) + DAY_MS;
+    return monthStart <= to.getTime() && monthEnd >= from.getTime();
+  }
+
+  /**
+   * Scans made in a period, per inventory
+   * Inventories whose scans can no longer be read (sheet cleared, no backup) are listed as unavailable
+   * @param {Object} options - { from, to } Dates, { location } sheet name (all locations when omitted),
+   *   { isVisible } agency => whether the user may see that location
+   * @returns {Promise<Object>} - { periods: [{ inventory, scans }], unavailable: [{ agency, inventoryId, reason }] }
+   */
+  async getPeriodScans({ from, to, location = null, isVisible = () => true }) {
+    const inventories = (await inventoryService.getAllInventories())
+      .filter(inventory => !location || inventory.agency === location)
+      .filter(inventory => isVisible(inventory.agency))
+      .filter(inventory => this.isInPeriod(inventory, from, to));
+
+    const periods = [];
+    const unavailable = [];
+    for (const inventory of inventories) {
+      try {
+        const scans = (await this.getTimedScans(inventory))
+          .filter(scan => scan.time && scan.time >= from && scan.time <= to);
+        if (scans.length > 0) {
+          periods.push({ inventory, scans });
+        }
+      } catch (error) {
+        console.warn(`⚠️ Analytics skipped ${inventory.agency} inventory ${inventory.inventoryId}: ${error.message}`);
+        unavailable.push({ agency: inventory.agency, inventoryId: inventory.inventoryId, reason: error.message });
+      }
+    }
+
+    return { periods, unavailable };
+  }
+
+  /**
+   * Productivity of every inventory with scans in a period (idle gaps are counted, not listed)
+   * @param {Object} options - as in getPeriodScans
+   */
+  async getInventoriesAnalytics({ from, to, location = null, isVisible = () => true }) {
+    try {
+      const { periods, unavailable } = await this.getPeriodScans({ from, to, location, isVisible });
+
+      const inventories = [];
+      for (const { inventory, scans } of periods) {
+        const { idleGaps, ...metrics } = this.computeMetrics(scans);
+        inventories.push({
+          agency: inventory.agency,
+          inventoryId: inventory.inventoryId,
+          month: inventory.month,
+          year: inventory.year,
+          status: inventory.status,
+          ...(await this.getCompletion(inventory, metrics.firstScanAt)),
+          ...metrics,
+          auditors: this.getAuditorMetrics(scans).map(({ idleGaps: auditorGaps, ...auditor }) => auditor)
+        });
+      }
+
+      return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        location,
+        idleGapMinutes: this.idleGapMinutes,
+        totalInventories: inventories.length,
+        inventories: inventories.sort((a, b) => (b.firstScanAt || '').localeCompare(a.firstScanAt || '')),
+        unavailable
+      };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get inventory analytics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Productivity of each auditor over a period, across inventories
+   * Metrics are computed per inventory and added up, so the time between two inventories is not an idle gap
+   * @param {Object} options - as in getPeriodScans
+   */
+  async getAuditorsAnalytics({ from, to, location = null, isVisible = () => true }) {
+    try {
+      const { periods, unavailable } = await this.getPeriodScans({ from, to, location, isVisible });
+
+      const byAuditor = new Map();
+      periods.forEach(({ inventory, scans }) => {
+        this.getAuditorMetrics(scans).forEach(metrics => {
+          const totals = byAuditor.get(metrics.auditor) || {
+            auditor: metrics.auditor,
+            inventories: 0,
+            locations: new Set(),
+            totalScans: 0,
+            timedScans: 0,
+            firstScanAt: null,
+            lastScanAt: null,
+            activeMinutes: 0,
+            idleMinutes: 0,
+            idleGapCount: 0
+          };
+
+          totals.inventories += 1;
+          totals.locations.add(inventory.agency);
+          totals.totalScans += metrics.totalScans;
+          totals.timedScans += metrics.timedScans;
+          totals.activeMinutes += metrics.activeMinutes || 0;
+          totals.idleMinutes += metrics.idleMinutes || 0;
+          totals.idleGapCount += metrics.idleGapCount;
+          if (metrics.firstScanAt && (!totals.firstScanAt || metrics.firstScanAt < totals.firstScanAt)) {
+            totals.firstScanAt = metrics.firstScanAt;
+          }
+          if (metrics.lastScanAt && (!totals.lastScanAt || metrics.lastScanAt > totals.lastScanAt)) {
+            totals.lastScanAt = metrics.lastScanAt;
+          }
+          byAuditor.set(metrics.auditor, totals);
+        });
+      });
+
+      const auditors = Array.from(byAuditor.values())
+        .map(totals => ({
+          ...totals,
+          locations: Array.from(totals.locations),
+          activeMinutes: Math.round(totals.activeMinutes * 10) / 10,
+          idleMinutes: Math.round(totals.idleMinutes * 10) / 10,
+          scansPerHour: totals.activeMinutes > 0 ? Math.round(totals.timedScans / (totals.activeMinutes / 60) * 10) / 10 : null
+        }))
+        .sort((a, b) => b.totalScans - a.totalScans);
+
+      return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        location,
+        idleGapMinutes: this.idleGapMinutes,
+        totalAuditors: auditors.length,
+        auditors,
+        unavailable
+      };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get auditor analytics: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AnalyticsService();
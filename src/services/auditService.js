@@ -0,0 +1,91 @@
+const storage = require('./storage');
+const { GoogleSheetsError } = require('../middleware/errorHandler');
+const { AUDIT_LOG_SHEET_NAME } = require('../config/sheetSchemas');
+
+// Actions recorded in the AuditLog sheet
+const AUDIT_ACTIONS = {
+  SCAN_DELETED: 'scan_deleted',
+  SCAN_RESTORED: 'scan_restored',
+  CONDITION_UPDATED: 'condition_updated',
+  STATUS_CHANGED: 'status_changed'
+};
+
+class AuditService {
+  constructor() {
+    this.sheetName = AUDIT_LOG_SHEET_NAME;
+    this.actions = AUDIT_ACTIONS;
+  }
+
+  /**
+   * Append an entry to the audit trail
+   * @param {Object} entry - { action, agency, inventoryId, identifier, user, userName, reason, details }
+   */
+  async record(entry) {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+
+      const timestamp = new Date().toISOString();
+      await storage.appendRow(this.sheetName, [
+        timestamp,
+        entry.action,
+        entry.agency,
+        entry.inventoryId || '',
+        entry.identifier || '',
+        entry.user || '',
+        entry.userName || '',
+        entry.reason || '',
+        entry.details ? JSON.stringify(entry.details) : ''
+      ]);
+
+      return { timestamp, ...entry };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to record audit entry: ${error.message}`);
+    }
+  }
+
+  // Map an AuditLog row to an entry
+  parseRow(row) {
+    let details = null;
+    if (row[8]) {
+      try {
+        details = JSON.parse(row[8]);
+      } catch (error) {
+        details = row[8];
+      }
+    }
+
+    return {
+      timestamp: row[0],
+      action: row[1],
+      agency: row[2],
+      inventoryId: row[3] || null,
+      identifier: row[4] || '',
+      user: row[5] || '',
+      userName: row[6] || '',
+      reason: row[7] || '',
+      details
+    };
+  }
+
+  /**
+   * Get the audit trail of one inventory, oldest first
+   * @param {string} agency - Location sheet name
+   * @param {string} inventoryId - Inventory ID
+   * @param {Array} actions - Optional list of actions to keep
+   */
+  async getInventoryHistory(agency, inventoryId, actions = null) {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+      const data = await storage.getSheetData(this.sheetName);
+
+      return data.slice(1)
+        .filter(row => row[2] === agency && row[3] === inventoryId)
+        .filter(row => !actions || actions.includes(row[1]))
+        .map(row => this.parseRow(row));
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get inventory history: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new AuditService();
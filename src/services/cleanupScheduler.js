@@ -1,13 +1,23 @@
 const cron = require('node-cron');
 const fileStorageService = require('./fileStorageService');
+const inventoryService = require('./inventoryService');
+const websocketService = require('./websocketService');
 const { GoogleSheetsError } = require('../middleware/errorHandler');
 const config = require('../config/googleSheets');
+const { staleCheck } = require('../config/inventoryPolicy');
+
+// Actor recorded on transitions made by the stale inventory check
+const STALE_CHECK_ACTOR = { user: 'system', userName: 'Stale inventory check' };
 
 class CleanupScheduler {
   constructor() {
     this.isRunning = false;
     this.schedule = config.drive.cleanup.schedule;
     this.task = null;
+
+    this.staleTask = null;
+    this.lastStaleCheck = null;
+    this.staleNotifiedAt = new Map(); // inventoryId -> time its room was last told it is stale
   }
 
   // Start the cleanup scheduler
@@ -115,13 +125,109 @@ class CleanupScheduler {
     }
   }
 
+  // Start the hourly stale inventory check
+  startStaleInventoryCheck() {
+    if (this.staleTask) {
+      console.log('⚠️ Stale inventory check is already running');
+      return;
+    }
+
+    if (!staleCheck.enabled) {
+      console.log('📅 Stale inventory check is disabled in configuration');
+      return;
+    }
+
+    try {
+      this.staleTask = cron.schedule(staleCheck.schedule, async () => {
+        try {
+          await this.runStaleInventoryCheck();
+        } catch (error) {
+          console.error('❌ Scheduled stale inventory check failed:', error);
+        }
+      }, {
+        scheduled: false,
+        timezone: 'UTC'
+      });
+
+      this.staleTask.start();
+      console.log(`✅ Stale inventory check started (${staleCheck.schedule} UTC)`);
+    } catch (error) {
+      console.error('❌ Failed to start stale inventory check:', error);
+      throw new GoogleSheetsError(`Failed to start stale inventory check: ${error.message}`);
+    }
+  }
+
+  // Stop the stale inventory check
+  stopStaleInventoryCheck() {
+    if (this.staleTask) {
+      this.staleTask.stop();
+      this.staleTask = null;
+      console.log('✅ Stale inventory check stopped');
+    }
+  }
+
+  /**
+   * Apply each stale inventory's policy action: notify its room, pause it or submit it for review
+   * Rooms are notified again only after another staleAfterHours without activity
+   */
+  async runStaleInventoryCheck() {
+    const now = new Date();
+    const stale = await inventoryService.getStaleInventories({ now });
+    console.log(`🕸️ Stale inventory check: ${stale.length} stale inventories`);
+
+    const results = [];
+    for (const inventory of stale) {
+      // Rooms are keyed by month number
+      const month = inventoryService.getMonthNumber(inventory.month).toString();
+      const reason = inventory.reasons.includes('monthEnded')
+        ? `${inventory.month} ${inventory.year} has ended`
+        : `No activity for ${inventory.inactiveHours} hours`;
+
+      try {
+        let change = null;
+        if (inventory.action === 'pause') {
+          change = await inventoryService.transitionInventory(inventory, 'pause', { ...STALE_CHECK_ACTOR, reason });
+        } else if (inventory.action === 'submit') {
+          change = await inventoryService.submitForReview(inventory, { ...STALE_CHECK_ACTOR, reason });
+        }
+
+        if (change) {
+          websocketService.notifyInventoryStatusChanged(inventory.agency, month, inventory.year, inventory.inventoryId, change);
+          this.staleNotifiedAt.delete(inventory.inventoryId);
+          results.push({ inventoryId: inventory.inventoryId, action: inventory.action, success: true, status: change.status });
+          continue;
+        }
+
+        const notifiedAt = this.staleNotifiedAt.get(inventory.inventoryId);
+        const notified = !notifiedAt || now - notifiedAt >= inventory.staleAfterHours * 60 * 60 * 1000;
+        if (notified) {
+          websocketService.notifyInventoryStale(inventory.agency, month, inventory.year, inventory.inventoryId, inventory);
+          this.staleNotifiedAt.set(inventory.inventoryId, now);
+        }
+        results.push({ inventoryId: inventory.inventoryId, action: 'notify', success: true, notified });
+      } catch (error) {
+        console.error(`❌ Failed to handle stale inventory ${inventory.inventoryId}:`, error.message);
+        results.push({ inventoryId: inventory.inventoryId, action: inventory.action, success: false, error: error.message });
+      }
+    }
+
+    this.lastStaleCheck = { ranAt: now.toISOString(), stale: stale.length, failed: results.filter(r => !r.success).length };
+    return { ...this.lastStaleCheck, results };
+  }
+
   // Get scheduler status
   getStatus() {
     return {
       isRunning: this.isRunning,
       schedule: this.schedule,
       nextRun: this.getNextRunTime(),
-      enabled: config.drive.cleanup.enabled
+      enabled: config.drive.cleanup.enabled,
+      staleInventoryCheck: {
+        isRunning: !!this.staleTask,
+        schedule: staleCheck.schedule,
+        enabled: staleCheck.enabled,
+        lastRun: this.lastStaleCheck
+      }
     };
   }
 
@@ -8,6 +8,9 @@ class DownloadService {
   constructor() {
     this.tempDir = path.join(__dirname, '../../temp');
     this.ensureTempDir();
+
+    // Title row of the sign-off block written under the scans of an approved inventory's CSV
+    this.approvalSectionTitle = 'Approval Record';
   }
 
   ensureTempDir() {
@@ -16,6 +19,54 @@ class DownloadService {
     }
   }
 
+  // Condition report columns of a scan (empty when it has no report)
+  getConditionColumns(scan) {
+    const condition = scan.condition;
+    return {
+      damage: condition ? condition.damages.map(damage => `${damage.panel}:${damage.code}`).join(', ') : '',
+      conditionNotes: condition?.notes || '',
+      mileage: condition?.mileage ?? '',
+      keysPresent: typeof condition?.keysPresent === 'boolean' ? (condition.keysPresent ? 'Yes' : 'No') : '',
+      fuelLevel: condition?.fuelLevel || ''
+    };
+  }
+
+  // Photo links of a scan, one per line
+  getPhotoLinks(scan) {
+    return (scan.photos || []).map(photo => photo.url).join('\n');
+  }
+
+  // Columns that let a backup be restored as it was scanned: Scanned At (its precision is 'day' on legacy rows
+  // whose time is unknown), zone, identifier type and the offline upload key
+  getTrackingColumns(scan) {
+    return {
+      scannedAt: scan.scannedAt || '',
+      scannedAtPrecision: scan.scannedAtPrecision || '',
+      zone: scan.zone || '',
+      identifierType: scan.identifierType || '',
+      scanKey: scan.scanKey || ''
+    };
+  }
+
+  // Label / value rows of an inventory's supervisor sign-off (empty until it is approved)
+  getApprovalRows(inventoryData) {
+    const approval = inventoryData.approval;
+    if (!approval) return [];
+
+    return [
+      ['Approved By', approval.approvedBy],
+      ['Approved At', approval.approvedAt],
+      ['Signature', approval.signature],
+      ['Comment', approval.comment]
+    ];
+  }
+
+  // Quote a CSV cell when it holds a delimiter, quote or line break
+  toCsvCell(value) {
+    const text = (value ?? '').toString();
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
   // Generate CSV file from inventory data
   async generateCSV(inventoryData) {
     try {
@@ -34,7 +85,18 @@ class DownloadService {
           { id: 'serie', title: 'Serie' },
           { id: 'marca', title: 'Marca' },
           { id: 'color', title: 'Color' },
-          { id: 'ubicaciones', title: 'Ubicaciones' }
+          { id: 'ubicaciones', title: 'Ubicaciones' },
+          { id: 'damage', title: 'Damage' },
+          { id: 'conditionNotes', title: 'Condition Notes' },
+          { id: 'mileage', title: 'Mileage' },
+          { id: 'keysPresent', title: 'Keys Present' },
+          { id: 'fuelLevel', title: 'Fuel Level' },
+          { id: 'photos', title: 'Photos' },
+          { id: 'scannedAt', title: 'Scanned At' },
+          { id: 'scannedAtPrecision', title: 'Scanned At Precision' },
+          { id: 'zone', title: 'Zone' },
+          { id: 'identifierType', title: 'Identifier Type' },
+          { id: 'scanKey', title: 'Scan Key' }
         ]
       });
 
@@ -46,13 +108,23 @@ class DownloadService {
         serie: scan.serie || '',
         marca: scan.marca || '',
         color: scan.color || '',
-        ubicaciones: scan.ubicaciones || ''
+        ubicaciones: scan.ubicaciones || '',
+        ...this.getConditionColumns(scan),
+        photos: this.getPhotoLinks(scan),
+        ...this.getTrackingColumns(scan)
       }));
 
       console.log(`📊 CSV data prepared:`, csvData.slice(0, 3)); // Log first 3 rows for debugging
 
       await csvWriter.writeRecords(csvData);
 
+      // Approved inventories carry the sign-off below the scans, after a blank line
+      const approvalRows = this.getApprovalRows(inventoryData);
+      if (approvalRows.length > 0) {
+        const lines = [[this.approvalSectionTitle], ...approvalRows].map(row => row.map(cell => this.toCsvCell(cell)).join(','));
+        fs.appendFileSync(filepath, `\n${lines.join('\n')}\n`);
+      }
+
       return {
         filename,
         filepath,
@@ -80,7 +152,9 @@ class DownloadService {
       // Prepare data for Excel - Enhanced with car data
       const excelData = [
         // Header row
-        ['Date', 'Identifier', 'Scanned By', 'Serie', 'Marca', 'Color', 'Ubicaciones'],
+        ['Date', 'Identifier', 'Scanned By', 'Serie', 'Marca', 'Color', 'Ubicaciones',
+          'Damage', 'Condition Notes', 'Mileage', 'Keys Present', 'Fuel Level', 'Photos', 'Scanned At',
+          'Scanned At Precision', 'Zone', 'Identifier Type', 'Scan Key'],
         // Data rows
         ...inventoryData.scans.map(scan => [
           scan.date,
@@ -89,7 +163,10 @@ class DownloadService {
           scan.serie || '',
           scan.marca || '',
           scan.color || '',
-          scan.ubicaciones || ''
+          scan.ubicaciones || '',
+          ...Object.values(this.getConditionColumns(scan)),
+          this.getPhotoLinks(scan),
+          ...Object.values(this.getTrackingColumns(scan))
         ])
       ];
 
@@ -101,6 +178,12 @@ class DownloadService {
       // Add worksheet to workbook
       XLSX.utils.book_append_sheet(workbook, worksheet, 'Inventory Data');
 
+      // Approved inventories carry the sign-off on its own sheet
+      const approvalRows = this.getApprovalRows(inventoryData);
+      if (approvalRows.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[this.approvalSectionTitle, ''], ...approvalRows]), 'Approval');
+      }
+
       // Write file
       XLSX.writeFile(workbook, filepath);
 
@@ -118,6 +201,248 @@ class DownloadService {
     }
   }
 
+  // Flatten a reconciliation report into one row per vehicle, tagged with its category
+  getReconciliationRows(report) {
+    const categories = [
+      ['found', 'Found'],
+      ['misplaced', 'Misplaced'],
+      ['missing', 'Missing'],
+      ['unexpected', 'Unexpected']
+    ];
+
+    return categories.flatMap(([key, status]) => report[key].map(vehicle => ({
+      status,
+      serie: vehicle.serie || '',
+      marca: vehicle.marca || '',
+      color: vehicle.color || '',
+      expectedUbicaciones: key === 'missing' ? vehicle.ubicaciones || '' : vehicle.expectedUbicaciones || '',
+      scannedUbicaciones: vehicle.scannedUbicaciones || '',
+      scannedBy: vehicle.scannedBy || '',
+      scanDate: vehicle.scanDate || ''
+    })));
+  }
+
+  // Generate CSV file from a reconciliation report
+  async generateReconciliationCSV(report) {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `${report.agency}_${report.month}_${report.year}_reconciliation_${timestamp}.csv`;
+      const filepath = path.join(this.tempDir, filename);
+
+      const rows = this.getReconciliationRows(report);
+      console.log(`📊 Generating reconciliation CSV with ${rows.length} rows`);
+
+      const csvWriter = createCsvWriter({
+        path: filepath,
+        header: [
+          { id: 'status', title: 'Status' },
+          { id: 'serie', title: 'Serie' },
+          { id: 'marca', title: 'Marca' },
+          { id: 'color', title: 'Color' },
+          { id: 'expectedUbicaciones', title: 'Expected Ubicaciones' },
+          { id: 'scannedUbicaciones', title: 'Scanned Ubicaciones' },
+          { id: 'scannedBy', title: 'Scanned By' },
+          { id: 'scanDate', title: 'Scan Date' }
+        ]
+      });
+
+      await csvWriter.writeRecords(rows);
+
+      return {
+        filename,
+        filepath,
+        size: fs.statSync(filepath).size,
+        type: 'csv'
+      };
+    } catch (error) {
+      console.error(`❌ Reconciliation CSV generation error:`, error);
+      throw new GoogleSheetsError(`Failed to generate reconciliation CSV: ${error.message}`);
+    }
+  }
+
+  // Generate Excel file from a reconciliation report (summary sheet plus one sheet per category)
+  async generateReconciliationExcel(report) {
+    try {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `${report.agency}_${report.month}_${report.year}_reconciliation_${timestamp}.xlsx`;
+      const filepath = path.join(this.tempDir, filename);
+
+      const rows = this.getReconciliationRows(report);
+      console.log(`📊 Generating reconciliation Excel with ${rows.length} rows`);
+
+      const workbook = XLSX.utils.book_new();
+
+      const summaryData = [
+        ['Location', report.agency],
+        ['Month', report.month],
+        ['Year', report.year],
+        ['Inventory ID', report.inventoryId || ''],
+        ['Inventory Status', report.inventoryStatus],
+        [],
+        ['Expected', report.summary.expected],
+        ['Scanned', report.summary.scanned],
+        ['Found', report.summary.found],
+        ['Misplaced', report.summary.misplaced],
+        ['Missing', report.summary.missing],
+        ['Unexpected', report.summary.unexpected]
+      ];
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryData), 'Summary');
+
+      ['Found', 'Misplaced', 'Missing', 'Unexpected'].forEach(status => {
+        const sheetData = [
+          ['Serie', 'Marca', 'Color', 'Expected Ubicaciones', 'Scanned Ubicaciones', 'Scanned By', 'Scan Date'],
+          ...rows.filter(row => row.status === status).map(row => [
+            row.serie,
+            row.marca,
+            row.color,
+            row.expectedUbicaciones,
+            row.scannedUbicaciones,
+            row.scannedBy,
+            row.scanDate
+          ])
+        ];
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetData), status);
+      });
+
+      XLSX.writeFile(workbook, filepath);
+
+      console.log(`✅ Reconciliation Excel file generated: ${filepath}`);
+
+      return {
+        filename,
+        filepath,
+        size: fs.statSync(filepath).size,
+        type: 'excel'
+      };
+    } catch (error) {
+      console.error(`❌ Reconciliation Excel generation error:`, error);
+      throw new GoogleSheetsError(`Failed to generate reconciliation Excel file: ${error.message}`);
+    }
+  }
+
+  // Flatten an inventory diff into one row per vehicle, tagged with its change
+  getDiffRows(diff) {
+    const changes = [
+      ['arrivals', 'Arrived'],
+      ['departures', 'Left'],
+      ['relocations', 'Relocated']
+    ];
+
+    return changes.flatMap(([key, change]) => diff[key].map(vehicle => ({
+      change,
+      serie: vehicle.serie || '',
+      marca: vehicle.marca || '',
+      color: vehicle.color || '',
+      fromUbicaciones: key === 'relocations' ? vehicle.fromUbicaciones : key === 'departures' ? vehicle.ubicaciones || '' : '',
+      toUbicaciones: key === 'relocations' ? vehicle.toUbicaciones : key === 'arrivals' ? vehicle.ubicaciones || '' : '',
+      scannedBy: vehicle.scannedBy || '',
+      scanDate: vehicle.scanDate || ''
+    })));
+  }
+
+  // Base name of an inventory diff export (locations and inventories by the last 8 characters of their IDs)
+  getDiffFilename(diff, extension) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const shortId = inventoryId => inventoryId.replace('inv_', '').slice(-8);
+    return `${diff.agency}_diff_${shortId(diff.from.inventoryId)}_${shortId(diff.to.inventoryId)}_${timestamp}.${extension}`;
+  }
+
+  // Generate CSV file from an inventory diff
+  async generateDiffCSV(diff) {
+    try {
+      const filename = this.getDiffFilename(diff, 'csv');
+      const filepath = path.join(this.tempDir, filename);
+
+      const rows = this.getDiffRows(diff);
+      console.log(`📊 Generating inventory diff CSV with ${rows.length} rows`);
+
+      const csvWriter = createCsvWriter({
+        path: filepath,
+        header: [
+          { id: 'change', title: 'Change' },
+          { id: 'serie', title: 'Serie' },
+          { id: 'marca', title: 'Marca' },
+          { id: 'color', title: 'Color' },
+          { id: 'fromUbicaciones', title: 'From Ubicaciones' },
+          { id: 'toUbicaciones', title: 'To Ubicaciones' },
+          { id: 'scannedBy', title: 'Scanned By' },
+          { id: 'scanDate', title: 'Scan Date' }
+        ]
+      });
+
+      await csvWriter.writeRecords(rows);
+
+      return {
+        filename,
+        filepath,
+        size: fs.statSync(filepath).size,
+        type: 'csv'
+      };
+    } catch (error) {
+      console.error(`❌ Inventory diff CSV generation error:`, error);
+      throw new GoogleSheetsError(`Failed to generate inventory diff CSV: ${error.message}`);
+    }
+  }
+
+  // Generate Excel file from an inventory diff (summary sheet plus one sheet per change)
+  async generateDiffExcel(diff) {
+    try {
+      const filename = this.getDiffFilename(diff, 'xlsx');
+      const filepath = path.join(this.tempDir, filename);
+
+      const rows = this.getDiffRows(diff);
+      console.log(`📊 Generating inventory diff Excel with ${rows.length} rows`);
+
+      const workbook = XLSX.utils.book_new();
+
+      const summaryData = [
+        ['Location', diff.agency],
+        ['From Inventory', diff.from.inventoryId],
+        ['From Month', `${diff.from.month} ${diff.from.year}`],
+        ['From Vehicles', diff.from.vehicles],
+        ['To Inventory', diff.to.inventoryId],
+        ['To Month', `${diff.to.month} ${diff.to.year}`],
+        ['To Vehicles', diff.to.vehicles],
+        [],
+        ['Arrived', diff.summary.arrivals],
+        ['Left', diff.summary.departures],
+        ['Relocated', diff.summary.relocations],
+        ['Unchanged', diff.summary.unchanged]
+      ];
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryData), 'Summary');
+
+      ['Arrived', 'Left', 'Relocated'].forEach(change => {
+        const sheetData = [
+          ['Serie', 'Marca', 'Color', 'From Ubicaciones', 'To Ubicaciones', 'Scanned By', 'Scan Date'],
+          ...rows.filter(row => row.change === change).map(row => [
+            row.serie,
+            row.marca,
+            row.color,
+            row.fromUbicaciones,
+            row.toUbicaciones,
+            row.scannedBy,
+            row.scanDate
+          ])
+        ];
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(sheetData), change);
+      });
+
+      XLSX.writeFile(workbook, filepath);
+
+      console.log(`✅ Inventory diff Excel file generated: ${filepath}`);
+
+      return {
+        filename,
+        filepath,
+        size: fs.statSync(filepath).size,
+        type: 'excel'
+      };
+    } catch (error) {
+      console.error(`❌ Inventory diff Excel generation error:`, error);
+      throw new GoogleSheetsError(`Failed to generate inventory diff Excel file: ${error.message}`);
+    }
+  }
+
   // Clean up temporary files
   cleanupFile(filepath) {
     try {
@@ -0,0 +1,31 @@
+const googleDrive = require('./oauthGoogleDrive');
+const config = require('../config/photos');
+
+// Stores scan photos on Google Drive, in a photos folder kept apart from the inventory backups
+class DrivePhotoStorage {
+  constructor() {
+    this.name = 'drive';
+  }
+
+  async save(filePath, metadata) {
+    const rootFolderId = process.env.GOOGLE_DRIVE_INVENTORY_FOLDER_ID || 'root';
+    const photosFolderId = await googleDrive.ensureLocationFolder(config.driveFolder, rootFolderId);
+
+    const driveFile = await googleDrive.uploadFile(filePath, {
+      ...metadata,
+      type: config.mimeTypes[metadata.mimeType]
+    }, photosFolderId);
+
+    return {
+      fileId: driveFile.fileId,
+      url: driveFile.webViewLink,
+      size: driveFile.size
+    };
+  }
+
+  async read(fileId) {
+    return googleDrive.downloadFile(fileId);
+  }
+}
+
+module.exports = new DrivePhotoStorage();
@@ -1,31 +1,30 @@
 const path = require('path');
 const fs = require('fs');
+const XLSX = require('xlsx');
 const googleDrive = require('./oauthGoogleDrive');
 const downloadService = require('./downloadService');
 const inventoryService = require('./inventoryService');
-const googleSheets = require('./googleSheets');
+const locationService = require('./locationService');
+const storage = require('./storage');
 const { GoogleSheetsError, ValidationError } = require('../middleware/errorHandler');
 const config = require('../config/googleSheets');
+const { FILE_STORAGE_SHEET_NAME, fileStorageHeaders, locationHeaders } = require('../config/sheetSchemas');
 
 class FileStorageService {
   constructor() {
-    this.storageSheetName = 'FileStorage';
+    this.storageSheetName = FILE_STORAGE_SHEET_NAME;
     this.retentionDays = config.drive.retentionDays;
   }
 
   // Ensure storage tracking sheet exists
   async ensureStorageSheet() {
     try {
-      await googleSheets.ensureSheetExists(this.storageSheetName);
+      await storage.ensureSheetExists(this.storageSheetName);
       
       // Check if headers exist, if not add them
-      const data = await googleSheets.getSheetData(this.storageSheetName);
+      const data = await storage.getSheetData(this.storageSheetName);
       if (data.length === 0) {
-        const headers = [
-          'File ID', 'Filename', 'Agency', 'Month', 'Year', 'Type', 
-          'Size', 'Uploaded At', 'Expires At', 'Download Count', 'Status'
-        ];
-        await googleSheets.appendRow(this.storageSheetName, headers);
+        await storage.appendRow(this.storageSheetName, fileStorageHeaders);
         console.log('✅ Created FileStorage sheet with headers');
       }
     } catch (error) {
@@ -33,6 +32,12 @@ class FileStorageService {
     }
   }
 
+  // Drive folder for a location, from the location registry (falls back to the agency name)
+  async getDriveFolderName(agency) {
+    const location = await locationService.getLocation(agency);
+    return location ? location.driveFolder : agency;
+  }
+
   // Store inventory file on Google Drive (simplified - no Google Sheets tracking)
   async storeInventoryFile(agency, month, year, fileType = 'csv', inventoryId = null) {
     try {
@@ -42,8 +47,8 @@ class FileStorageService {
         console.log(`🆔 Inventory ID: ${inventoryId}`);
       }
 
-      // Get inventory data from the agency sheet
-      const inventoryData = await inventoryService.getInventoryDataForDownload(agency, month, year);
+      // Get inventory data from the agency sheet (the given inventory, or the most recent completed one)
+      const inventoryData = await inventoryService.getInventoryDataForDownload(agency, month, year, inventoryId);
       
       // Generate file locally first
       let fileInfo;
@@ -73,6 +78,7 @@ class FileStorageService {
       }
       
       const metadata = googleDrive.generateFileMetadata(agency, month, year, fileType, timestamp, inventoryId, createdAt);
+      metadata.folder = await this.getDriveFolderName(agency);
 
       // Upload to Google Drive
       const folderId = process.env.GOOGLE_DRIVE_INVENTORY_FOLDER_ID || 'root';
@@ -108,7 +114,7 @@ class FileStorageService {
     try {
       await this.ensureStorageSheet();
 
-      const data = await googleSheets.getSheetData(this.storageSheetName);
+      const data = await storage.getSheetData(this.storageSheetName);
       
       // Filter files for the specific agency/month/year
       const files = data.filter(row => {
@@ -142,7 +148,7 @@ class FileStorageService {
     try {
       await this.ensureStorageSheet();
 
-      const data = await googleSheets.getSheetData(this.storageSheetName);
+      const data = await storage.getSheetData(this.storageSheetName);
       
       // Skip header row
       const files = data.slice(1).filter(row => {
@@ -225,7 +231,7 @@ class FileStorageService {
   // Increment download count
   async incrementDownloadCount(fileId) {
     try {
-      const data = await googleSheets.getSheetData(this.storageSheetName);
+      const data = await storage.getSheetData(this.storageSheetName);
       
       const rowIndex = data.findIndex(row => {
         if (row.length < 1) return false;
@@ -239,7 +245,7 @@ class FileStorageService {
         // Update download count (column 10)
         data[rowIndex][9] = newCount.toString();
         
-        await googleSheets.updateRow(this.storageSheetName, rowIndex + 1, data[rowIndex]);
+        await storage.updateRow(this.storageSheetName, rowIndex + 1, data[rowIndex]);
         console.log(`📊 Updated download count for ${fileId}: ${currentCount} → ${newCount}`);
       }
     } catch (error) {
@@ -255,7 +261,7 @@ class FileStorageService {
       
       await this.ensureStorageSheet();
 
-      const data = await googleSheets.getSheetData(this.storageSheetName);
+      const data = await storage.getSheetData(this.storageSheetName);
       const now = new Date();
       
       // Find expired files
@@ -283,7 +289,7 @@ class FileStorageService {
           const rowIndex = data.findIndex(row => row[0] === fileId);
           if (rowIndex !== -1) {
             data[rowIndex][10] = 'Expired'; // Status
-            await googleSheets.updateRow(this.storageSheetName, rowIndex + 1, data[rowIndex]);
+            await storage.updateRow(this.storageSheetName, rowIndex + 1, data[rowIndex]);
           }
           
           results.push({
@@ -325,7 +331,7 @@ class FileStorageService {
     try {
       await this.ensureStorageSheet();
 
-      const data = await googleSheets.getSheetData(this.storageSheetName);
+      const data = await storage.getSheetData(this.storageSheetName);
       const files = data.slice(1).filter(row => row.length >= 8);
 
       const stats = {
@@ -366,7 +372,7 @@ class FileStorageService {
       const folderId = process.env.GOOGLE_DRIVE_INVENTORY_FOLDER_ID || 'root';
       
       // List files in the agency folder
-      const files = await googleDrive.listFilesInFolder(folderId, agency);
+      const files = await googleDrive.listFilesInFolder(folderId, await this.getDriveFolderName(agency));
       
       console.log(`📊 Found ${files.length} files for ${agency}`);
       files.forEach(file => {
@@ -380,6 +386,68 @@ class FileStorageService {
     }
   }
 
+  /**
+   * Read the scans of an inventory back from its Drive backup
+   * Used once a completed inventory's rows were cleared from the location sheet
+   * @param {string} agency - Location sheet name
+   * @param {string} inventoryId - Inventory ID (backups are named with its last 8 characters)
+   * @returns {Promise<Array|null>} - Scans, or null when no backup exists
+   */
+  async getBackupScans(agency, inventoryId) {
+    const rows = await this.getBackupScanRows(agency, inventoryId);
+    return rows ? rows.map(row => inventoryService.parseScanRow(row)) : null;
+  }
+
+  /**
+   * Read the latest Drive backup of an inventory as location sheet rows
+   * @param {string} agency - Location sheet name
+   * @param {string} inventoryId - Inventory ID (backups are named with its last 8 characters)
+   * @returns {Promise<Array|null>} - Rows in the location sheet layout, or null when no backup exists
+   */
+  async getBackupScanRows(agency, inventoryId) {
+    try {
+      const shortInventoryId = inventoryId.replace('inv_', '').slice(-8);
+      const folderId = process.env.GOOGLE_DRIVE_INVENTORY_FOLDER_ID || 'root';
+      const files = await googleDrive.listFilesInFolder(folderId, await this.getDriveFolderName(agency));
+
+      // Files are listed newest first; CSV and Excel backups share the same columns
+      const backup = files.find(file => file.name.includes(`_${shortInventoryId}.`));
+      if (!backup) {
+        console.log(`⚠️ No Drive backup found for ${agency} inventory ${inventoryId}`);
+        return null;
+      }
+
+      console.log(`☁️ Reading scans from Drive backup: ${backup.name}`);
+      const buffer = await googleDrive.downloadFile(backup.id);
+      const workbook = XLSX.read(buffer, { type: 'buffer', raw: true });
+      const [headers = [], ...allRows] = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: '', raw: false });
+
+      // CSV backups of approved inventories end with the sign-off block
+      const approvalIndex = allRows.findIndex(row => row[0] === downloadService.approvalSectionTitle);
+      const rows = approvalIndex === -1 ? allRows : allRows.slice(0, approvalIndex);
+
+      // Backups carry the 7 scan columns, then the condition report, Photos, Scanned At and the columns that
+      // tie a scan to its zone, identifier type and upload key; they are matched by header (older backups lack some)
+      const restoredColumns = locationHeaders
+        .map((header, index) => ({ index, column: index >= 12 ? headers.indexOf(header) : -1 }))
+        .filter(({ column }) => column !== -1);
+
+      return rows
+        .filter(row => row[1])
+        .map(row => {
+          const scanRow = inventoryService.toFullScanRow(row.slice(0, 7).map(value => value.toString()));
+          scanRow[7] = inventoryId;
+          restoredColumns.forEach(({ index, column }) => {
+            scanRow[index] = (row[column] ?? '').toString();
+          });
+          return scanRow;
+        });
+    } catch (error) {
+      console.error(`Error reading backup for ${agency} inventory ${inventoryId}:`, error);
+      throw new GoogleSheetsError(`Failed to read inventory backup: ${error.message}`);
+    }
+  }
+
 }
 
 module.exports = new FileStorageService();
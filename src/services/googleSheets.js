@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const { GoogleSheetsError } = require('../middleware/errorHandler');
 const config = require('../config/googleSheets');
+const { getHeadersForSheet } = require('../config/sheetSchemas');
 
 // Cache for sheet data to reduce API calls
 const sheetDataCache = new Map();
@@ -14,6 +15,7 @@ let requestWindowStart = Date.now();
 
 class GoogleSheetsService {
   constructor() {
+    this.driver = 'googleSheets';
     this.spreadsheetId = process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
     this.auth = null;
     this.sheets = null;
@@ -180,6 +182,18 @@ class GoogleSheetsService {
     }
   }
 
+  // Convert a 1-based column number to its A1 letter (1 -> A, 27 -> AA)
+  getColumnLetter(columnNumber) {
+    let letter = '';
+    let remaining = columnNumber;
+    while (remaining > 0) {
+      const index = (remaining - 1) % 26;
+      letter = String.fromCharCode(65 + index) + letter;
+      remaining = Math.floor((remaining - 1) / 26);
+    }
+    return letter;
+  }
+
   async ensureSheetExists(sheetName) {
     await this.ensureInitialized();
     
@@ -193,19 +207,8 @@ class GoogleSheetsService {
       );
 
       if (!sheetExists) {
-        if (sheetName === 'MonthlySummary') {
-          // MonthlySummary with all required fields - Updated to use "Location" instead of "Agency"
-          const headers = [
-            'Month', 'Year', 'Location', 'Status', 'Created At', 'Created By', 'User Name', 
-            'Total Scans', 'Session ID', 'Completed At', 'Finished By'
-          ];
-          await this.createSheet(sheetName, headers);
-        } else {
-          // Location sheets: simple and clean, only current month data
-          // Updated to handle both agencies and bodegas
-          const headers = ['Date', 'Identifier', 'Scanned By', 'Serie', 'Marca', 'Color', 'Ubicaciones'];
-          await this.createSheet(sheetName, headers);
-        }
+        // MonthlySummary or location sheet headers (shared with the local adapter)
+        await this.createSheet(sheetName, getHeadersForSheet(sheetName));
         console.log(`✅ Created sheet: ${sheetName}`);
       }
     } catch (error) {
@@ -235,7 +238,7 @@ class GoogleSheetsService {
       if (headers) {
         await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `${sheetName}!A1:${String.fromCharCode(65 + headers.length - 1)}1`,
+          range: `${sheetName}!A1:${this.getColumnLetter(headers.length)}1`,
           valueInputOption: 'USER_ENTERED',
           resource: { values: [headers] }
         });
@@ -273,6 +276,33 @@ class GoogleSheetsService {
     }
   }
 
+  // Append several rows in one API call
+  async appendRows(sheetName, rows) {
+    if (rows.length === 0) return null;
+
+    await this.ensureInitialized();
+    await this.ensureSheetExists(sheetName);
+    
+    // Apply rate limiting
+    await this.rateLimit();
+    
+    try {
+      const response = await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A:A`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: rows }
+      });
+      
+      // Clear cache since data has changed
+      this.clearCache(sheetName);
+      
+      return response.data;
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to append ${rows.length} rows to ${sheetName}: ${error.message}`);
+    }
+  }
+
   async clearSheet(sheetName) {
     await this.ensureInitialized();
     
@@ -282,6 +312,9 @@ class GoogleSheetsService {
         spreadsheetId: this.spreadsheetId,
         range: `${sheetName}!A2:Z`
       });
+
+      // Clear cache since data has changed
+      this.clearCache(sheetName);
       
       console.log(`✅ Cleared sheet: ${sheetName}`);
       return true;
@@ -374,6 +407,7 @@ class GoogleSheetsService {
   }
 
   // Batch update multiple rows at once (more efficient for rebuilding sheets)
+  // Rewrites every data row, so the range must cover the widest row or its trailing columns are lost
   async batchUpdateRows(sheetName, rows) {
     await this.ensureInitialized();
     try {
@@ -382,14 +416,20 @@ class GoogleSheetsService {
       
       // Add all rows in batch
       if (rows.length > 0) {
+        const stringRows = rows.map(row => row.map(value => value !== null && value !== undefined ? value.toString() : ''));
+        const columnCount = Math.max(1, ...stringRows.map(row => row.length));
+
         const response = await this.sheets.spreadsheets.values.update({
           spreadsheetId: this.spreadsheetId,
-          range: `${sheetName}!A2:C${rows.length + 1}`, // Start from row 2 (after headers), include Scanned By column
+          range: `${sheetName}!A2:${this.getColumnLetter(columnCount)}${rows.length + 1}`, // Start from row 2 (after headers)
           valueInputOption: 'USER_ENTERED',
           resource: {
-            values: rows
+            values: stringRows
           }
         });
+
+        // Clear cache since data has changed
+        this.clearCache(sheetName);
         
         return { success: true, updatedCells: response.data.updatedCells };
       }
@@ -413,7 +453,7 @@ class GoogleSheetsService {
       
       const response = await this.sheets.spreadsheets.values.update({
         spreadsheetId: this.spreadsheetId,
-        range: `${sheetName}!A${rowNumber}:${String.fromCharCode(65 + stringValues.length - 1)}${rowNumber}`,
+        range: `${sheetName}!A${rowNumber}:${this.getColumnLetter(stringValues.length)}${rowNumber}`,
         valueInputOption: 'USER_ENTERED',
         resource: {
           values: [stringValues]
@@ -0,0 +1,154 @@
+const { ValidationError } = require('../middleware/errorHandler');
+const { validateInventoryPolicy } = require('../utils/validation');
+const { OPEN_STATUSES, SCANNING_STATUSES, INVENTORY_STATUS } = require('../config/inventoryStatus');
+const policyConfig = require('../config/inventoryPolicy');
+const { defaultTimezone } = require('../config/locations');
+
+/**
+ * Per-location rules for starting a new inventory
+ * Locations store only the fields they override; everything else comes from the default policy
+ */
+class InventoryPolicyService {
+  constructor() {
+    this.defaultPolicy = policyConfig.defaultPolicy;
+  }
+
+  /**
+   * Throw a ValidationError listing what is wrong with policy overrides
+   * @param {Object} overrides - Partial policy
+   */
+  assertValidOverrides(overrides) {
+    const validation = validateInventoryPolicy(overrides);
+    if (!validation.isValid) {
+      throw new ValidationError(`Invalid inventory policy: ${validation.errors.join('; ')}`, validation.errors);
+    }
+  }
+
+  // Effective policy of a location: the defaults with its overrides applied
+  resolvePolicy(overrides) {
+    return { ...this.defaultPolicy, ...(overrides || {}) };
+  }
+
+  // Calendar date of an instant at a location, with its weekday (0 = Sunday)
+  getLocalDate(date, timeZone) {
+    const inventoryService = require('./inventoryService');
+    const zoned = inventoryService.getZonedDate(date, timeZone);
+    return { ...zoned, weekday: new Date(Date.UTC(zoned.year, zoned.month - 1, zoned.day)).getUTCDay() };
+  }
+
+  // The instant a calendar day starts at a location; days and months past their end roll over (e.g. day 32)
+  getDayStart(year, month, day, timeZone) {
+    const inventoryService = require('./inventoryService');
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return inventoryService.getZonedDayStart({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate()
+    }, timeZone);
+  }
+
+  // Start and end (exclusive) of the day, week (Monday first) or month containing a date, in the location's timezone
+  getPeriodRange(date, period, timeZone) {
+    const { year, month, day, weekday } = this.getLocalDate(date, timeZone);
+
+    if (period === 'day') {
+      return { start: this.getDayStart(year, month, day, timeZone), end: this.getDayStart(year, month, day + 1, timeZone) };
+    }
+    if (period === 'week') {
+      const monday = day - ((weekday + 6) % 7);
+      return { start: this.getDayStart(year, month, monday, timeZone), end: this.getDayStart(year, month, monday + 7, timeZone) };
+    }
+
+    return { start: this.getDayStart(year, month, 1, timeZone), end: this.getDayStart(year, month + 1, 1, timeZone) };
+  }
+
+  // "HH:MM" of a date in the location's timezone
+  getTimeOfDay(date, timeZone) {
+    const { hour, minute } = this.getLocalDate(date, timeZone);
+    return `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Throw a ValidationError naming the rule that stops a new inventory from being started
+   * Monthly periods count the inventories of the target month, so offline scans of an earlier
+   * month are counted against that month; daily and weekly periods count by creation date
+   * Days, weeks and the start window are those of the location's timezone
+   * @param {Object} policy - Effective policy of the location
+   * @param {Object} context - { agency, month (name), year, inventories (all of the location, with startedAt), timeZone, now }
+   * @returns {Object} - { policy, periodCount, activeCount }
+   */
+  assertCanStart(policy, { agency, month, year, inventories, timeZone = defaultTimezone, now = new Date() }) {
+    const fail = (rule, message, details = {}) => {
+      throw new ValidationError(`Cannot start a new inventory for ${agency}: ${message} (rule: ${rule})`, { rule, policy, ...details });
+    };
+
+    if (policy.allowedDays.length > 0) {
+      const today = policyConfig.weekdays[this.getLocalDate(now, timeZone).weekday];
+      if (!policy.allowedDays.includes(today)) {
+        fail('allowedDays', `inventories can only be started on ${policy.allowedDays.join(', ')}`, { today });
+      }
+    }
+
+    if (policy.startWindow) {
+      const time = this.getTimeOfDay(now, timeZone);
+      if (time < policy.startWindow.from || time >= policy.startWindow.to) {
+        fail('startWindow', `inventories can only be started between ${policy.startWindow.from} and ${policy.startWindow.to}`, { time });
+      }
+    }
+
+    const activeInventories = inventories.filter(inv => OPEN_STATUSES.includes(inv.status));
+    if (policy.maxActiveInventories !== null && activeInventories.length >= policy.maxActiveInventories) {
+      fail('maxActiveInventories',
+        `${activeInventories.length} inventories are already in progress (maximum ${policy.maxActiveInventories}); finish or cancel one first`,
+        { activeInventories: activeInventories.map(inv => inv.inventoryId) });
+    }
+
+    // Cancelled inventories do not count towards the limit
+    const counted = inventories.filter(inv => inv.status !== INVENTORY_STATUS.CANCELLED);
+    let periodInventories;
+    if (policy.period === 'month') {
+      periodInventories = counted.filter(inv => inv.month === month && inv.year === year.toString());
+    } else {
+      const { start, end } = this.getPeriodRange(now, policy.period, timeZone);
+      periodInventories = counted.filter(inv => inv.startedAt && inv.startedAt >= start && inv.startedAt < end);
+    }
+
+    if (periodInventories.length >= policy.maxInventoriesPerPeriod) {
+      fail('maxInventoriesPerPeriod',
+        `maximum ${policy.maxInventoriesPerPeriod} inventories per ${policy.period} allowed`,
+        { periodCount: periodInventories.length });
+    }
+
+    return {
+      policy,
+      periodCount: periodInventories.length,
+      activeCount: activeInventories.length
+    };
+  }
+
+  /**
+   * Why an inventory is stale under a policy: 'inactive' (no activity for staleAfterHours)
+   * and/or 'monthEnded' (still Active after its month); empty when it is not stale
+   * @param {Object} policy - Effective policy of the location
+   * @param {Object} inventory - Inventory with status
+   * @param {Object} context - { lastActivityAt (Date or null), monthEnded, now }
+   * @returns {Array} - Reasons
+   */
+  getStaleReasons(policy, inventory, { lastActivityAt, monthEnded, now = new Date() }) {
+    if (!SCANNING_STATUSES.includes(inventory.status)) {
+      return [];
+    }
+
+    const reasons = [];
+    if (lastActivityAt && now - lastActivityAt >= policy.staleAfterHours * 60 * 60 * 1000) {
+      reasons.push('inactive');
+    }
+    // A reopened inventory is usually corrected after its month, so only inactivity makes it stale
+    if (monthEnded && inventory.status === INVENTORY_STATUS.ACTIVE) {
+      reasons.push('monthEnded');
+    }
+    return reasons;
+  }
+}
+
+module.exports = new InventoryPolicyService();
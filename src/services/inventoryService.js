@@ -1,46 +1,54 @@
-const googleSheets = require('./googleSheets');
-const { ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+const storage = require('./storage');
+const locationService = require('./locationService');
+const auditService = require('./auditService');
+const lockService = require('./lockService');
+const inventoryPolicyService = require('./inventoryPolicyService');
+const vinDecoderService = require('./vinDecoderService');
+const { ValidationError, NotFoundError, ConflictError, GoogleSheetsError } = require('../middleware/errorHandler');
 const { v4: uuidv4 } = require('uuid');
+const { SUMMARY_SHEET_NAME, summaryHeaders, locationHeaders } = require('../config/sheetSchemas');
+const { validateConditionReport, detectIdentifierType, validateSerie } = require('../utils/validation');
+const identifierConfig = require('../config/identifierTypes');
+const { defaultTimezone } = require('../config/locations');
+const { actions: VIN_ACTIONS } = require('../config/vinIndex');
+const {
+  INVENTORY_STATUS, TRANSITIONS, SCANNING_STATUSES, OPEN_STATUSES, FINISHED_STATUSES, getAllowedTransitions
+} = require('../config/inventoryStatus');
+
+// Location sheet Status column (empty on rows saved before soft deletes)
+const SCAN_STATUS = {
+  DELETED: 'Deleted',
+  RESTORED: 'Restored'
+};
 
 class InventoryService {
   constructor() {
-    this.summarySheetName = 'MonthlySummary';
-    
-    // Available locations (agencies + bodegas)
-    this.locations = {
-      // Agencies
-      'suzuki': { name: 'Suzuki', type: 'agency', googleSheetId: 'your-suzuki-sheet-id' },
-      'alfa-romeo': { name: 'Alfa Romeo', type: 'agency', googleSheetId: 'Alfa Romeo' },
-      'renault': { name: 'Renault', type: 'agency', googleSheetId: 'Renault' },
-      'jac': { name: 'Jac', type: 'agency', googleSheetId: 'Jac' },
-      'car4u': { name: 'Car4u', type: 'agency', googleSheetId: 'Car4u' },
-      'audi': { name: 'Audi', type: 'agency', googleSheetId: 'audi' },
-      'stellantis': { name: 'Stellantis', type: 'agency', googleSheetId: 'Stellantis' },
-      
-      // Bodegas
-      'bodega-coyote': { name: 'Bodega Coyote', type: 'bodega', googleSheetId: 'Bodega Coyote' },
-      'bodega-goyo': { name: 'Bodega Goyo', type: 'bodega', googleSheetId: 'Bodega Goyo' }
-    };
+    this.summarySheetName = SUMMARY_SHEET_NAME;
+
+    // Location sheets whose header row is known to be current
+    this.checkedHeaders = new Set();
+
+    // Intl formatters by timezone, to read a date's calendar day in a location's timezone
+    this.zonedFormatters = new Map();
+
+    // Most scans accepted by one saveScansBatch call
+    this.maxBatchScans = 500;
   }
 
-  // Get available locations
-  getAvailableLocations() {
-    return Object.keys(this.locations).map(key => ({
-      id: key,
-      name: this.locations[key].name,
-      type: this.locations[key].type,
-      googleSheetId: this.locations[key].googleSheetId
-    }));
+  // Get available locations (agencies + bodegas) from the location registry
+  async getAvailableLocations() {
+    return locationService.listLocations();
   }
 
-  // Validate location name
-  validateLocation(locationId) {
-    return this.locations.hasOwnProperty(locationId.toLowerCase());
+  // Validate a location id, name or sheet name against the registry
+  // Returns the location; throws ValidationError when it is unknown or inactive
+  async validateLocation(locationId) {
+    return locationService.validateLocation(locationId);
   }
 
   // Get location info
-  getLocationInfo(locationId) {
-    return this.locations[locationId.toLowerCase()] || null;
+  async getLocationInfo(locationId) {
+    return locationService.getLocation(locationId);
   }
 
   // Convert month number to readable name
@@ -52,6 +60,214 @@ class InventoryService {
     return months[parseInt(month) - 1] || 'Unknown';
   }
 
+  // Convert a month name (as stored in MonthlySummary) back to its number
+  getMonthNumber(monthName) {
+    const months = [
+      'January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+    return months.indexOf(monthName) + 1;
+  }
+
+  // Map a location sheet row to a scan
+  parseScanRow(row) {
+    return {
+      date: row[0],
+      identifier: row[1], // Can be barcode or serie
+      scannedBy: row[2] || '',
+      // Enhanced car data from new format
+      serie: row[3] || '',
+      marca: row[4] || '',
+      color: row[5] || '',
+      ubicaciones: row[6] || '',
+      inventoryId: row[7] || '',
+      status: row[8] || 'Active',
+      scanKey: row[12] || '',
+      condition: this.parseCondition(row),
+      zone: row[18] || '',
+      identifierType: row[19] || '',
+      scannedAt: row[20] || '',
+      scannedAtPrecision: row[21] || '',
+      // Legacy compatibility
+      barcode: row[1] // Keep for backward compatibility
+    };
+  }
+
+  // Read the condition report columns of a scan row (null when the scan has none)
+  parseCondition(row) {
+    const [damage, notes, mileage, keysPresent, fuelLevel] = row.slice(13, 18);
+    if (!damage && !notes && !mileage && !keysPresent && !fuelLevel) return null;
+
+    return {
+      damages: damage
+        ? damage.split(',').map(entry => {
+          const [panel, code] = entry.trim().split(':');
+          return { panel, code };
+        })
+        : [],
+      notes: notes || '',
+      mileage: mileage ? parseInt(mileage) : null,
+      keysPresent: keysPresent ? keysPresent === 'Yes' : null,
+      fuelLevel: fuelLevel || null
+    };
+  }
+
+  // Write a condition report into the condition columns of a full scan row (null clears them)
+  applyCondition(row, condition) {
+    row[13] = (condition?.damages || []).map(damage => `${damage.panel}:${damage.code}`).join(', ');
+    row[14] = condition?.notes || '';
+    row[15] = condition?.mileage !== undefined && condition?.mileage !== null ? condition.mileage.toString() : '';
+    row[16] = typeof condition?.keysPresent === 'boolean' ? (condition.keysPresent ? 'Yes' : 'No') : '';
+    row[17] = condition?.fuelLevel || '';
+    return row;
+  }
+
+  // Throw a ValidationError listing what is wrong with a condition report
+  assertValidCondition(condition) {
+    const validation = validateConditionReport(condition);
+    if (!validation.isValid) {
+      throw new ValidationError(`Invalid condition report: ${validation.errors.join('; ')}`, validation.errors);
+    }
+  }
+
+  // Whether a scan's condition report records any damage
+  hasDamage(scan) {
+    return !!scan.condition && scan.condition.damages.length > 0;
+  }
+
+  // Check if a location sheet row belongs to an inventory
+  // Rows written before scans carried an Inventory ID fall back to the scan date's month/year
+  isInventoryScan(row, inventory) {
+    if (row.length < 2 || !row[0] || !row[1]) return false;
+
+    if (row[7]) {
+      return row[7] === inventory.inventoryId;
+    }
+
+    const scanDay = this.parseScanDate(row[0]);
+    return !!scanDay &&
+           scanDay.month === this.getMonthNumber(inventory.month) &&
+           scanDay.year === parseInt(inventory.year);
+  }
+
+  // Check if a location sheet row was soft deleted
+  isDeletedScan(row) {
+    return row[8] === SCAN_STATUS.DELETED;
+  }
+
+  // Get the location sheet rows of one inventory (header row excluded)
+  // Soft-deleted scans are left out of counts, queries and exports unless includeDeleted is set
+  async getInventoryScanRows(agency, inventory, { includeDeleted = false } = {}) {
+    const data = await storage.getSheetData(agency);
+    return data.slice(1).filter(row =>
+      this.isInventoryScan(row, inventory) && (includeDeleted || !this.isDeletedScan(row))
+    );
+  }
+
+  // Copy a location sheet row with every column present, so status columns can be set
+  toFullScanRow(row) {
+    return locationHeaders.map((header, index) => row[index] || '');
+  }
+
+  // Timezone a location's scans are dated in (the default one for sheets outside the registry)
+  async getLocationTimezone(agency) {
+    const location = await locationService.getLocation(agency);
+    return location ? location.timezone : defaultTimezone;
+  }
+
+  // Identifier types a location accepts (the defaults for sheets outside the registry)
+  async getIdentifierTypes(agency) {
+    const location = await locationService.getLocation(agency);
+    return location ? location.identifierTypes : identifierConfig.defaultTypes;
+  }
+
+  /**
+   * Detect the identifier type of a scan code at a location
+   * @returns {Promise<Object>} - { type, code (normalized) }; throws ValidationError when no type matches
+   */
+  async detectIdentifier(agency, code) {
+    const identifierTypes = await this.getIdentifierTypes(agency);
+    const identifier = detectIdentifierType(code, identifierTypes);
+    if (!identifier) {
+      const names = identifierTypes.map(type => type.name).join(', ');
+      throw new ValidationError(`Code ${code} does not match any identifier type of ${agency} (${names})`, { code, identifierTypes });
+    }
+    return identifier;
+  }
+
+  // Zone attribution of scans (zoneService depends on this service, so it is loaded on first use)
+  async getZoneResolver(agency, inventory) {
+    const zoneService = require('./zoneService');
+    return zoneService.getZoneResolver(agency, inventory);
+  }
+
+  // Record scan rows of an inventory as scanned or removed in the global VIN index
+  // The rows are already written, so an index failure is only logged
+  async indexScanRows(inventory, rows, action, user) {
+    const vinIndexService = require('./vinIndexService');
+    const entries = rows.map(row => ({
+      vin: vinIndexService.getRowVin(row),
+      agency: inventory.agency,
+      inventoryId: inventory.inventoryId,
+      month: inventory.month,
+      year: inventory.year,
+      identifier: row[1],
+      user,
+      ...vinIndexService.getRowCarData(row)
+    }));
+
+    try {
+      await vinIndexService.record(entries, action);
+    } catch (error) {
+      console.error(`❌ Failed to index VINs of ${inventory.inventoryId}:`, error.message);
+    }
+  }
+
+  // Serialize writes to one inventory room (agency/month/year): duplicate checks, appends and scan counts
+  // Take this lock before withSheetLock when both are needed
+  withInventoryLock(agency, month, year, fn) {
+    return lockService.withLock(`inventory:${agency}:${this.getMonthName(month)}:${year}`, async () => {
+      // Another instance may have written since this one cached the sheets
+      if (lockService.isDistributed()) {
+        storage.clearCache(this.summarySheetName);
+        storage.clearCache(agency);
+      }
+      return fn();
+    });
+  }
+
+  // Serialize writes that address location sheet rows by position or rewrite the whole sheet
+  withSheetLock(agency, fn) {
+    return lockService.withLock(`sheet:${agency}`, fn);
+  }
+
+  // Bring the header row of an existing location sheet up to date (e.g. add Inventory ID)
+  async ensureLocationSheetHeaders(agency) {
+    return this.upgradeSheetHeaders(agency, locationHeaders);
+  }
+
+  // Bring the MonthlySummary header row up to date (e.g. add the status stamp columns)
+  async ensureSummarySheetHeaders() {
+    return this.upgradeSheetHeaders(this.summarySheetName, summaryHeaders);
+  }
+
+  // Add the missing trailing headers of a sheet whose header row is an older version of the layout
+  async upgradeSheetHeaders(sheetName, expectedHeaders) {
+    if (this.checkedHeaders.has(sheetName)) return;
+
+    await storage.ensureSheetExists(sheetName);
+    const data = await storage.getSheetData(sheetName);
+    const headers = data[0] || [];
+
+    const isPrefix = headers.every((header, index) => header === expectedHeaders[index]);
+    if (isPrefix && headers.length < expectedHeaders.length) {
+      await storage.updateRow(sheetName, 1, expectedHeaders);
+      console.log(`📋 Updated ${sheetName} headers: ${expectedHeaders.join(', ')}`);
+    }
+
+    this.checkedHeaders.add(sheetName);
+  }
+
   // Format date for human readability
   formatDate(date) {
     // Handle invalid dates gracefully
@@ -77,6 +293,84 @@ class InventoryService {
     });
   }
 
+  /**
+   * Calendar date and time of an instant in a timezone
+   * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+   */
+  getZonedDate(date, timeZone = defaultTimezone) {
+    if (!this.zonedFormatters.has(timeZone)) {
+      this.zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+
+    const parts = {};
+    this.zonedFormatters.get(timeZone).formatToParts(date).forEach(part => {
+      if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    });
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+  }
+
+  // Month and year (as strings, e.g. "9" and "2026") an instant falls in at a location
+  getScanMonth(date, timeZone = defaultTimezone) {
+    const { month, year } = this.getZonedDate(date, timeZone);
+    return { month: month.toString(), year: year.toString() };
+  }
+
+  // The instant a calendar day starts in a timezone (e.g. 2026-10-19 in America/Mexico_City -> 06:00Z)
+  getZonedDayStart({ year, month, day }, timeZone = defaultTimezone) {
+    const utcMidnight = Date.UTC(year, month - 1, day);
+    const getOffset = time => {
+      const zoned = this.getZonedDate(new Date(time), timeZone);
+      return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - time;
+    };
+
+    // The offset at midnight UTC may differ from the one at local midnight across a DST change
+    const offset = getOffset(utcMidnight);
+    return new Date(utcMidnight - getOffset(utcMidnight - offset));
+  }
+
+  // Format the Date column of a scan row in the location's timezone (e.g. "Oct 19, 2026")
+  formatScanDate(date = new Date(), timeZone = defaultTimezone) {
+    const { year, month, day } = this.getZonedDate(date, timeZone);
+    return `${this.getMonthName(month).slice(0, 3)} ${day}, ${year}`;
+  }
+
+  /**
+   * Read the day of a Date column value, as written ("Oct 19, 2026", "Sept 2, 2025")
+   * or as a sheet may render it ("10/19/2026", "2026-10-19")
+   * @returns {Object|null} - { year, month (1-12), day }
+   */
+  parseScanDate(value) {
+    const text = (value || '').toString().trim();
+
+    let match = text.match(/^([A-Za-z]{3})[A-Za-z]*\.? (\d{1,2}), (\d{4})$/);
+    if (match) {
+      const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+        .indexOf(match[1].toLowerCase()) + 1;
+      return month > 0 ? { year: parseInt(match[3]), month, day: parseInt(match[2]) } : null;
+    }
+
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (match) {
+      return { year: parseInt(match[3]), month: parseInt(match[1]), day: parseInt(match[2]) };
+    }
+
+    match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+      return { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) };
+    }
+
+    return null;
+  }
+
   // Calculate session duration
   calculateSessionDuration(startTime, endTime) {
     const start = new Date(startTime);
@@ -95,23 +389,43 @@ class InventoryService {
     }
   }
 
+  /**
+   * Check the location's inventory policy before a new inventory is started
+   * Throws a ValidationError naming the blocking rule (details.rule)
+   */
+  async assertCanStartInventory(agency, month, year) {
+    const location = await locationService.getLocation(agency);
+    const policy = location ? location.policy : inventoryPolicyService.resolvePolicy(null);
+
+    const data = await storage.getSheetData(this.summarySheetName);
+    const inventories = this.parseSummaryRows(data.slice(1).filter(row => row[2] === agency))
+      .map(inv => ({ ...inv, startedAt: this.parseDisplayDate(inv.createdAt) }));
+
+    return inventoryPolicyService.assertCanStart(policy, {
+      agency,
+      month: this.getMonthName(month),
+      year,
+      inventories,
+      timeZone: location ? location.timezone : defaultTimezone
+    });
+  }
+
   // Check inventory session limits
   async checkInventoryLimits(agency, month, year) {
     try {
       // Ensure Monthly Summary sheet exists
-      await googleSheets.ensureSheetExists(this.summarySheetName);
+      await storage.ensureSheetExists(this.summarySheetName);
       
       // Get all inventories for this agency/month/year using the new function
       const currentMonthInventories = await this.getAllMonthlyInventories(agency, month, year);
       
-      // Count active inventories for this specific month/year
-      const activeInventoriesThisMonth = currentMonthInventories.filter(inv => {
-        return inv.status === 'Active';
-      });
+      // Count inventories still in progress (active, paused, reopened or in review) for this specific month/year
+      const activeInventoriesThisMonth = currentMonthInventories.filter(inv => OPEN_STATUSES.includes(inv.status));
       
-      // FIRST: Check if there's already an active inventory for this specific month/year
-      // If there is, allow adding scans to it (multiple users can scan to same inventory)
+      // FIRST: Check if there's already an inventory in progress for this specific month/year
+      // If it accepts scans, allow adding scans to it (multiple users can scan to same inventory)
       if (activeInventoriesThisMonth.length >= 1) {
+        this.assertAcceptsScans(activeInventoriesThisMonth[0]);
         return {
           canStart: true,
           currentMonthCount: currentMonthInventories.length,
@@ -120,15 +434,15 @@ class InventoryService {
         };
       }
       
-      // SECOND: Check monthly limit (2 per month) - only if no active inventory exists
-      if (currentMonthInventories.length >= 2) {
-        throw new ValidationError(`Monthly inventory limit reached for ${agency}. Maximum 2 inventories per month allowed.`);
-      }
+      // SECOND: Check the location's inventory policy - only if no inventory is in progress
+      const policyCheck = await this.assertCanStartInventory(agency, month, year);
       
       return {
         canStart: true,
         currentMonthCount: currentMonthInventories.length,
-        activeCount: activeInventoriesThisMonth.length
+        activeCount: activeInventoriesThisMonth.length,
+        periodCount: policyCheck.periodCount,
+        policy: policyCheck.policy
       };
     } catch (error) {
       if (error instanceof ValidationError) {
@@ -145,263 +459,724 @@ class InventoryService {
       if (!scanData.agency || !scanData.code || !scanData.user) {
         throw new ValidationError('Missing required fields: agency, code, user');
       }
+      if (scanData.condition) {
+        this.assertValidCondition(scanData.condition);
+      }
+      if (scanData.timestamp && new Date(scanData.timestamp).getTime() > Date.now() + 5 * 60 * 1000) {
+        throw new ValidationError('timestamp is in the future');
+      }
+
+      // The code is saved normalized by the identifier type it matches
+      const identifier = await this.detectIdentifier(scanData.agency, scanData.code);
+      const code = identifier.code;
 
-      // Extract month and year from timestamp if not provided
+      // The scan's month and year are those of its timestamp (or now) in the location's timezone,
+      // unless the client names them without a timestamp
+      const timeZone = await this.getLocationTimezone(scanData.agency);
+      const scannedAt = scanData.timestamp ? new Date(scanData.timestamp) : new Date();
       let month, year;
-      if (scanData.timestamp) {
-        const timestamp = new Date(scanData.timestamp);
-        month = (timestamp.getMonth() + 1).toString(); // getMonth() returns 0-11, so add 1
-        year = timestamp.getFullYear().toString();
-      } else if (scanData.month && scanData.year) {
+      if (!scanData.timestamp && scanData.month && scanData.year) {
         month = scanData.month.toString();
         year = scanData.year.toString();
       } else {
-        // Fallback to current month/year
-        const now = new Date();
-        month = (now.getMonth() + 1).toString();
-        year = now.getFullYear().toString();
+        ({ month, year } = this.getScanMonth(scannedAt, timeZone));
       }
 
-      // Check inventory session limits before proceeding
-      await this.checkInventoryLimits(scanData.agency, month, year);
+      // Duplicate check, append and count update run one scan at a time per inventory room
+      return await this.withInventoryLock(scanData.agency, month, year, async () => {
+        // Check inventory session limits before proceeding
+        await this.checkInventoryLimits(scanData.agency, month, year);
 
-      // Ensure Monthly Summary sheet exists
-      await googleSheets.ensureSheetExists(this.summarySheetName);
+        // Ensure Monthly Summary sheet exists
+        await storage.ensureSheetExists(this.summarySheetName);
 
-      // Check inventory limits and existing inventories
-      const existingSummary = await this.getMonthlySummary(scanData.agency, month, year);
+        // Check inventory limits and existing inventories
+        const existingSummary = await this.getMonthlySummary(scanData.agency, month, year);
       
-      // Check inventory limits (2 per month, 1 active at a time)
-      const limitsCheck = await this.checkInventoryLimits(scanData.agency, month, year);
+        // Check inventory limits (location policy, one inventory in progress per month)
+        const limitsCheck = await this.checkInventoryLimits(scanData.agency, month, year);
       
-      // If there's an active inventory, we can add scans to it
-      if (existingSummary && existingSummary.status === 'Completed') {
-        // The checkInventoryLimits function will handle the logic for starting a new inventory
-        if (!limitsCheck.canStart) {
-          throw new ValidationError(`Cannot start new inventory: ${limitsCheck.message || 'Monthly limit reached'}`);
+        // If there's an active inventory, we can add scans to it
+        if (existingSummary && existingSummary.status === 'Completed') {
+          // The checkInventoryLimits function will handle the logic for starting a new inventory
+          if (!limitsCheck.canStart) {
+            throw new ValidationError(`Cannot start new inventory: ${limitsCheck.message || 'Monthly limit reached'}`);
+          }
         }
-      }
 
-      // Check for duplicate barcode in current month
-      const isDuplicate = await this.checkDuplicateBarcode(scanData.agency, month, year, scanData.code);
-      if (isDuplicate) {
-        throw new ValidationError(`Barcode ${scanData.code} has already been scanned in ${scanData.agency} - ${this.getMonthName(month)} ${year} inventory`);
-      }
-
-      // Save scan to location sheet (enhanced: Date, Identifier, User, Serie, Marca, Color, Ubicaciones)
-      const scanDate = new Date().toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric', 
-        year: 'numeric' 
-      });
-      
-      // Build values array with car data if available
-      const values = [
-        scanDate,                                    // Date
-        scanData.code,                               // Identifier (serie or barcode)
-        scanData.user,                               // Scanned By
-        scanData.carData?.serie || '',               // Serie
-        scanData.carData?.marca || '',               // Marca
-        scanData.carData?.color || '',               // Color
-        scanData.carData?.ubicaciones || ''          // Ubicaciones
-      ];
+        // VALIDATION: Ensure only one monthly summary exists
+        const validation = await this.validateSingleMonthlySummary(scanData.agency, month, year);
       
-      await googleSheets.appendRow(scanData.agency, values);
-
-      // VALIDATION: Ensure only one monthly summary exists
-      const validation = await this.validateSingleMonthlySummary(scanData.agency, month, year);
-      
-      if (!validation.valid) {
-        // Try to clean up duplicates
-        const cleanupResult = await this.cleanupSpecificDuplicates(scanData.agency, month, year);
+        if (!validation.valid) {
+          // Try to clean up duplicates
+          const cleanupResult = await this.cleanupSpecificDuplicates(scanData.agency, month, year);
         
-        // Re-validate after cleanup
-        const revalidation = await this.validateSingleMonthlySummary(scanData.agency, month, year);
+          // Re-validate after cleanup
+          const revalidation = await this.validateSingleMonthlySummary(scanData.agency, month, year);
         
-        if (!revalidation.valid) {
-          throw new GoogleSheetsError(`Failed to resolve duplicate rows for ${scanData.agency} - ${this.getMonthName(month)} ${year}. Please contact support.`);
+          if (!revalidation.valid) {
+            throw new GoogleSheetsError(`Failed to resolve duplicate rows for ${scanData.agency} - ${this.getMonthName(month)} ${year}. Please contact support.`);
+          }
         }
-      }
 
-      // Use atomic find-or-create approach to prevent duplicates
-      const summary = await this.findOrCreateMonthlySummary(scanData.agency, month, year, scanData.user, scanData.userName);
+        // Check the VIN's check digit and marca, and look for it at other locations this month
+        // Checked before the inventory is resolved so a rejected scan does not start one
+        const vinIndexService = require('./vinIndexService');
+        const vin = vinIndexService.getVin({ code, serie: scanData.carData?.serie });
+        const warnings = [];
+        if (vin) {
+          const vinCheck = vinDecoderService.checkVin(vin, { marca: scanData.carData?.marca });
+          if (vinCheck.errors.length > 0) {
+            throw new ValidationError(vinCheck.errors.join(', '), { vin, checkDigit: vinCheck.decoded.checkDigit });
+          }
+          warnings.push(...vinCheck.warnings);
+
+          const findVinCollisions = await vinIndexService.getCollisionLookup(scanData.agency, this.getMonthName(month), year);
+          const collision = vinIndexService.checkScan(vin, findVinCollisions(vin));
+          if (collision) warnings.push(collision);
+        }
+
+        // Use atomic find-or-create approach to prevent duplicates
+        // The inventory is resolved before saving so the scan row can carry its ID
+        const summary = await this.findOrCreateMonthlySummary(scanData.agency, month, year, scanData.user, scanData.userName);
+
+        // Check for duplicate barcode in this inventory
+        const isDuplicate = await this.checkDuplicateBarcode(scanData.agency, summary, code);
+        if (isDuplicate) {
+          throw new ValidationError(`Barcode ${code} has already been scanned in ${scanData.agency} - ${this.getMonthName(month)} ${year} inventory`);
+        }
+
+        // Attribute the scan to a zone of the location (named, by ubicación, or the auditor's assigned zone)
+        const resolveZone = await this.getZoneResolver(scanData.agency, summary);
+        const zone = resolveZone({ zone: scanData.zone, ubicaciones: scanData.carData?.ubicaciones, user: scanData.user });
+
+        // Save scan to location sheet (enhanced: Date, Identifier, User, Serie, Marca, Color, Ubicaciones, Inventory ID)
+        const scanDate = this.formatScanDate(scannedAt, timeZone);
+      
+        // Build values array with car data if available
+        let values = [
+          scanDate,                                    // Date
+          code,                                        // Identifier (serie, barcode or another identifier type)
+          scanData.user,                               // Scanned By
+          scanData.carData?.serie || '',               // Serie
+          scanData.carData?.marca || '',               // Marca
+          scanData.carData?.color || '',               // Color
+          scanData.carData?.ubicaciones || '',         // Ubicaciones
+          summary.inventoryId                          // Inventory ID
+        ];
+
+        values = this.toFullScanRow(values);
+        if (scanData.condition) {
+          this.applyCondition(values, scanData.condition);
+        }
+        values[18] = zone || '';
+        values[19] = identifier.type.id;
+        values[20] = scannedAt.toISOString();
       
-      // Check state after findOrCreate
+        await this.withSheetLock(scanData.agency, async () => {
+          await this.ensureLocationSheetHeaders(scanData.agency);
+          await storage.appendRow(scanData.agency, values);
+        });
 
-      // Increment the scan count
-      const newScanCount = summary.totalScans + 1;
+        // Increment the scan count
+        const newScanCount = summary.totalScans + 1;
       
-      // Update the scan count in the summary - use the atomic update method
-      await this.updateMonthlySummaryScanCount(scanData.agency, month, year, newScanCount, summary.inventoryId);
+        // Update the scan count in the summary - use the atomic update method
+        await this.updateMonthlySummaryScanCount(scanData.agency, month, year, newScanCount, summary.inventoryId);
 
-      // Validate final state to prevent duplicates
-      const finalData = await googleSheets.getSheetData(this.summarySheetName);
-      const targetRows = finalData.filter((row, idx) => {
-        if (idx === 0 || row.length < 3) return false;
-        return row[0] === this.getMonthName(month) && 
-               row[1] === year.toString() && 
-               row[2] === scanData.agency;
+        await this.indexScanRows(summary, [values], VIN_ACTIONS.SCANNED, scanData.user);
+
+        // Validate final state to prevent duplicates
+        const finalData = await storage.getSheetData(this.summarySheetName);
+        const targetRows = finalData.filter((row, idx) => {
+          if (idx === 0 || row.length < 3) return false;
+          return row[0] === this.getMonthName(month) && 
+                 row[1] === year.toString() && 
+                 row[2] === scanData.agency;
+        });
+      
+        if (targetRows.length > 1) {
+          console.error(`⚠️ WARNING: Multiple rows found for ${scanData.agency} - ${this.getMonthName(month)} ${year}`);
+        }
+
+        return {
+          success: true,
+          message: 'Scan saved successfully',
+          scanData: {
+            agency: scanData.agency,
+            month: this.getMonthName(month),
+            year: year,
+            barcode: code,
+            identifierType: identifier.type.id,
+            date: scanDate,
+            scannedAt: scannedAt.toISOString(),
+            inventoryId: summary.inventoryId,
+            zone: zone || null
+          },
+          summary: {
+            totalScans: newScanCount,
+            status: summary.status
+          },
+          warnings
+        };
       });
+    } catch (error) {
+      console.error(`❌ Error in saveScan:`, error.message);
       
-      if (targetRows.length > 1) {
-        console.error(`⚠️ WARNING: Multiple rows found for ${scanData.agency} - ${this.getMonthName(month)} ${year}`);
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
       }
+      throw new GoogleSheetsError(`Failed to save scan: ${error.message}`);
+    }
+  }
 
-      return {
-        success: true,
-        message: 'Scan saved successfully',
-        scanData: {
-          agency: scanData.agency,
-          month: this.getMonthName(month),
-          year: year,
-          barcode: scanData.code,
-          date: scanDate
-        },
-        summary: {
-          totalScans: newScanCount,
-          status: summary.status
+  // Check one scan of an offline batch; returns the problems found (empty when valid)
+  validateBatchScan(scan) {
+    const errors = [];
+
+    if (!scan || typeof scan !== 'object') {
+      return ['Scan must be an object'];
+    }
+    if (typeof scan.key !== 'string' || !scan.key.trim()) {
+      errors.push('key is required');
+    } else if (scan.key.length > 100) {
+      errors.push('key must be at most 100 characters');
+    }
+    if (typeof scan.code !== 'string' || !scan.code.trim()) {
+      errors.push('code is required');
+    }
+    if (scan.timestamp !== undefined && scan.timestamp !== null) {
+      const timestamp = new Date(scan.timestamp);
+      if (isNaN(timestamp.getTime())) {
+        errors.push('Invalid timestamp format');
+      } else if (timestamp.getTime() > Date.now() + 5 * 60 * 1000) {
+        errors.push('timestamp is in the future');
+      }
+    }
+    if (scan.carData !== undefined && scan.carData !== null && typeof scan.carData !== 'object') {
+      errors.push('carData must be an object');
+    } else if (scan.carData?.serie && !validateSerie(scan.carData.serie)) {
+      errors.push('Serie must be a 17-character VIN (letters I, O and Q are not allowed)');
+    }
+    if (scan.condition !== undefined && scan.condition !== null) {
+      errors.push(...validateConditionReport(scan.condition).errors);
+    }
+    if (scan.zone !== undefined && scan.zone !== null && typeof scan.zone !== 'string') {
+      errors.push('zone must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Save scans collected offline in one batch
+   * Scans are deduplicated by key (replays of an earlier upload) and by code (already scanned),
+   * appended in one write, and the scan count is updated once.
+   * @param {Object} batchData - { agency, month, year, user, userName, scans: [{ key, code, timestamp, carData, condition, zone }] }
+   * @returns {Promise<Object>} - Per-scan results (saved / duplicate / invalid) in request order
+   */
+  async saveScansBatch(batchData) {
+    try {
+      const { agency, month, year, user, userName, scans } = batchData;
+
+      if (!agency || !month || !year || !user) {
+        throw new ValidationError('Missing required fields: agency, month, year, user');
+      }
+      if (!Array.isArray(scans) || scans.length === 0) {
+        throw new ValidationError('scans must be a non-empty array');
+      }
+      if (scans.length > this.maxBatchScans) {
+        throw new ValidationError(`A batch can contain at most ${this.maxBatchScans} scans, got ${scans.length}`);
+      }
+
+      // Validate every scan before touching the sheets, so a batch with nothing to save does not start an inventory:
+      // a timed scan must fall in the batch's month at the location, in its timezone, as it would when saved on its own,
+      // and its code must match an identifier type and pass the VIN checks
+      const timeZone = await this.getLocationTimezone(agency);
+      const identifierTypes = await this.getIdentifierTypes(agency);
+      const vinIndexService = require('./vinIndexService');
+      const findVinCollisions = await vinIndexService.getCollisionLookup(agency, this.getMonthName(month), year);
+
+      const checkScan = scan => {
+        const errors = this.validateBatchScan(scan);
+        if (errors.length > 0) return { errors };
+
+        if (scan.timestamp) {
+          const scanMonth = this.getScanMonth(new Date(scan.timestamp), timeZone);
+          if (parseInt(scanMonth.month, 10) !== parseInt(month, 10) || scanMonth.year !== year.toString()) {
+            return { errors: [`timestamp falls in ${this.getMonthName(scanMonth.month)} ${scanMonth.year} at ${agency}, not in ${this.getMonthName(month)} ${year}`] };
+          }
+        }
+
+        const identifier = detectIdentifierType(scan.code, identifierTypes);
+        if (!identifier) {
+          return { errors: [`Code ${scan.code} does not match any identifier type of ${agency}`] };
+        }
+
+        const vin = vinIndexService.getVin({ code: identifier.code, serie: scan.carData?.serie });
+        const warnings = [];
+        if (vin) {
+          const vinCheck = vinDecoderService.checkVin(vin, { marca: scan.carData?.marca });
+          if (vinCheck.errors.length > 0) {
+            return { errors: vinCheck.errors };
+          }
+          warnings.push(...vinCheck.warnings);
+
+          try {
+            const collision = vinIndexService.checkScan(vin, findVinCollisions(vin));
+            if (collision) warnings.push(collision);
+          } catch (error) {
+            return { errors: [error.message] };
+          }
         }
+
+        return { errors: [], identifier, warnings };
+      };
+
+      const pending = [];
+      const results = scans.map(scan => {
+        const { errors, identifier, warnings } = checkScan(scan);
+        const result = {
+          key: scan?.key ?? null,
+          code: scan?.code ?? null,
+          status: errors.length > 0 ? 'invalid' : null,
+          errors: errors.length > 0 ? errors : undefined
+        };
+        if (errors.length === 0) pending.push({ result, scan, identifier, warnings });
+        return result;
+      });
+
+      const buildResponse = (summary, savedCount) => {
+        const counts = { saved: 0, duplicate: 0, invalid: 0 };
+        results.forEach(result => counts[result.status]++);
+
+        return {
+          success: true,
+          message: `Saved ${counts.saved} of ${scans.length} scans`,
+          agency,
+          month: this.getMonthName(month),
+          year: year.toString(),
+          inventoryId: summary ? summary.inventoryId : null,
+          summary: {
+            received: scans.length,
+            ...counts,
+            totalScans: summary ? summary.totalScans + savedCount : null
+          },
+          results
+        };
       };
+
+      if (pending.length === 0) {
+        return buildResponse(null, 0);
+      }
+
+      return await this.withInventoryLock(agency, month, year, async () => {
+        await storage.ensureSheetExists(this.summarySheetName);
+        await this.checkInventoryLimits(agency, month, year);
+
+        const summary = await this.findOrCreateMonthlySummary(agency, month, year, user, userName);
+
+        // Keys already uploaded (deleted scans included, so a replay never revives them) and codes already scanned
+        const inventoryRows = await this.getInventoryScanRows(agency, summary, { includeDeleted: true });
+        const uploadedKeys = new Set(inventoryRows.map(row => row[12]).filter(Boolean));
+        const scannedCodes = new Set(inventoryRows.filter(row => !this.isDeletedScan(row)).map(row => row[1]));
+        const resolveZone = await this.getZoneResolver(agency, summary);
+
+        const rows = [];
+        pending.forEach(({ result, scan, identifier, warnings }) => {
+          if (uploadedKeys.has(scan.key)) {
+            result.status = 'duplicate';
+            result.reason = 'Scan was already uploaded';
+            return;
+          }
+
+          const code = identifier.code;
+
+          if (scannedCodes.has(code)) {
+            result.status = 'duplicate';
+            result.reason = `Barcode ${code} has already been scanned in this inventory`;
+            return;
+          }
+
+          let zone;
+          try {
+            zone = resolveZone({ zone: scan.zone, ubicaciones: scan.carData?.ubicaciones, user });
+          } catch (error) {
+            result.status = 'invalid';
+            result.errors = [error.message];
+            return;
+          }
+
+          const scannedAt = scan.timestamp ? new Date(scan.timestamp) : new Date();
+          const row = this.toFullScanRow([
+            this.formatScanDate(scannedAt, timeZone),
+            code,
+            user,
+            scan.carData?.serie || '',
+            scan.carData?.marca || '',
+            scan.carData?.color || '',
+            scan.carData?.ubicaciones || '',
+            summary.inventoryId
+          ]);
+          row[12] = scan.key;
+          row[18] = zone;
+          row[19] = identifier.type.id;
+          row[20] = scannedAt.toISOString();
+          if (scan.condition) {
+            this.applyCondition(row, scan.condition);
+          }
+          rows.push(row);
+
+          uploadedKeys.add(scan.key);
+          scannedCodes.add(code);
+          result.status = 'saved';
+          result.code = code;
+          result.date = row[0];
+          result.identifierType = identifier.type.id;
+          if (zone) result.zone = zone;
+          if (warnings.length > 0) result.warnings = warnings;
+        });
+
+        if (rows.length > 0) {
+          await this.withSheetLock(agency, async () => {
+            await this.ensureLocationSheetHeaders(agency);
+            await storage.appendRows(agency, rows);
+          });
+
+          await this.updateMonthlySummaryScanCount(agency, month, year, summary.totalScans + rows.length, summary.inventoryId);
+          await this.indexScanRows(summary, rows, VIN_ACTIONS.SCANNED, user);
+        }
+
+        console.log(`📦 Batch for ${agency} - ${this.getMonthName(month)} ${year}: ${rows.length} saved of ${scans.length}`);
+
+        return buildResponse(summary, rows.length);
+      });
     } catch (error) {
-      console.error(`❌ Error in saveScan:`, error.message);
-      
-      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+      console.error(`❌ Error in saveScansBatch:`, error.message);
+
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
         throw error;
       }
-      throw new GoogleSheetsError(`Failed to save scan: ${error.message}`);
+      throw new GoogleSheetsError(`Failed to save scan batch: ${error.message}`);
     }
   }
 
-  // Finish monthly inventory session
+  // Parse a date written by formatDate ("Monday, October 19, 2026 at 08:06 AM") or an ISO timestamp
+  parseDisplayDate(value) {
+    const date = new Date((value || '').toString().replace(' at ', ' '));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Session duration and scan rate of an inventory, up to now
+  getSessionStats(summary, totalScans) {
+    const startDate = this.parseDisplayDate(summary.createdAt);
+    if (!startDate) {
+      return { sessionDuration: null, avgScansPerDay: totalScans.toString() };
+    }
+
+    const sessionDuration = this.calculateSessionDuration(startDate, new Date().toISOString());
+    const endDate = new Date();
+    const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+    const avgScansPerDay = daysDiff > 0 ? (totalScans / daysDiff).toFixed(1) : totalScans.toString();
+
+    return { sessionDuration, avgScansPerDay };
+  }
+
+  /**
+   * Finish monthly inventory session: the count is submitted for supervisor review
+   * The inventory only becomes final (backed up and cleared from the sheet) once a supervisor approves it
+   */
   async finishSession(sessionData) {
     try {
-      const { agency, month, year, user } = sessionData;
+      const { agency, month, year, user, userName } = sessionData;
 
       if (!agency || !month || !year || !user) {
         throw new ValidationError('Missing required fields: agency, month, year, user');
       }
 
       // Ensure Monthly Summary sheet exists
-      await googleSheets.ensureSheetExists(this.summarySheetName);
+      await storage.ensureSheetExists(this.summarySheetName);
 
-      // Get current monthly summary
       const summary = await this.getMonthlySummary(agency, month, year);
       if (!summary) {
         throw new ValidationError(`No monthly inventory found for ${agency} - ${this.getMonthName(month)} ${year}`);
       }
 
-      if (summary.status === 'Completed') {
-        throw new ValidationError(`Monthly inventory for ${agency} - ${this.getMonthName(month)} ${year} is already completed`);
+      const result = await this.submitForReview(summary, { user, userName });
+
+      return {
+        ...result,
+        message: 'Monthly inventory submitted for supervisor review',
+        summary: {
+          agency,
+          month: this.getMonthName(month),
+          year,
+          totalScans: result.totalScans,
+          submittedAt: result.changedAt,
+          sessionDuration: result.sessionDuration,
+          avgScansPerDay: result.avgScansPerDay
+        }
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
       }
+      throw new GoogleSheetsError(`Failed to finish session: ${error.message}`);
+    }
+  }
 
-      // Get final scan count and last scan time from agency sheet
-      const agencyData = await googleSheets.getSheetData(agency);
-      const currentMonthScans = agencyData.filter(row => {
-        if (row.length < 2) return false;
-        const scanDate = new Date(row[0]);
-        return scanDate.getMonth() === parseInt(month) - 1 && scanDate.getFullYear() === parseInt(year);
-      });
+  /**
+   * Submit an inventory's count for supervisor review (scans stop being accepted)
+   * @param {Object} inventory - Inventory to submit
+   * @param {Object} actor - { user, userName, reason }
+   */
+  async submitForReview(inventory, { user = '', userName = '', reason = '' } = {}) {
+    try {
+      const agency = inventory.agency;
+      const month = this.getMonthNumber(inventory.month);
 
-      const totalScans = currentMonthScans.length;
-      const lastScanTime = currentMonthScans.length > 0 ? currentMonthScans[currentMonthScans.length - 1][0] : null;
+      // Submit under the inventory lock so no scan lands between the final count and the status change
+      const change = await this.withInventoryLock(agency, month, inventory.year, async () => {
+        const current = await this.getInventoryById(agency, inventory.inventoryId) || inventory;
 
-      console.log(`📊 Finishing session for ${agency} - ${this.getMonthName(month)} ${year}`);
-      console.log(`   Total scans found: ${totalScans}`);
-      console.log(`   Last scan time: ${lastScanTime}`);
+        if (current.status === INVENTORY_STATUS.IN_REVIEW) {
+          throw new ValidationError(`Monthly inventory for ${agency} - ${current.month} ${current.year} is already submitted for review`);
+        }
+        if (FINISHED_STATUSES.includes(current.status) && current.status !== INVENTORY_STATUS.COMPLETED) {
+          throw new ValidationError(`Monthly inventory for ${agency} - ${current.month} ${current.year} is already completed`);
+        }
+        this.assertTransition(current, 'submitForReview');
 
-      // Calculate session duration
-      const sessionDuration = this.calculateSessionDuration(summary.createdAt, new Date().toISOString());
+        // Final count from this inventory's rows; inventories completed before the sign-off were already cleared
+        const totalScans = current.status === INVENTORY_STATUS.COMPLETED
+          ? current.totalScans
+          : (await this.getInventoryScanRows(agency, current)).length;
 
-      // Calculate average scans per day
-      const startDate = new Date(summary.createdAt);
-      const endDate = new Date();
-      const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-      const avgScansPerDay = daysDiff > 0 ? (totalScans / daysDiff).toFixed(1) : totalScans.toString();
+        console.log(`📊 Submitting ${agency} - ${current.month} ${current.year} for review: ${totalScans} scans`);
 
-      console.log(`   Session duration: ${sessionDuration}`);
-      console.log(`   Average scans per day: ${avgScansPerDay}`);
+        const changedAt = await this.updateMonthlySummaryLifecycle(agency, current.inventoryId, INVENTORY_STATUS.IN_REVIEW, user, { totalScans });
+        return { from: current.status, changedAt, totalScans, ...this.getSessionStats(current, totalScans) };
+      });
 
-      // Update monthly summary with completion data
-      await this.updateMonthlySummaryStatus(
-        agency, month, year, 'Completed', 
-        new Date().toISOString(), 
-        totalScans,
-        summary.inventoryId,
-        user
-      );
+      await this.recordTransition(inventory, change.from, 'submitForReview', { user, userName, reason, totalScans: change.totalScans });
 
-      // Create automatic backup to Google Drive when finishing session (only if there's data)
-      if (totalScans > 0) {
-        console.log(`📁 Creating automatic backup for completed session with ${totalScans} scans...`);
-        try {
-          const fileStorageService = require('./fileStorageService');
-          const backupResult = await fileStorageService.storeInventoryFile(agency, month, year, 'csv', summary.inventoryId);
-          console.log(`✅ Automatic backup created: ${backupResult.filename}`);
-          
-          // Clear agency sheet data after successful backup
-          await this.clearAgencyDataAfterDownload(agency, month, year, summary.inventoryId);
-          console.log(`🧹 Agency sheet cleared after backup`);
-        } catch (backupError) {
-          console.error(`❌ Automatic backup failed:`, backupError.message);
-          console.log(`📋 Agency sheet preserved for manual download (backup failed)`);
-        }
-      } else {
-        console.log(`⚠️ No scans found (${totalScans} scans) - skipping backup creation`);
-        console.log(`📋 Agency sheet preserved (no data to backup)`);
+      return {
+        success: true,
+        message: `Inventory moved from ${change.from} to ${INVENTORY_STATUS.IN_REVIEW}`,
+        agency,
+        month: inventory.month,
+        year: inventory.year,
+        inventoryId: inventory.inventoryId,
+        transition: 'submitForReview',
+        from: change.from,
+        status: INVENTORY_STATUS.IN_REVIEW,
+        changedAt: change.changedAt,
+        changedBy: user,
+        reason,
+        totalScans: change.totalScans,
+        sessionDuration: change.sessionDuration,
+        avgScansPerDay: change.avgScansPerDay,
+        allowedTransitions: getAllowedTransitions(INVENTORY_STATUS.IN_REVIEW)
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
       }
+      throw new GoogleSheetsError(`Failed to submit inventory for review: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summary a supervisor reviews before approving or rejecting an inventory:
+   * scan count, session duration, scan rate, duplicate barcodes and, when an expected stock list
+   * was uploaded, the reconciliation totals
+   */
+  async getReviewSummary(inventory) {
+    try {
+      const agency = inventory.agency;
+      const month = this.getMonthNumber(inventory.month).toString();
+
+      const rows = await this.getInventoryScanRows(agency, inventory);
+      const deletedScans = (await this.getInventoryScanRows(agency, inventory, { includeDeleted: true })).length - rows.length;
+      const totalScans = rows.length > 0 ? rows.length : inventory.totalScans;
+      const duplicates = await this.getDuplicateBarcodes(agency, month, inventory.year, inventory.inventoryId);
+
+      const reconciliationService = require('./reconciliationService');
+      const expected = await reconciliationService.getExpectedStock(agency, month, inventory.year);
+      const discrepancies = expected
+        ? (await reconciliationService.getReconciliation(agency, month, inventory.year, inventory.inventoryId)).summary
+        : null;
+
+      const submission = inventory.status === INVENTORY_STATUS.IN_REVIEW
+        ? { submittedAt: inventory.statusChangedAt || null, submittedBy: inventory.statusChangedBy || null }
+        : {};
 
       return {
-        success: true,
-        message: 'Monthly inventory completed successfully',
-        summary: {
-          agency,
-          month: this.getMonthName(month),
-          year,
+        agency,
+        inventoryId: inventory.inventoryId,
+        month: inventory.month,
+        year: inventory.year,
+        status: inventory.status,
+        ...submission,
+        createdAt: inventory.createdAt,
+        createdBy: inventory.createdBy,
+        stats: {
           totalScans,
-          completedAt: new Date().toISOString(),
-          sessionDuration,
-          avgScansPerDay
-        }
+          deletedScans,
+          ...this.getSessionStats(inventory, totalScans),
+          duplicateBarcodes: duplicates.length
+        },
+        duplicates,
+        discrepancies,
+        approval: this.getApprovalRecord(inventory),
+        allowedTransitions: getAllowedTransitions(inventory.status)
       };
     } catch (error) {
       if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
         throw error;
       }
-      throw new GoogleSheetsError(`Failed to finish session: ${error.message}`);
+      throw new GoogleSheetsError(`Failed to get review summary: ${error.message}`);
     }
   }
 
-  // Get monthly inventory data
-  async getMonthlyInventory(agency, month, year) {
+  // Supervisor sign-off of an approved inventory (null until it is approved)
+  getApprovalRecord(inventory) {
+    if (inventory.status !== INVENTORY_STATUS.APPROVED) return null;
+
+    return {
+      approvedBy: inventory.finishedBy || inventory.statusChangedBy || '',
+      approvedAt: inventory.statusChangedAt || '',
+      signature: inventory.approvalSignature || '',
+      comment: inventory.approvalComment || ''
+    };
+  }
+
+  /**
+   * Approve an inventory in review with the supervisor's typed signature
+   * Approval makes the count final: the inventory is backed up to Google Drive and its rows cleared from the sheet
+   * @param {Object} inventory - Inventory to approve
+   * @param {Object} approval - { user, userName, signature, comment }
+   */
+  async approveInventory(inventory, { user = '', userName = '', signature = '', comment = '' } = {}) {
     try {
-      const data = await googleSheets.getSheetData(agency);
-      
-      // Filter scans for the specific month/year
-      const monthScans = data.filter(row => {
-        if (row.length < 2) return false;
-        const scanDate = new Date(row[0]);
-        return scanDate.getMonth() === parseInt(month) - 1 && scanDate.getFullYear() === parseInt(year);
+      signature = typeof signature === 'string' ? signature.trim() : '';
+      comment = typeof comment === 'string' ? comment.trim() : '';
+      if (!signature) {
+        throw new ValidationError('Missing required field: signature');
+      }
+      if (signature.length > 200) {
+        throw new ValidationError('signature must be at most 200 characters');
+      }
+      if (comment.length > 1000) {
+        throw new ValidationError('comment must be at most 1000 characters');
+      }
+
+      const agency = inventory.agency;
+      const month = this.getMonthNumber(inventory.month);
+
+      const change = await this.withInventoryLock(agency, month, inventory.year, async () => {
+        const current = await this.getInventoryById(agency, inventory.inventoryId) || inventory;
+        this.assertTransition(current, 'approve');
+
+        const changedAt = await this.updateMonthlySummaryLifecycle(agency, current.inventoryId, INVENTORY_STATUS.APPROVED, user, {
+          completedAt: new Date().toISOString(),
+          finishedBy: user,
+          signature,
+          comment
+        });
+
+        return { from: current.status, changedAt, totalScans: current.totalScans };
       });
 
+      await this.recordTransition(inventory, change.from, 'approve', { user, userName, reason: comment, signature });
+      console.log(`✍️ Inventory ${inventory.inventoryId} (${agency}) approved by ${user}`);
+
+      const approved = await this.getInventoryById(agency, inventory.inventoryId);
+      const backup = await this.backupAndClearInventory(approved);
+
+      return {
+        success: true,
+        message: 'Monthly inventory approved and completed successfully',
+        agency,
+        month: inventory.month,
+        year: inventory.year,
+        inventoryId: inventory.inventoryId,
+        transition: 'approve',
+        from: change.from,
+        status: INVENTORY_STATUS.APPROVED,
+        changedAt: change.changedAt,
+        changedBy: user,
+        reason: comment,
+        totalScans: change.totalScans,
+        approval: this.getApprovalRecord(approved),
+        backup,
+        allowedTransitions: getAllowedTransitions(INVENTORY_STATUS.APPROVED)
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to approve inventory: ${error.message}`);
+    }
+  }
+
+  // Back an approved inventory up to Google Drive and clear its rows from the location sheet
+  // A failed backup keeps the rows in the sheet for manual download
+  async backupAndClearInventory(inventory) {
+    const agency = inventory.agency;
+    const month = this.getMonthNumber(inventory.month);
+
+    if (inventory.totalScans === 0) {
+      console.log(`⚠️ No scans found - skipping backup creation`);
+      console.log(`📋 Agency sheet preserved (no data to backup)`);
+      return { stored: false, message: 'No scans to back up' };
+    }
+
+    console.log(`📁 Creating automatic backup for approved inventory with ${inventory.totalScans} scans...`);
+    try {
+      const fileStorageService = require('./fileStorageService');
+      const backupResult = await fileStorageService.storeInventoryFile(agency, month, inventory.year, 'csv', inventory.inventoryId);
+      console.log(`✅ Automatic backup created: ${backupResult.filename}`);
+
+      // Clear agency sheet data after successful backup
+      await this.clearAgencyDataAfterDownload(agency, month, inventory.year, inventory.inventoryId);
+      console.log(`🧹 Agency sheet cleared after backup`);
+
+      return { stored: true, filename: backupResult.filename };
+    } catch (backupError) {
+      console.error(`❌ Automatic backup failed:`, backupError.message);
+      console.log(`📋 Agency sheet preserved for manual download (backup failed)`);
+      return { stored: false, message: `Backup failed: ${backupError.message}` };
+    }
+  }
+
+  // Get monthly inventory data
+  // Defaults to the active inventory (or the most recent one); pass inventoryId for a specific one
+  // damagedOnly keeps the scans whose condition report records damage (totalScans still counts every scan)
+  async getMonthlyInventory(agency, month, year, inventoryId = null, { damagedOnly = false } = {}) {
+    try {
+      const inventory = await this.resolveInventory(agency, month, year, inventoryId);
+      const monthScans = inventory ? await this.getInventoryScanRows(agency, inventory) : [];
+
+      let scans = monthScans.map(row => this.parseScanRow(row));
+      if (damagedOnly) {
+        scans = scans.filter(scan => this.hasDamage(scan));
+      }
+
       return {
         agency,
         month: this.getMonthName(month),
         year,
+        inventoryId: inventory ? inventory.inventoryId : null,
+        status: inventory ? inventory.status : 'Not Started',
         totalScans: monthScans.length,
-        scans: monthScans.map(row => ({
-          date: row[0],
-          identifier: row[1], // Can be barcode or serie
-          scannedBy: row[2] || '',
-          // Enhanced car data from new format
-          serie: row[3] || '',
-          marca: row[4] || '',
-          color: row[5] || '',
-          ubicaciones: row[6] || '',
-          // Legacy compatibility
-          barcode: row[1] // Keep for backward compatibility
-        }))
+        ...(damagedOnly ? { damagedScans: scans.length } : {}),
+        scans: await this.withScanPhotos(inventory?.inventoryId, scans)
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new GoogleSheetsError(`Failed to get monthly inventory: ${error.message}`);
     }
   }
@@ -410,9 +1185,9 @@ class InventoryService {
   async getAgencyInventories(agency) {
     try {
       // Ensure Monthly Summary sheet exists
-      await googleSheets.ensureSheetExists(this.summarySheetName);
+      await storage.ensureSheetExists(this.summarySheetName);
       
-      const summaryData = await googleSheets.getSheetData(this.summarySheetName);
+      const summaryData = await storage.getSheetData(this.summarySheetName);
       
       // Filter for the specific agency
       const agencyInventories = summaryData.filter(row => {
@@ -444,7 +1219,7 @@ class InventoryService {
       console.log(`📋 Checking: ${agency} - ${this.getMonthName(month)} ${year}`);
       
       // Ensure Monthly Summary sheet exists
-      await googleSheets.ensureSheetExists(this.summarySheetName);
+      await storage.ensureSheetExists(this.summarySheetName);
       
       // Get all inventories for this agency/month/year
       const inventories = await this.getAllMonthlyInventories(agency, month, year);
@@ -461,8 +1236,8 @@ class InventoryService {
       }
 
       // Count by status
-      const activeInventories = inventories.filter(inv => inv.status === 'Active');
-      const completedInventories = inventories.filter(inv => inv.status === 'Completed');
+      const activeInventories = inventories.filter(inv => OPEN_STATUSES.includes(inv.status));
+      const completedInventories = inventories.filter(inv => FINISHED_STATUSES.includes(inv.status));
       
       // Get the most recent inventory (last one in the list)
       const latestInventory = inventories[inventories.length - 1];
@@ -494,7 +1269,7 @@ class InventoryService {
   // Get all monthly inventories for an agency/month/year (supports multiple inventories per month)
   async getAllMonthlyInventories(agency, month, year) {
     try {
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
       
       // Find all monthly summaries for this agency/month/year
       const summaries = data.filter(row => {
@@ -504,26 +1279,34 @@ class InventoryService {
                row[2] === agency;
       });
 
-      if (summaries.length === 0) return [];
-
-      return summaries.map(summary => ({
-        month: summary[0],           // Month (1st column)
-        year: summary[1],            // Year (2nd column)
-        agency: summary[2],          // Agency (3rd column)
-        status: summary[3] || 'Active', // Status (4th column)
-        createdAt: summary[4],       // Created At (5th column)
-        createdBy: summary[5],       // Created By (6th column)
-        userName: summary[6],        // User Name (7th column)
-        totalScans: parseInt(summary[7]) || 0, // Total Scans (8th column)
-        inventoryId: summary[8],     // Inventory ID (9th column)
-        completedAt: summary[9],     // Completed At (10th column)
-        finishedBy: summary[10] || '' // Finished By (11th column)
-      }));
+      return this.parseSummaryRows(summaries);
     } catch (error) {
       throw new GoogleSheetsError(`Failed to get all monthly inventories: ${error.message}`);
     }
   }
 
+  // Map MonthlySummary rows to inventories
+  parseSummaryRows(summaries) {
+    return summaries.map(summary => ({
+      month: summary[0],           // Month (1st column)
+      year: summary[1],            // Year (2nd column)
+      agency: summary[2],          // Agency (3rd column)
+      status: summary[3] || 'Active', // Status (4th column)
+      createdAt: summary[4],       // Created At (5th column)
+      createdBy: summary[5],       // Created By (6th column)
+      userName: summary[6],        // User Name (7th column)
+      totalScans: parseInt(summary[7]) || 0, // Total Scans (8th column)
+      inventoryId: summary[8],     // Inventory ID (9th column)
+      completedAt: summary[9],     // Completed At (10th column)
+      finishedBy: summary[10] || '', // Finished By (11th column)
+      statusChangedAt: summary[11] || '', // Status Changed At (12th column)
+      statusChangedBy: summary[12] || '', // Status Changed By (13th column)
+      approvalSignature: summary[13] || '', // Approval Signature (14th column)
+      approvalComment: summary[14] || '',   // Approval Comment (15th column)
+      lastActivityAt: summary[15] || ''     // Last Activity At (16th column)
+    }));
+  }
+
   // Get monthly summary for an agency/month/year (returns the most recent one for backward compatibility)
   async getMonthlySummary(agency, month, year) {
     try {
@@ -531,8 +1314,8 @@ class InventoryService {
       
       if (inventories.length === 0) return null;
       
-      // Return the active inventory if it exists, otherwise the most recent one
-      const activeInventory = inventories.find(inv => inv.status === 'Active');
+      // Return the inventory in progress if it exists, otherwise the most recent one
+      const activeInventory = inventories.find(inv => OPEN_STATUSES.includes(inv.status));
       if (activeInventory) {
         return activeInventory;
       }
@@ -544,11 +1327,153 @@ class InventoryService {
     }
   }
 
+  // Get an inventory by its ID (Session ID column) for an agency
+  async getInventoryById(agency, inventoryId) {
+    const data = await storage.getSheetData(this.summarySheetName);
+    const row = data.find((summary, idx) => idx > 0 && summary[2] === agency && summary[8] === inventoryId);
+    if (!row) return null;
+
+    return this.parseSummaryRows([row])[0];
+  }
+
+  // Get an inventory by its ID alone, whatever its location
+  async findInventoryById(inventoryId) {
+    const data = await storage.getSheetData(this.summarySheetName);
+    const row = data.find((summary, idx) => idx > 0 && summary[8] === inventoryId);
+    if (!row) return null;
+
+    return this.parseSummaryRows([row])[0];
+  }
+
+  /**
+   * Bring the scan rows saved before scans were timestamped up to date, at every location:
+   *   - Scanned At is set to the start of the row's Date in the location's timezone, with Scanned At Precision 'day'
+   *   - a row without an Inventory ID gets its month's inventory, when the month has only one (cancelled ones aside)
+   * Rows whose Date cannot be read are left as they are; running the migration again changes nothing
+   */
+  async migrateScanTimestamps(user) {
+    try {
+      const locations = await locationService.listLocations({ includeInactive: true });
+      const inventories = (await this.getAllInventories())
+        .filter(inventory => inventory.status !== INVENTORY_STATUS.CANCELLED);
+
+      const results = [];
+      for (const location of locations) {
+        const agency = location.sheetName;
+        const result = { agency, timezone: location.timezone, timestamped: 0, assignedInventory: 0, unreadableRows: [] };
+
+        await this.withSheetLock(agency, async () => {
+          await storage.ensureSheetExists(agency);
+          const data = await storage.getSheetData(agency);
+
+          const rows = data.slice(1).map((row, index) => {
+            if (row.length < 2 || !row[0] || !row[1] || (row[20] && row[7])) return row;
+
+            const scanDay = this.parseScanDate(row[0]);
+            if (!scanDay) {
+              result.unreadableRows.push(index + 2); // +2: header row and 1-based rows
+              return row;
+            }
+
+            const updatedRow = this.toFullScanRow(row);
+            if (!updatedRow[20]) {
+              updatedRow[20] = this.getZonedDayStart(scanDay, location.timezone).toISOString();
+              updatedRow[21] = 'day';
+              result.timestamped++;
+            }
+            if (!updatedRow[7]) {
+              const monthInventories = inventories.filter(inventory =>
+                inventory.agency === agency &&
+                inventory.month === this.getMonthName(scanDay.month) &&
+                inventory.year === scanDay.year.toString()
+              );
+              if (monthInventories.length === 1) {
+                updatedRow[7] = monthInventories[0].inventoryId;
+                result.assignedInventory++;
+              }
+            }
+            return updatedRow;
+          });
+
+          if (result.timestamped > 0 || result.assignedInventory > 0) {
+            await this.ensureLocationSheetHeaders(agency);
+            await storage.batchUpdateRows(agency, rows);
+          }
+        });
+
+        results.push(result);
+      }
+
+      const totalTimestamped = results.reduce((sum, result) => sum + result.timestamped, 0);
+      const totalAssigned = results.reduce((sum, result) => sum + result.assignedInventory, 0);
+      console.log(`🕒 Migrated scan timestamps: ${totalTimestamped} rows timestamped, ${totalAssigned} assigned to their inventory (by ${user})`);
+
+      return { totalTimestamped, totalAssigned, locations: results };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to migrate scan timestamps: ${error.message}`);
+    }
+  }
+
+  // Get the inventories of every location
+  async getAllInventories() {
+    await storage.ensureSheetExists(this.summarySheetName);
+    const data = await storage.getSheetData(this.summarySheetName);
+    return this.parseSummaryRows(data.slice(1).filter(row => row[8]));
+  }
+
+  // Add each scan's photo links (ScanPhotos sheet)
+  async withScanPhotos(inventoryId, scans) {
+    if (!inventoryId || scans.length === 0) return scans;
+
+    const photoService = require('./photoService');
+    const photos = await photoService.getInventoryPhotos(inventoryId);
+    return scans.map(scan => ({ ...scan, photos: photos.get(scan.identifier) || [] }));
+  }
+
+  // Resolve the inventory a request refers to: a specific inventoryId, or the month's
+  // active inventory (most recent when none is active)
+  async resolveInventory(agency, month, year, inventoryId = null) {
+    if (!inventoryId) {
+      return this.getMonthlySummary(agency, month, year);
+    }
+
+    const inventories = await this.getAllMonthlyInventories(agency, month, year);
+    const inventory = inventories.find(inv => inv.inventoryId === inventoryId);
+    if (!inventory) {
+      throw new ValidationError(`Inventory ${inventoryId} not found for ${agency} - ${this.getMonthName(month)} ${year}`);
+    }
+    return inventory;
+  }
+
+  // Get the inventory a location sheet row belongs to
+  async getScanRowInventory(agency, row) {
+    if (row[7]) {
+      return this.getInventoryById(agency, row[7]);
+    }
+
+    // Legacy row without Inventory ID: the month's inventory, by scan date
+    const scanDay = this.parseScanDate(row[0]);
+    if (!scanDay) return null;
+    return this.getMonthlySummary(agency, scanDay.month.toString(), scanDay.year.toString());
+  }
+
+  // Add delta to an inventory's scan count, starting from its current MonthlySummary row
+  // Must not be called while holding the inventory's lock
+  async adjustScanCount(agency, inventory, delta) {
+    const month = this.getMonthNumber(inventory.month);
+    return this.withInventoryLock(agency, month, inventory.year, async () => {
+      const current = await this.getInventoryById(agency, inventory.inventoryId) || inventory;
+      const newScanCount = Math.max(0, current.totalScans + delta);
+      await this.updateMonthlySummaryScanCount(agency, month, current.year, newScanCount, current.inventoryId);
+      return { previousScanCount: current.totalScans, newScanCount };
+    });
+  }
+
   // Update monthly summary scan count only
   async updateMonthlySummaryScanCount(agency, month, year, newScanCount, inventoryId = null) {
     try {
       
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
       
       // Find the row to update
       const rowIndex = data.findIndex(row => {
@@ -565,13 +1490,14 @@ class InventoryService {
       });
 
       if (rowIndex !== -1) {
-        // Update only the scan count field (column 8)
-        const existingRow = data[rowIndex];
-        const updatedRow = [...existingRow];
+        // Update only the scan count field (column 8) and the activity stamp (column 16)
+        await this.ensureSummarySheetHeaders();
+        const updatedRow = summaryHeaders.map((header, index) => data[rowIndex][index] || '');
         updatedRow[7] = newScanCount.toString(); // Total Scans (8th column)
+        updatedRow[15] = new Date().toISOString(); // Last Activity At (16th column)
         
         // Update the entire row
-        await googleSheets.updateRow(this.summarySheetName, rowIndex + 1, updatedRow);
+        await storage.updateRow(this.summarySheetName, rowIndex + 1, updatedRow);
       } else {
         throw new GoogleSheetsError(`Monthly summary row not found for ${agency} - ${this.getMonthName(month)} ${year}`);
       }
@@ -589,20 +1515,17 @@ class InventoryService {
       
       if (allInventories.length > 0) {
         
-        // Look for an active inventory first
-        const activeInventory = allInventories.find(inv => inv.status === 'Active');
+        // Look for an inventory in progress first; it must accept scans (not paused or in review)
+        const activeInventory = allInventories.find(inv => OPEN_STATUSES.includes(inv.status));
         
         if (activeInventory) {
+          this.assertAcceptsScans(activeInventory);
           return activeInventory;
-        } else {
-          if (allInventories.length >= 2) {
-            throw new ValidationError(`Monthly inventory limit reached for ${agency}. Maximum 2 inventories per month allowed.`);
-          }
-          // Continue to create new inventory below
         }
-      } else {
-        // Continue to create new inventory below
       }
+
+      // Starting a new inventory must be allowed by the location's policy
+      await this.assertCanStartInventory(agency, month, year);
       
       // Create new inventory (either first inventory or additional inventory)
       console.log(`📝 Step 2: Creating new inventory...`);
@@ -614,30 +1537,36 @@ class InventoryService {
       
       // Note: We do NOT clear the agency sheet when creating a new inventory
       // This preserves data from previous inventories for download purposes
-      // The agency sheet will accumulate data from all inventories in the same month
+      // Scan rows carry their Inventory ID, so inventories sharing the sheet stay separate
       console.log(`📋 Preserving agency sheet data for download access`);
       
       const inventoryId = `inv_${uuidv4()}`;
       console.log(`   Generated Inventory ID: ${inventoryId}`);
       
+      await this.ensureSummarySheetHeaders();
       const values = [
         this.getMonthName(month),           // Month
         year.toString(),                    // Year
         agency,                             // Agency
-        'Active',                           // Status
+        INVENTORY_STATUS.ACTIVE,            // Status
         this.formatDate(new Date()),        // Created At (human-readable format)
         user,                               // Created By
         userName || user,                   // User Name
         '0',                                // Total Scans ← Start with 0, not 1
         inventoryId,                        // Session ID
         '',                                 // Completed At
-        ''                                  // Finished By
+        '',                                 // Finished By
+        new Date().toISOString(),           // Status Changed At
+        user,                               // Status Changed By
+        '',                                 // Approval Signature
+        '',                                 // Approval Comment
+        new Date().toISOString()            // Last Activity At
       ];
       
       console.log(`   Values to append: [${values.join(', ')}]`);
       console.log(`   Appending row to MonthlySummary sheet...`);
       
-      await googleSheets.appendRow(this.summarySheetName, values);
+      await storage.appendRow(this.summarySheetName, values);
       console.log(`✅ Row appended to MonthlySummary sheet`);
       
       // Wait for Google Sheets to update and verify creation
@@ -692,7 +1621,7 @@ class InventoryService {
   async updateMonthlySummary(agency, month, year, user, userName) {
     try {
       // Get fresh data from Google Sheets
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
       
       console.log(`🔍 Looking for existing row: Month=${this.getMonthName(month)}, Year=${year}, Agency=${agency}`);
       console.log(`📊 Current data in MonthlySummary:`, data.map((row, idx) => `${idx}: [${row.join(', ')}]`));
@@ -746,7 +1675,7 @@ class InventoryService {
       ];
       
              // Update the entire row
-       await googleSheets.updateRow(this.summarySheetName, existingRowIndex + 1, updatedRow);
+       await storage.updateRow(this.summarySheetName, existingRowIndex + 1, updatedRow);
       console.log(`✅ Updated monthly summary for ${agency} - ${this.getMonthName(month)} ${year}: Total Scans = ${newScanCount}`);
     } catch (error) {
       console.error(`❌ Error updating monthly summary:`, error);
@@ -757,7 +1686,8 @@ class InventoryService {
   // Update monthly summary status
   async updateMonthlySummaryStatus(agency, month, year, status, completedAt, totalScans, inventoryId = null, finishedBy = null) {
     try {
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      await this.ensureSummarySheetHeaders();
+      const data = await storage.getSheetData(this.summarySheetName);
       
       // Find the row to update
       const rowIndex = data.findIndex(row => {
@@ -782,6 +1712,8 @@ class InventoryService {
         updatedRow[7] = (totalScans || 0).toString(); // Total Scans (8th column)
         updatedRow[9] = completedAt ? this.formatDate(completedAt) : ''; // Completed At (10th column) - human-readable format
         updatedRow[10] = finishedBy || '';         // Finished By (11th column)
+        updatedRow[11] = new Date().toISOString(); // Status Changed At (12th column)
+        updatedRow[12] = finishedBy || '';         // Status Changed By (13th column)
         
         // Ensure all required fields are present
         for (let i = 0; i < updatedRow.length; i++) {
@@ -791,7 +1723,7 @@ class InventoryService {
         }
         
         // Update the entire row
-        await googleSheets.updateRow(this.summarySheetName, rowIndex + 1, updatedRow);
+        await storage.updateRow(this.summarySheetName, rowIndex + 1, updatedRow);
         
         console.log(`✅ Successfully updated Monthly Summary for ${agency} - ${this.getMonthName(month)} ${year}`);
         console.log(`   Status: ${status}, Total Scans: ${totalScans}, Completed At: ${this.formatDate(completedAt)}`);
@@ -813,7 +1745,7 @@ class InventoryService {
       console.log(`\n🔍 === VALIDATE SINGLE MONTHLY SUMMARY ===`);
       console.log(`📋 Checking for: ${agency} - ${this.getMonthName(month)} ${year}`);
       
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
       console.log(`📊 Total MonthlySummary rows: ${data.length}`);
       
       // Find all rows for the specific agency/month/year combination
@@ -854,8 +1786,8 @@ class InventoryService {
       console.log(`📋 Duplicate rows:`, targetRows.map((row, idx) => `Row ${idx + 1}: [${row.join(', ')}]`));
       
       // Check if any are completed
-      const completedRows = targetRows.filter(row => (row[3] || 'Active') === 'Completed');
-      const activeRows = targetRows.filter(row => (row[3] || 'Active') === 'Active');
+      const completedRows = targetRows.filter(row => FINISHED_STATUSES.includes(row[3] || 'Active'));
+      const activeRows = targetRows.filter(row => OPEN_STATUSES.includes(row[3] || 'Active'));
       
       console.log(`📊 Completed rows: ${completedRows.length}, Active rows: ${activeRows.length}`);
       
@@ -869,6 +1801,17 @@ class InventoryService {
         };
       }
       
+      // Cancelled inventories next to a single inventory in progress are not duplicates
+      if (activeRows.length <= 1) {
+        console.log(`✅ Found cancelled rows - this is valid`);
+        return {
+          valid: true,
+          message: 'Found cancelled rows',
+          rows: targetRows,
+          status: activeRows.length > 0 ? activeRows[0][3] || 'Active' : INVENTORY_STATUS.CANCELLED
+        };
+      }
+
       // Multiple active rows - this needs cleanup
       console.log(`❌ Multiple active rows found - validation failed`);
       return { 
@@ -887,7 +1830,7 @@ class InventoryService {
   // Clean up duplicate rows in monthly summary
   async cleanupDuplicateRows() {
     try {
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
       
       if (data.length <= 1) {
         console.log('📋 No data rows to clean up');
@@ -931,7 +1874,7 @@ class InventoryService {
           for (const duplicateRow of rowsToDelete) {
             try {
               // Delete the duplicate row by clearing it
-              await googleSheets.clearRow(this.summarySheetName, duplicateRow.index);
+              await storage.clearRow(this.summarySheetName, duplicateRow.index);
               cleanedCount++;
               console.log(`✅ Deleted duplicate row ${duplicateRow.index}`);
             } catch (error) {
@@ -954,7 +1897,7 @@ class InventoryService {
   // Clean up specific duplicate rows for an agency/month/year combination
   async cleanupSpecificDuplicates(agency, month, year) {
     try {
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
       
       if (data.length <= 1) {
         console.log('📋 No data rows to clean up');
@@ -993,7 +1936,7 @@ class InventoryService {
       for (const duplicateRow of rowsToDelete) {
         try {
           // Delete the duplicate row by clearing it
-          await googleSheets.clearRow(this.summarySheetName, duplicateRow.index);
+          await storage.clearRow(this.summarySheetName, duplicateRow.index);
           cleanedCount++;
           console.log(`✅ Deleted duplicate row ${duplicateRow.index}`);
         } catch (error) {
@@ -1014,7 +1957,8 @@ class InventoryService {
   // Validate and repair monthly summary data structure
   async validateMonthlySummaryStructure() {
     try {
-      const data = await googleSheets.getSheetData(this.summarySheetName);
+      await this.ensureSummarySheetHeaders();
+      const data = await storage.getSheetData(this.summarySheetName);
       
       if (data.length === 0) {
         console.log('📋 Monthly Summary sheet is empty, no validation needed');
@@ -1022,10 +1966,7 @@ class InventoryService {
       }
 
       const headers = data[0];
-      const expectedHeaders = [
-        'Month', 'Year', 'Location', 'Status', 'Created At', 'Created By', 
-        'User Name', 'Total Scans', 'Session ID', 'Completed At', 'Finished By'
-      ];
+      const expectedHeaders = summaryHeaders;
 
       // Check if headers match expected structure
       const headerMatch = expectedHeaders.every((header, index) => 
@@ -1068,69 +2009,54 @@ class InventoryService {
   }
 
   // Get real-time scan count for monitoring progress
-  async getScanCount(agency, month, year) {
+  async getScanCount(agency, month, year, inventoryId = null) {
     try {
-      // Get current scan count from agency sheet
-      const agencyData = await googleSheets.getSheetData(agency);
-      const currentMonthScans = agencyData.filter(row => {
-        if (row.length < 2) return false;
-        const scanDate = new Date(row[0]);
-        return scanDate.getMonth() === parseInt(month) - 1 && scanDate.getFullYear() === parseInt(year);
-      });
-
       // Get monthly summary for status
-      const summary = await this.getMonthlySummary(agency, month, year);
+      const summary = await this.resolveInventory(agency, month, year, inventoryId);
+
+      // Get current scan count from this inventory's rows
+      const currentMonthScans = summary ? await this.getInventoryScanRows(agency, summary) : [];
       
       return {
         agency,
         month: this.getMonthName(month),
         year,
+        inventoryId: summary ? summary.inventoryId : null,
         totalScans: currentMonthScans.length,
         status: summary ? summary.status : 'Not Started',
         lastScan: currentMonthScans.length > 0 ? currentMonthScans[currentMonthScans.length - 1][0] : null,
-        isActive: summary ? summary.status === 'Active' : false
+        isActive: summary ? SCANNING_STATUSES.includes(summary.status) : false
       };
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new GoogleSheetsError(`Failed to get scan count: ${error.message}`);
     }
   }
 
-  // Check for duplicate barcode in current month
-  async checkDuplicateBarcode(agency, month, year, barcode) {
+  // Check for duplicate barcode in an inventory
+  async checkDuplicateBarcode(agency, inventory, barcode) {
     try {
-      const data = await googleSheets.getSheetData(agency);
-      
-      // Check for duplicate in current month/year
-      const duplicate = data.find(row => {
-        if (row.length < 2) return false;
-        const scanDate = new Date(row[0]);
-        return scanDate.getMonth() === parseInt(month) - 1 && 
-               scanDate.getFullYear() === parseInt(year) && 
-               row[1] === barcode;
-      });
-
-      return !!duplicate;
+      const rows = await this.getInventoryScanRows(agency, inventory);
+      return rows.some(row => row[1] === barcode);
     } catch (error) {
       throw new GoogleSheetsError(`Failed to check duplicate barcode: ${error.message}`);
     }
   }
 
-  // Get duplicate barcodes for a month
-  async getDuplicateBarcodes(agency, month, year) {
+  // Get duplicate barcodes for a month's inventory (active or most recent unless inventoryId is given)
+  async getDuplicateBarcodes(agency, month, year, inventoryId = null) {
     try {
-      const data = await googleSheets.getSheetData(agency);
+      const inventory = await this.resolveInventory(agency, month, year, inventoryId);
+      const rows = inventory ? await this.getInventoryScanRows(agency, inventory) : [];
       
-      // Group barcodes by count for current month/year
+      // Group barcodes by count for this inventory
       const barcodeCounts = {};
       
-      data.forEach(row => {
-        if (row.length < 2) return;
-        
-        const scanDate = new Date(row[0]);
-        if (scanDate.getMonth() === parseInt(month) - 1 && scanDate.getFullYear() === parseInt(year)) {
-          const barcode = row[1];
-          barcodeCounts[barcode] = (barcodeCounts[barcode] || 0) + 1;
-        }
+      rows.forEach(row => {
+        const barcode = row[1];
+        barcodeCounts[barcode] = (barcodeCounts[barcode] || 0) + 1;
       });
 
       // Find duplicates (count > 1)
@@ -1144,12 +2070,19 @@ class InventoryService {
 
       return duplicates;
     } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
       throw new GoogleSheetsError(`Failed to get duplicate barcodes: ${error.message}`);
     }
   }
 
-  // Delete a specific scanned entry
-  async deleteScannedEntry(agency, barcode) {
+  /**
+   * Soft delete a scanned entry (only within one inventory when inventoryId is given)
+   * The row stays in the sheet marked as Deleted and the deletion is recorded in the audit trail
+   * @param {Object} deletion - { user, userName, reason }
+   */
+  async deleteScannedEntry(agency, barcode, inventoryId = null, { user = '', userName = '', reason = '' } = {}) {
     try {
       console.log(`\n🗑️ === DELETE SCANNED ENTRY START ===`);
       console.log(`📋 Deleting entry: ${agency} - ${barcode}`);
@@ -1159,52 +2092,74 @@ class InventoryService {
         throw new ValidationError('Missing required fields: agency, barcode');
       }
 
-      // Get current data from agency sheet
-      const data = await googleSheets.getSheetData(agency);
-      
-      // Find the row to delete (matching barcode)
-      const rowIndex = data.findIndex(row => {
-        if (row.length < 2) return false;
-        return row[1] === barcode;
-      });
-
-      if (rowIndex === -1) {
-        throw new ValidationError(`Scanned entry not found: ${barcode} for ${agency}`);
+      const inventory = inventoryId ? await this.getInventoryById(agency, inventoryId) : null;
+      if (inventoryId && !inventory) {
+        throw new ValidationError(`Inventory ${inventoryId} not found for ${agency}`);
       }
 
-      const deletedRow = data[rowIndex];
-      const deletedDate = deletedRow[0];
+      // Locate and mark the row under the sheet lock so a concurrent rewrite cannot move it
+      const deletedAt = new Date().toISOString();
+      const { deletedRow, summary } = await this.withSheetLock(agency, async () => {
+        const data = await storage.getSheetData(agency);
+        
+        // Find the row to delete (matching barcode, not already deleted)
+        const rowIndex = data.findIndex((row, index) => {
+          if (index === 0 || row.length < 2) return false;
+          return row[1] === barcode && !this.isDeletedScan(row) &&
+                 (!inventory || this.isInventoryScan(row, inventory));
+        });
 
-      console.log(`🔍 Found entry at row ${rowIndex + 1}: ${deletedDate} - ${barcode}`);
+        if (rowIndex === -1) {
+          throw new ValidationError(`Scanned entry not found: ${barcode} for ${agency}`);
+        }
 
-      // Create new data array without the deleted row
-      const newData = data.filter((row, index) => index !== rowIndex);
-      
-      console.log(`📊 Original rows: ${data.length}, New rows: ${newData.length}`);
+        const row = data[rowIndex];
+        console.log(`🔍 Found entry at row ${rowIndex + 1}: ${row[0]} - ${barcode}`);
 
-      // Prepare rows for batch update (skip header row)
-      const rowsToUpdate = newData.slice(1).filter(row => 
-        row.length >= 2 && row[0] && row[1]
-      ).map(row => [row[0], row[1]]);
+        // Find which inventory this entry belongs to for updating summary and the audit trail
+        // Its scans can only change while it is being scanned (not once submitted, paused or closed)
+        const rowInventory = inventory || await this.getScanRowInventory(agency, row);
+        if (rowInventory) {
+          this.assertAcceptsScans(rowInventory);
+        }
+
+        // Mark the row deleted in place
+        const updatedRow = this.toFullScanRow(row);
+        updatedRow[7] = updatedRow[7] || (rowInventory ? rowInventory.inventoryId : '');
+        updatedRow[8] = SCAN_STATUS.DELETED;
+        updatedRow[9] = deletedAt;
+        updatedRow[10] = user;
+        updatedRow[11] = reason;
 
-      // Use batch update for better performance
-      await googleSheets.batchUpdateRows(agency, rowsToUpdate);
+        await this.ensureLocationSheetHeaders(agency);
+        await storage.updateRow(agency, rowIndex + 1, updatedRow);
+        console.log(`✅ Marked row ${rowIndex + 1} as deleted`);
 
-      console.log(`✅ Successfully deleted row and rebuilt sheet without gaps`);
+        return { deletedRow: row, summary: rowInventory };
+      });
 
-      // Find which month/year this entry belongs to for updating summary
-      const scanDate = new Date(deletedDate);
-      const month = (scanDate.getMonth() + 1).toString();
-      const year = scanDate.getFullYear().toString();
+      const deletedDate = deletedRow[0];
+      const scanDay = this.parseScanDate(deletedDate);
+      const month = summary ? this.getMonthNumber(summary.month).toString() : (scanDay ? scanDay.month.toString() : '');
+      const year = summary ? summary.year : (scanDay ? scanDay.year.toString() : '');
 
       // Update the monthly summary scan count
-      const summary = await this.getMonthlySummary(agency, month, year);
       if (summary) {
-        const newScanCount = Math.max(0, summary.totalScans - 1);
-        await this.updateMonthlySummaryScanCount(agency, month, year, newScanCount);
-        console.log(`✅ Updated scan count from ${summary.totalScans} to ${newScanCount}`);
+        const { previousScanCount, newScanCount } = await this.adjustScanCount(agency, summary, -1);
+        console.log(`✅ Updated scan count from ${previousScanCount} to ${newScanCount}`);
+        await this.indexScanRows(summary, [deletedRow], VIN_ACTIONS.REMOVED, user);
       }
 
+      await auditService.record({
+        action: auditService.actions.SCAN_DELETED,
+        agency,
+        inventoryId: summary ? summary.inventoryId : null,
+        identifier: barcode,
+        user,
+        userName,
+        reason
+      });
+
       console.log(`🏁 === DELETE SCANNED ENTRY COMPLETE ===\n`);
 
       return {
@@ -1215,19 +2170,27 @@ class InventoryService {
           barcode,
           date: deletedDate,
           month: this.getMonthName(month),
-          year
+          year,
+          inventoryId: summary ? summary.inventoryId : null,
+          deletedAt,
+          deletedBy: user,
+          reason
         }
       };
     } catch (error) {
       console.error(`❌ Error deleting scanned entry:`, error);
-      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
         throw error;
       }
       throw new GoogleSheetsError(`Failed to delete scanned entry: ${error.message}`);
     }
   }
 
-  async deleteMultipleScannedEntries(agency, barcodes) {
+  /**
+   * Soft delete several scanned entries (only within one inventory when inventoryId is given)
+   * @param {Object} deletion - { user, userName, reason }
+   */
+  async deleteMultipleScannedEntries(agency, barcodes, inventoryId = null, { user = '', userName = '', reason = '' } = {}) {
     try {
       console.log(`\n🗑️ === DELETE MULTIPLE SCANNED ENTRIES START ===`);
       console.log(`📋 Deleting ${barcodes.length} entries for ${agency}:`, barcodes);
@@ -1237,83 +2200,587 @@ class InventoryService {
         throw new ValidationError('Missing required fields: agency, barcodes (non-empty array)');
       }
 
-      // Get current data from agency sheet
-      const data = await googleSheets.getSheetData(agency);
-      
-      // Find all rows to delete (matching barcodes)
+      const inventory = inventoryId ? await this.getInventoryById(agency, inventoryId) : null;
+      if (inventoryId && !inventory) {
+        throw new ValidationError(`Inventory ${inventoryId} not found for ${agency}`);
+      }
+
+      // Locate and mark the rows under the sheet lock so a concurrent rewrite cannot move them
+      const deletedAt = new Date().toISOString();
       const deletedEntries = [];
-      const newData = data.filter((row, index) => {
-        if (row.length < 2) return true; // Keep rows with insufficient data
-        
-        const barcode = row[1];
-        if (barcodes.includes(barcode)) {
+      const inventoryCounts = new Map(); // inventoryId -> { summary, count }
+      const remainingScans = await this.withSheetLock(agency, async () => {
+        const data = await storage.getSheetData(agency);
+
+        // Find all rows to delete (matching barcodes, not already deleted)
+        const deletedRows = []; // { rowNumber, row }
+        data.forEach((row, index) => {
+          if (index === 0 || row.length < 2) return;
+          if (this.isDeletedScan(row)) return;
+          if (inventory && !this.isInventoryScan(row, inventory)) return; // Keep other inventories
+          if (!barcodes.includes(row[1])) return;
+
+          deletedRows.push({ rowNumber: index + 1, row });
+          console.log(`🔍 Found entry at row ${index + 1}: ${row[0]} - ${row[1]}`);
+        });
+
+        if (deletedRows.length === 0) {
+          throw new ValidationError(`No scanned entries found for the provided barcodes: ${barcodes.join(', ')}`);
+        }
+
+        // Find each row's inventory; none is deleted unless all of them are still being scanned
+        for (const deletedRow of deletedRows) {
+          deletedRow.summary = inventory || await this.getScanRowInventory(agency, deletedRow.row);
+          if (deletedRow.summary) {
+            this.assertAcceptsScans(deletedRow.summary);
+          }
+        }
+
+        await this.ensureLocationSheetHeaders(agency);
+
+        // Mark each row deleted in place and count deleted entries per inventory
+        for (const { rowNumber, row, summary } of deletedRows) {
+          const updatedRow = this.toFullScanRow(row);
+          updatedRow[7] = updatedRow[7] || (summary ? summary.inventoryId : '');
+          updatedRow[8] = SCAN_STATUS.DELETED;
+          updatedRow[9] = deletedAt;
+          updatedRow[10] = user;
+          updatedRow[11] = reason;
+          await storage.updateRow(agency, rowNumber, updatedRow);
+
           deletedEntries.push({
             date: row[0],
-            barcode: barcode,
-            scannedBy: row[2] || ''
+            barcode: row[1],
+            scannedBy: row[2] || '',
+            inventoryId: updatedRow[7] || null
           });
-          console.log(`🔍 Found entry at row ${index + 1}: ${row[0]} - ${barcode}`);
-          return false; // Remove this row
-        }
-        return true; // Keep this row
-      });
 
-      if (deletedEntries.length === 0) {
-        throw new ValidationError(`No scanned entries found for the provided barcodes: ${barcodes.join(', ')}`);
-      }
+          await auditService.record({
+            action: auditService.actions.SCAN_DELETED,
+            agency,
+            inventoryId: updatedRow[7] || null,
+            identifier: row[1],
+            user,
+            userName,
+            reason
+          });
 
-      console.log(`📊 Original data rows: ${data.length}, New data rows: ${newData.length}`);
-      console.log(`🗑️ Deleted ${deletedEntries.length} out of ${barcodes.length} requested entries`);
+          if (!summary) continue;
+          const entry = inventoryCounts.get(summary.inventoryId) || { summary, count: 0, rows: [] };
+          entry.count++;
+          entry.rows.push(row);
+          inventoryCounts.set(summary.inventoryId, entry);
+        }
 
-      // Prepare rows for batch update (skip header row)
-      const rowsToUpdate = newData.slice(1).filter(row => 
-        row.length >= 2 && row[0] && row[1]
-      ).map(row => [row[0], row[1], row[2] || '']); // Include scannedBy column
-
-      // Use batch update for better performance
-      await googleSheets.batchUpdateRows(agency, rowsToUpdate);
-      console.log(`✅ Successfully deleted ${deletedEntries.length} entries and rebuilt sheet without gaps`);
-
-      // Update the monthly summary scan count for each deleted entry
-      const monthYearCounts = {};
-      deletedEntries.forEach(entry => {
-        const scanDate = new Date(entry.date);
-        const month = (scanDate.getMonth() + 1).toString();
-        const year = scanDate.getFullYear().toString();
-        const key = `${month}-${year}`;
-        monthYearCounts[key] = (monthYearCounts[key] || 0) + 1;
+        return data.slice(1).filter(row => row.length >= 2 && row[0] && row[1] && !this.isDeletedScan(row)).length - deletedRows.length;
       });
 
-      // Update scan counts for each affected month/year
-      for (const [monthYear, count] of Object.entries(monthYearCounts)) {
-        const [month, year] = monthYear.split('-');
-        const summary = await this.getMonthlySummary(agency, month, year);
-        if (summary) {
-          const newScanCount = Math.max(0, summary.totalScans - count);
-          await this.updateMonthlySummaryScanCount(agency, month, year, newScanCount);
-          console.log(`✅ Updated scan count for ${this.getMonthName(month)} ${year}: ${summary.totalScans} → ${newScanCount} (deleted ${count} entries)`);
-        }
+      console.log(`🗑️ Deleted ${deletedEntries.length} out of ${barcodes.length} requested entries`);
+
+      // Update scan counts for each affected inventory
+      for (const { summary, count, rows } of inventoryCounts.values()) {
+        const { previousScanCount, newScanCount } = await this.adjustScanCount(agency, summary, -count);
+        console.log(`✅ Updated scan count for ${summary.month} ${summary.year} (${summary.inventoryId}): ${previousScanCount} → ${newScanCount} (deleted ${count} entries)`);
+        await this.indexScanRows(summary, rows, VIN_ACTIONS.REMOVED, user);
       }
 
       console.log(`🏁 === DELETE MULTIPLE SCANNED ENTRIES COMPLETE ===\n`);
-      
+
       return {
         success: true,
         message: `Successfully deleted ${deletedEntries.length} out of ${barcodes.length} scanned entries`,
         deletedEntries: deletedEntries,
         notFound: barcodes.filter(barcode => !deletedEntries.some(entry => entry.barcode === barcode)),
-        remainingScans: newData.length - 1 // Subtract 1 for header row
+        remainingScans
       };
 
     } catch (error) {
       console.error(`❌ Error deleting multiple scanned entries:`, error);
-      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
         throw error;
       }
       throw new GoogleSheetsError(`Failed to delete multiple scanned entries: ${error.message}`);
     }
   }
 
+  /**
+   * Replace the condition report of a scanned vehicle
+   * Editable until the inventory is completed
+   * @param {Object} inventory - Inventory the scan belongs to
+   * @param {Object} condition - Condition report (null clears it)
+   * @param {Object} update - { user, userName }
+   */
+  async updateScanCondition(inventory, identifier, condition, { user = '', userName = '' } = {}) {
+    try {
+      if (condition !== null) {
+        this.assertValidCondition(condition);
+      }
+
+      const agency = inventory.agency;
+      const month = this.getMonthNumber(inventory.month);
+
+      // Hold the inventory lock so the inventory cannot be completed mid-update
+      const updatedRow = await this.withInventoryLock(agency, month, inventory.year, async () => {
+        const current = await this.getInventoryById(agency, inventory.inventoryId) || inventory;
+        if (!OPEN_STATUSES.includes(current.status)) {
+          throw new ValidationError(`Inventory ${inventory.inventoryId} is ${current.status}; condition reports can no longer be edited`);
+        }
+
+        return this.withSheetLock(agency, async () => {
+          const data = await storage.getSheetData(agency);
+          const rowIndex = data.findIndex((row, index) =>
+            index > 0 && row[1] === identifier && !this.isDeletedScan(row) && this.isInventoryScan(row, current)
+          );
+          if (rowIndex === -1) {
+            throw new NotFoundError(`Scan ${identifier} not found in inventory ${inventory.inventoryId}`);
+          }
+
+          const row = this.applyCondition(this.toFullScanRow(data[rowIndex]), condition);
+          row[7] = row[7] || current.inventoryId;
+
+          await this.ensureLocationSheetHeaders(agency);
+          await storage.updateRow(agency, rowIndex + 1, row);
+          return row;
+        });
+      });
+
+      const scan = this.parseScanRow(updatedRow);
+      await auditService.record({
+        action: auditService.actions.CONDITION_UPDATED,
+        agency,
+        inventoryId: inventory.inventoryId,
+        identifier,
+        user,
+        userName,
+        details: scan.condition
+      });
+
+      return {
+        success: true,
+        message: 'Condition report updated successfully',
+        scan
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to update condition report: ${error.message}`);
+    }
+  }
+
+  // Index of the most recent soft-deleted row for a barcode (-1 when none)
+  findDeletedScanIndex(data, barcode, inventory = null) {
+    for (let index = data.length - 1; index > 0; index--) {
+      const row = data[index];
+      if (row[1] === barcode && this.isDeletedScan(row) && (!inventory || this.isInventoryScan(row, inventory))) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Restore a soft-deleted scanned entry (the most recent deletion of that barcode)
+   * @param {Object} restore - { user, userName, reason }
+   */
+  async restoreScannedEntry(agency, barcode, inventoryId = null, { user = '', userName = '', reason = '' } = {}) {
+    try {
+      if (!agency || !barcode) {
+        throw new ValidationError('Missing required fields: agency, barcode');
+      }
+
+      const inventory = inventoryId ? await this.getInventoryById(agency, inventoryId) : null;
+      if (inventoryId && !inventory) {
+        throw new ValidationError(`Inventory ${inventoryId} not found for ${agency}`);
+      }
+
+      // Most recent deletion of this barcode, to learn which inventory it belongs to
+      const data = await storage.getSheetData(agency);
+      const rowIndex = this.findDeletedScanIndex(data, barcode, inventory);
+      if (rowIndex === -1) {
+        throw new ValidationError(`Deleted entry not found: ${barcode} for ${agency}`);
+      }
+
+      const summary = inventory || await this.getScanRowInventory(agency, data[rowIndex]);
+      if (summary) {
+        this.assertAcceptsScans(summary);
+      }
+
+      // Re-check under the sheet lock: the row may have moved or been restored meanwhile
+      const restoreRow = () => this.withSheetLock(agency, async () => {
+        const currentData = await storage.getSheetData(agency);
+        const currentIndex = this.findDeletedScanIndex(currentData, barcode, inventory);
+        if (currentIndex === -1) {
+          throw new ValidationError(`Deleted entry not found: ${barcode} for ${agency}`);
+        }
+
+        // The barcode may have been scanned again after it was deleted
+        if (summary && await this.checkDuplicateBarcode(agency, summary, barcode)) {
+          throw new ValidationError(`Barcode ${barcode} has already been scanned again in this inventory`);
+        }
+
+        const updatedRow = this.toFullScanRow(currentData[currentIndex]);
+        updatedRow[8] = SCAN_STATUS.RESTORED;
+        updatedRow[9] = '';
+        updatedRow[10] = '';
+        updatedRow[11] = '';
+        await storage.updateRow(agency, currentIndex + 1, updatedRow);
+
+        return currentData[currentIndex];
+      });
+
+      let restoredRow;
+      if (summary) {
+        // Hold the inventory lock so the duplicate check and count update cannot race a new scan
+        const month = this.getMonthNumber(summary.month);
+        restoredRow = await this.withInventoryLock(agency, month, summary.year, async () => {
+          const current = await this.getInventoryById(agency, summary.inventoryId) || summary;
+          this.assertAcceptsScans(current);
+          const row = await restoreRow();
+
+          const newScanCount = current.totalScans + 1;
+          await this.updateMonthlySummaryScanCount(agency, month, current.year, newScanCount, current.inventoryId);
+          console.log(`✅ Restored ${barcode}, scan count ${current.totalScans} → ${newScanCount}`);
+
+          return row;
+        });
+      } else {
+        restoredRow = await restoreRow();
+      }
+
+      if (summary) {
+        await this.indexScanRows(summary, [restoredRow], VIN_ACTIONS.SCANNED, user);
+      }
+
+      await auditService.record({
+        action: auditService.actions.SCAN_RESTORED,
+        agency,
+        inventoryId: summary ? summary.inventoryId : null,
+        identifier: barcode,
+        user,
+        userName,
+        reason
+      });
+
+      return {
+        success: true,
+        message: 'Scanned entry restored successfully',
+        restoredEntry: {
+          agency,
+          barcode,
+          date: restoredRow[0],
+          month: summary ? summary.month : null,
+          year: summary ? summary.year : null,
+          inventoryId: summary ? summary.inventoryId : null,
+          restoredBy: user
+        }
+      };
+    } catch (error) {
+      console.error(`❌ Error restoring scanned entry:`, error);
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to restore scanned entry: ${error.message}`);
+    }
+  }
+
+  // Get the deletions and restores of an inventory, oldest first
+  async getInventoryHistory(agency, inventoryId) {
+    try {
+      const inventory = await this.getInventoryById(agency, inventoryId);
+      if (!inventory) {
+        throw new ValidationError(`Inventory ${inventoryId} not found for ${agency}`);
+      }
+
+      const events = await auditService.getInventoryHistory(agency, inventoryId, [
+        auditService.actions.SCAN_DELETED,
+        auditService.actions.SCAN_RESTORED
+      ]);
+
+      return {
+        agency,
+        inventoryId,
+        month: inventory.month,
+        year: inventory.year,
+        status: inventory.status,
+        totalEvents: events.length,
+        events
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to get inventory history: ${error.message}`);
+    }
+  }
+
+  // Throw a ValidationError unless the inventory accepts new scans (Active or Reopened)
+  assertAcceptsScans(inventory) {
+    if (!SCANNING_STATUSES.includes(inventory.status)) {
+      throw new ValidationError(`Inventory ${inventory.inventoryId} for ${inventory.agency} - ${inventory.month} ${inventory.year} is ${inventory.status}; scans are not accepted until it is resumed or reopened`);
+    }
+  }
+
+  // Throw a ValidationError unless the inventory's status allows the transition
+  assertTransition(inventory, transition) {
+    const { from, to } = TRANSITIONS[transition];
+    if (!from.includes(inventory.status)) {
+      const allowedTransitions = getAllowedTransitions(inventory.status);
+      throw new ValidationError(
+        `Inventory ${inventory.inventoryId} is ${inventory.status} and cannot move to ${to}`,
+        { status: inventory.status, transition, allowedTransitions }
+      );
+    }
+  }
+
+  // Record a status change in the audit trail
+  async recordTransition(inventory, from, transition, { user = '', userName = '', reason = '', ...details } = {}) {
+    return auditService.record({
+      action: auditService.actions.STATUS_CHANGED,
+      agency: inventory.agency,
+      inventoryId: inventory.inventoryId,
+      user,
+      userName,
+      reason,
+      details: { transition, from, to: TRANSITIONS[transition].to, ...details }
+    });
+  }
+
+  // Write a lifecycle status and its stamps to an inventory's MonthlySummary row
+  // totalScans replaces the scan count; completedAt / finishedBy / signature / comment record a sign-off,
+  // which clearCompletion empties again
+  async updateMonthlySummaryLifecycle(agency, inventoryId, status, changedBy, {
+    totalScans = null, completedAt = null, finishedBy = null, signature = null, comment = null, clearCompletion = false
+  } = {}) {
+    await this.ensureSummarySheetHeaders();
+    const data = await storage.getSheetData(this.summarySheetName);
+
+    const rowIndex = data.findIndex((row, idx) => idx > 0 && row[2] === agency && row[8] === inventoryId);
+    if (rowIndex === -1) {
+      throw new GoogleSheetsError(`Monthly summary row not found for inventory ${inventoryId}`);
+    }
+
+    const changedAt = new Date().toISOString();
+    const updatedRow = summaryHeaders.map((header, index) => data[rowIndex][index] || '');
+    updatedRow[3] = status;
+    if (totalScans !== null) {
+      updatedRow[7] = totalScans.toString();
+    }
+    if (clearCompletion) {
+      updatedRow[9] = '';
+      updatedRow[10] = '';
+      updatedRow[13] = '';
+      updatedRow[14] = '';
+    }
+    if (completedAt !== null) updatedRow[9] = this.formatDate(completedAt);
+    if (finishedBy !== null) updatedRow[10] = finishedBy;
+    if (signature !== null) updatedRow[13] = signature;
+    if (comment !== null) updatedRow[14] = comment;
+    updatedRow[11] = changedAt;
+    updatedRow[12] = changedBy || '';
+
+    await storage.updateRow(this.summarySheetName, rowIndex + 1, updatedRow);
+    return changedAt;
+  }
+
+  // Put an inventory's scans back in its location sheet from the Drive backup, when finishing cleared them
+  // Returns the number of restored scans (0 when the sheet still holds them)
+  async restoreScansFromBackup(agency, inventory) {
+    const rows = await this.getInventoryScanRows(agency, inventory, { includeDeleted: true });
+    if (rows.length > 0 || inventory.totalScans === 0) {
+      return 0;
+    }
+
+    const fileStorageService = require('./fileStorageService');
+    const backupRows = await fileStorageService.getBackupScanRows(agency, inventory.inventoryId);
+    if (!backupRows) {
+      throw new ValidationError(`Scans for inventory ${inventory.inventoryId} are no longer in the sheet and no backup was found`);
+    }
+
+    await this.withSheetLock(agency, async () => {
+      await this.ensureLocationSheetHeaders(agency);
+      if (backupRows.length > 0) {
+        await storage.appendRows(agency, backupRows);
+      }
+    });
+
+    console.log(`☁️ Restored ${backupRows.length} scans of ${inventory.inventoryId} from the Drive backup`);
+    return backupRows.length;
+  }
+
+  /**
+   * Move an inventory through its lifecycle (config/inventoryStatus); submitting and approving go through
+   * submitForReview and approveInventory
+   * Reopening restores the scans from the Drive backup when approval cleared them from the sheet
+   * @param {Object} inventory - Inventory to move
+   * @param {string} transition - pause, resume, reject, reopen or cancel
+   * @param {Object} actor - { user, userName, reason }
+   */
+  async transitionInventory(inventory, transition, { user = '', userName = '', reason = '' } = {}) {
+    try {
+      if (!TRANSITIONS[transition] || transition === 'submitForReview' || transition === 'approve') {
+        throw new ValidationError(`Unknown inventory transition: ${transition}`);
+      }
+
+      const agency = inventory.agency;
+      const month = this.getMonthNumber(inventory.month);
+
+      // Hold the inventory lock so no scan or other transition lands between the check and the change
+      const change = await this.withInventoryLock(agency, month, inventory.year, async () => {
+        const current = await this.getInventoryById(agency, inventory.inventoryId) || inventory;
+        this.assertTransition(current, transition);
+
+        const { to } = TRANSITIONS[transition];
+        let restoredScans = 0;
+
+        if (transition === 'reopen') {
+          // Scans go to the month's inventory in progress, so only one may be open
+          const inventories = await this.getAllMonthlyInventories(agency, month, current.year);
+          const openInventory = inventories.find(inv => inv.inventoryId !== current.inventoryId && OPEN_STATUSES.includes(inv.status));
+          if (openInventory) {
+            throw new ValidationError(`Inventory ${current.inventoryId} cannot be reopened while inventory ${openInventory.inventoryId} is ${openInventory.status} for ${agency} - ${current.month} ${current.year}`);
+          }
+
+          restoredScans = await this.restoreScansFromBackup(agency, current);
+        }
+
+        const changedAt = await this.updateMonthlySummaryLifecycle(agency, current.inventoryId, to, user, {
+          totalScans: restoredScans > 0 ? restoredScans : null,
+          clearCompletion: transition === 'reopen'
+        });
+
+        return { from: current.status, to, changedAt, restoredScans };
+      });
+
+      await this.recordTransition(inventory, change.from, transition, {
+        user,
+        userName,
+        reason,
+        ...(transition === 'reopen' ? { restoredScans: change.restoredScans } : {})
+      });
+
+      console.log(`🔁 Inventory ${inventory.inventoryId} (${agency}): ${change.from} → ${change.to} by ${user}`);
+
+      return {
+        success: true,
+        message: `Inventory moved from ${change.from} to ${change.to}`,
+        agency,
+        month: inventory.month,
+        year: inventory.year,
+        inventoryId: inventory.inventoryId,
+        transition,
+        from: change.from,
+        status: change.to,
+        changedAt: change.changedAt,
+        changedBy: user,
+        reason,
+        ...(transition === 'reopen' ? { restoredScans: change.restoredScans } : {}),
+        allowedTransitions: getAllowedTransitions(change.to)
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to change inventory status: ${error.message}`);
+    }
+  }
+
+  // Get an inventory's status, the transitions open to it and its status changes, oldest first
+  async getInventoryLifecycle(inventory) {
+    try {
+      const events = await auditService.getInventoryHistory(inventory.agency, inventory.inventoryId, [
+        auditService.actions.STATUS_CHANGED
+      ]);
+
+      return {
+        agency: inventory.agency,
+        inventoryId: inventory.inventoryId,
+        month: inventory.month,
+        year: inventory.year,
+        status: inventory.status,
+        statusChangedAt: inventory.statusChangedAt || null,
+        statusChangedBy: inventory.statusChangedBy || null,
+        allowedTransitions: getAllowedTransitions(inventory.status),
+        totalTransitions: events.length,
+        transitions: events.map(event => ({
+          transition: event.details?.transition || null,
+          from: event.details?.from || null,
+          to: event.details?.to || null,
+          changedAt: event.timestamp,
+          changedBy: event.user,
+          userName: event.userName,
+          reason: event.reason,
+          ...(event.details?.restoredScans !== undefined ? { restoredScans: event.details.restoredScans } : {})
+        }))
+      };
+    } catch (error) {
+      if (error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to get inventory lifecycle: ${error.message}`);
+    }
+  }
+
+  // Latest of an inventory's activity stamp, status change and creation
+  getLastActivity(inventory) {
+    const dates = [
+      this.parseDisplayDate(inventory.lastActivityAt),
+      this.parseDisplayDate(inventory.statusChangedAt),
+      this.parseDisplayDate(inventory.createdAt)
+    ].filter(Boolean);
+    return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+  }
+
+  /**
+   * List Active and Reopened inventories that are stale under their location's policy
+   * (inactive for the policy's staleAfterHours, or still Active after their month ended)
+   * @param {Object} options - { agency (sheet name, all locations when omitted), now }
+   * @returns {Promise<Array>} - Inventories with lastActivityAt, inactiveHours, reasons and the policy's action
+   */
+  async getStaleInventories({ agency = null, now = new Date() } = {}) {
+    try {
+      await storage.ensureSheetExists(this.summarySheetName);
+      const data = await storage.getSheetData(this.summarySheetName);
+
+      const inventories = this.parseSummaryRows(data.slice(1).filter(row => row[8]))
+        .filter(inv => SCANNING_STATUSES.includes(inv.status))
+        .filter(inv => !agency || inv.agency === agency);
+
+      const stale = [];
+      for (const inventory of inventories) {
+        const location = await locationService.getLocation(inventory.agency);
+        const policy = location ? location.policy : inventoryPolicyService.resolvePolicy(null);
+
+        // A month ends at midnight in the location's timezone
+        const today = this.getZonedDate(now, location ? location.timezone : defaultTimezone);
+        const currentMonth = today.year * 12 + today.month - 1;
+
+        const lastActivity = this.getLastActivity(inventory);
+        const inventoryMonth = parseInt(inventory.year) * 12 + this.getMonthNumber(inventory.month) - 1;
+        const reasons = inventoryPolicyService.getStaleReasons(policy, inventory, {
+          lastActivityAt: lastActivity,
+          monthEnded: inventoryMonth < currentMonth,
+          now
+        });
+
+        if (reasons.length > 0) {
+          stale.push({
+            ...inventory,
+            lastActivityAt: lastActivity ? lastActivity.toISOString() : null,
+            inactiveHours: lastActivity ? Math.floor((now - lastActivity) / (60 * 60 * 1000)) : null,
+            reasons,
+            staleAfterHours: policy.staleAfterHours,
+            action: policy.staleAction
+          });
+        }
+      }
+
+      return stale;
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get stale inventories: ${error.message}`);
+    }
+  }
+
   /**
    * Check if inventory was completed (which would terminate all active sessions)
    */
@@ -1331,8 +2798,8 @@ class InventoryService {
         };
       }
       
-      const activeInventories = inventories.filter(inv => inv.status === 'Active');
-      const completedInventories = inventories.filter(inv => inv.status === 'Completed');
+      const activeInventories = inventories.filter(inv => OPEN_STATUSES.includes(inv.status));
+      const completedInventories = inventories.filter(inv => FINISHED_STATUSES.includes(inv.status));
       
       const isCompleted = completedInventories.length > 0;
       const hasActiveInventory = activeInventories.length > 0;
@@ -1355,17 +2822,31 @@ class InventoryService {
 
   /**
    * Clear agency sheet data after successful download
-   * This keeps the inventory status as "Completed" but cleans the agency sheet
+   * This keeps the inventory status as "Completed" but removes the inventory's rows
+   * from the agency sheet (rows of other inventories are kept)
    * and preserves the total scan count in MonthlySummary
    */
   async clearAgencyDataAfterDownload(agency, month, year, inventoryId) {
     try {
       // Get current scan count before clearing
-      const summary = await this.getMonthlySummary(agency, month, year);
+      const summary = await this.resolveInventory(agency, month, year, inventoryId);
       const currentScanCount = summary ? summary.totalScans : 0;
       
-      // Clear the agency sheet data (keeps headers, removes all scan data)
-      await googleSheets.clearSheet(agency);
+      // Rewrite under the sheet lock so no scan appended meanwhile is lost
+      await this.withSheetLock(agency, async () => {
+        // Keep the rows of every other inventory
+        const data = await storage.getSheetData(agency);
+        const remainingRows = summary
+          ? data.slice(1).filter(row => row.length >= 2 && !this.isInventoryScan(row, summary))
+          : [];
+
+        if (remainingRows.length === 0) {
+          // Clear the agency sheet data (keeps headers, removes all scan data)
+          await storage.clearSheet(agency);
+        } else {
+          await storage.batchUpdateRows(agency, remainingRows);
+        }
+      });
       
       // Update MonthlySummary to ensure scan count is preserved
       if (summary && inventoryId) {
@@ -1380,6 +2861,9 @@ class InventoryService {
       };
     } catch (error) {
       console.error(`❌ Error clearing agency sheet data:`, error);
+      if (error instanceof ConflictError) {
+        throw error;
+      }
       throw new GoogleSheetsError(`Failed to clear agency sheet data: ${error.message}`);
     }
   }
@@ -1404,12 +2888,12 @@ class InventoryService {
         };
       }
 
-      // Find active inventories (not completed)
-      const activeInventories = inventories.filter(inv => inv.status === 'Active');
+      // Find inventories in progress (not completed)
+      const activeInventories = inventories.filter(inv => OPEN_STATUSES.includes(inv.status));
       
       if (activeInventories.length === 0) {
-        // No active inventory - check if there's a completed one
-        const completedInventories = inventories.filter(inv => inv.status === 'Completed');
+        // No inventory in progress - check if there's a completed one
+        const completedInventories = inventories.filter(inv => FINISHED_STATUSES.includes(inv.status));
         
         if (completedInventories.length === 0) {
           return {
@@ -1492,8 +2976,8 @@ class InventoryService {
     }
   }
 
-  // Get inventory data for download
-  async getInventoryDataForDownload(agency, month, year) {
+  // Get inventory data for download (most recent completed inventory unless inventoryId is given)
+  async getInventoryDataForDownload(agency, month, year, inventoryId = null) {
     try {
       console.log(`\n📊 === GET INVENTORY DATA FOR DOWNLOAD ===`);
       console.log(`📋 Getting data for: ${agency} - ${this.getMonthName(month)} ${year}`);
@@ -1504,72 +2988,31 @@ class InventoryService {
         throw new ValidationError(`No inventory found for ${agency} - ${this.getMonthName(month)} ${year}`);
       }
 
-      // Find the most recent completed inventory for download
-      const completedInventories = allInventories.filter(inv => inv.status === 'Completed');
+      // Find the most recent completed inventory for download (or the requested one)
+      const completedInventories = allInventories.filter(inv => FINISHED_STATUSES.includes(inv.status));
       if (completedInventories.length === 0) {
         throw new ValidationError(`No completed inventory found for ${agency} - ${this.getMonthName(month)} ${year}. Only completed inventories can be downloaded.`);
       }
 
-      // Get the most recent completed inventory
-      const summary = completedInventories[completedInventories.length - 1];
+      let summary;
+      if (inventoryId) {
+        summary = completedInventories.find(inv => inv.inventoryId === inventoryId);
+        if (!summary) {
+          throw new ValidationError(`No completed inventory ${inventoryId} found for ${agency} - ${this.getMonthName(month)} ${year}. Only completed inventories can be downloaded.`);
+        }
+      } else {
+        // Get the most recent completed inventory
+        summary = completedInventories[completedInventories.length - 1];
+      }
 
-      console.log(`📊 Found ${completedInventories.length} completed inventory(ies), using most recent:`, {
+      console.log(`📊 Found ${completedInventories.length} completed inventory(ies), using:`, {
         totalScans: summary.totalScans,
         status: summary.status,
         inventoryId: summary.inventoryId
       });
 
-      // Get all scanned data from agency sheet
-      const data = await googleSheets.getSheetData(agency);
-      console.log(`📊 Total rows in agency sheet: ${data.length}`);
-      
-      // Skip header row (first row) and filter scans for the specific month/year
-      const dataRows = data.slice(1); // Skip first row (headers)
-      console.log(`📊 Data rows (excluding headers): ${dataRows.length}`);
-      
-      const monthScans = dataRows.filter(row => {
-        if (row.length < 2 || !row[0] || !row[1]) return false;
-        
-        try {
-          // Skip if this looks like a header row
-          const dateStr = row[0].toString().trim();
-          if (dateStr === 'Date' || dateStr === 'VIN' || dateStr === 'Brand' || dateStr === 'Model' || dateStr === 'Year') {
-            console.log(`⚠️ Skipping header row: ${dateStr}`);
-            return false;
-          }
-          
-          // Try different date formats
-          let scanDate;
-          
-          // Handle different date formats
-          if (dateStr.includes('Sep')) {
-            // Format: "Sep 2, 2025"
-            scanDate = new Date(dateStr);
-          } else {
-            // Try standard date parsing
-            scanDate = new Date(dateStr);
-          }
-          
-          if (isNaN(scanDate.getTime())) {
-            console.log(`⚠️ Invalid date format: ${dateStr}`);
-            return false;
-          }
-          
-          const targetMonth = parseInt(month) - 1; // JavaScript months are 0-based
-          const targetYear = parseInt(year);
-          
-          const matches = scanDate.getMonth() === targetMonth && scanDate.getFullYear() === targetYear;
-          
-          if (matches) {
-            console.log(`✅ Match found: ${dateStr} -> ${scanDate.toDateString()}`);
-          }
-          
-          return matches;
-        } catch (error) {
-          console.log(`⚠️ Error parsing date: ${row[0]}`, error.message);
-          return false;
-        }
-      });
+      // Get this inventory's scans from agency sheet
+      const monthScans = await this.getInventoryScanRows(agency, summary);
 
       console.log(`📊 Found ${monthScans.length} scans for download (expected: ${summary.totalScans})`);
 
@@ -1585,18 +3028,8 @@ class InventoryService {
         createdAt: summary.createdAt,
         completedAt: summary.completedAt,
         inventoryId: summary.inventoryId, // Include inventoryId for download tracking
-        scans: monthScans.map(row => ({
-          date: row[0],
-          identifier: row[1], // Can be barcode or serie
-          scannedBy: row[2] || '',
-          // Enhanced car data from new format
-          serie: row[3] || '',
-          marca: row[4] || '',
-          color: row[5] || '',
-          ubicaciones: row[6] || '',
-          // Legacy compatibility
-          barcode: row[1] // Keep for backward compatibility
-        }))
+        approval: this.getApprovalRecord(summary), // Supervisor sign-off, embedded in exports
+        scans: await this.withScanPhotos(summary.inventoryId, monthScans.map(row => this.parseScanRow(row)))
       };
     } catch (error) {
       console.error(`❌ Error in getInventoryDataForDownload:`, error);
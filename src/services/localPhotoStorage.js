@@ -0,0 +1,52 @@
+const path = require('path');
+const fs = require('fs');
+const { GoogleSheetsError, NotFoundError } = require('../middleware/errorHandler');
+const config = require('../config/photos');
+
+// Stores scan photos on disk, one folder per location; the API serves them
+class LocalPhotoStorage {
+  constructor() {
+    this.name = 'local';
+    this.dirPath = config.local.dirPath;
+  }
+
+  // Absolute path of a stored photo, refusing IDs that point outside the photos folder
+  resolvePath(fileId) {
+    const filePath = path.resolve(this.dirPath, fileId);
+    if (!filePath.startsWith(path.resolve(this.dirPath) + path.sep)) {
+      throw new NotFoundError(`Photo file not found: ${fileId}`);
+    }
+    return filePath;
+  }
+
+  async save(filePath, metadata) {
+    try {
+      const folder = metadata.folder.replace(/[^a-zA-Z0-9 _-]/g, '_');
+      const fileId = `${folder}/${metadata.filename}`;
+      const targetPath = this.resolvePath(fileId);
+
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.copyFileSync(filePath, targetPath);
+
+      console.log(`✅ Photo stored locally: ${targetPath}`);
+
+      return {
+        fileId,
+        url: null,
+        size: fs.statSync(targetPath).size
+      };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to store photo: ${error.message}`);
+    }
+  }
+
+  async read(fileId) {
+    const filePath = this.resolvePath(fileId);
+    if (!fs.existsSync(filePath)) {
+      throw new NotFoundError(`Photo file not found: ${fileId}`);
+    }
+    return fs.readFileSync(filePath);
+  }
+}
+
+module.exports = new LocalPhotoStorage();
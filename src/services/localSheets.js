@@ -0,0 +1,264 @@
+const path = require('path');
+const fs = require('fs');
+const { GoogleSheetsError } = require('../middleware/errorHandler');
+const storageConfig = require('../config/storage');
+const { getHeadersForSheet } = require('../config/sheetSchemas');
+
+/**
+ * Local storage adapter
+ * Implements the same interface as the Google Sheets service, backed by a JSON file.
+ * Rows are kept the way the Sheets API returns them: arrays of strings, 1-based row
+ * numbers with the header in row 1, and trailing empty cells trimmed.
+ */
+class LocalSheetsService {
+  constructor() {
+    this.driver = 'local';
+    this.filePath = storageConfig.local.filePath;
+    this.sheets = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.sheets = content.sheets || {};
+      } else {
+        this.sheets = {};
+      }
+
+      this.initialized = true;
+      console.log(`✅ Local storage initialized (${this.filePath})`);
+    } catch (error) {
+      console.error('❌ Failed to initialize local storage:', error);
+      throw new GoogleSheetsError(`Failed to initialize local storage: ${error.message}`, error);
+    }
+  }
+
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+  }
+
+  // Write the whole workbook atomically (temp file + rename)
+  persist() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ sheets: this.sheets, updatedAt: new Date().toISOString() }));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  // Normalize a row the way Sheets stores USER_ENTERED values
+  normalizeRow(values) {
+    const row = values.map(value => value !== null && value !== undefined ? value.toString() : '');
+
+    while (row.length > 0 && row[row.length - 1] === '') {
+      row.pop();
+    }
+
+    return row;
+  }
+
+  // Convert a column letter (A, B, ..., AA) to a 0-based index
+  columnIndex(letters) {
+    return letters.toUpperCase().split('').reduce((index, char) => index * 26 + (char.charCodeAt(0) - 64), 0) - 1;
+  }
+
+  // Kept for interface compatibility with the Google Sheets service
+  clearCache() {}
+
+  async ensureSheetExists(sheetName) {
+    await this.ensureInitialized();
+
+    if (!this.sheets[sheetName]) {
+      await this.createSheet(sheetName, getHeadersForSheet(sheetName));
+    }
+  }
+
+  async createSheet(sheetName, headers = null) {
+    await this.ensureInitialized();
+
+    this.sheets[sheetName] = headers ? [this.normalizeRow(headers)] : [];
+    this.persist();
+
+    console.log(`✅ Created local sheet: ${sheetName}`);
+    return true;
+  }
+
+  async appendRow(sheetName, values) {
+    await this.ensureSheetExists(sheetName);
+
+    try {
+      const rows = this.sheets[sheetName];
+
+      // Sheets appends after the last non-empty row of the table
+      while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+        rows.pop();
+      }
+
+      rows.push(this.normalizeRow(values));
+      this.persist();
+
+      return { updates: { updatedRange: `${sheetName}!A${rows.length}`, updatedRows: 1 } };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to append row to ${sheetName}: ${error.message}`);
+    }
+  }
+
+  async appendRows(sheetName, rows) {
+    if (rows.length === 0) return null;
+
+    await this.ensureSheetExists(sheetName);
+
+    try {
+      const sheet = this.sheets[sheetName];
+
+      // Sheets appends after the last non-empty row of the table
+      while (sheet.length > 0 && sheet[sheet.length - 1].length === 0) {
+        sheet.pop();
+      }
+
+      sheet.push(...rows.map(values => this.normalizeRow(values)));
+      this.persist();
+
+      return { updates: { updatedRange: `${sheetName}!A${sheet.length - rows.length + 1}:A${sheet.length}`, updatedRows: rows.length } };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to append ${rows.length} rows to ${sheetName}: ${error.message}`);
+    }
+  }
+
+  async clearSheet(sheetName) {
+    await this.ensureInitialized();
+
+    try {
+      // Clear all data except headers
+      if (this.sheets[sheetName]) {
+        this.sheets[sheetName] = this.sheets[sheetName].slice(0, 1);
+        this.persist();
+      }
+
+      console.log(`✅ Cleared local sheet: ${sheetName}`);
+      return true;
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to clear sheet ${sheetName}: ${error.message}`);
+    }
+  }
+
+  async getSheetData(sheetName) {
+    await this.ensureSheetExists(sheetName);
+
+    // Return copies so callers can mutate rows without touching the store
+    return this.sheets[sheetName].map(row => [...row]);
+  }
+
+  async updateCell(sheetName, cell, value) {
+    await this.ensureSheetExists(sheetName);
+
+    const match = /^([A-Z]+)(\d+)$/i.exec(cell);
+    if (!match) {
+      throw new GoogleSheetsError(`Invalid cell reference: ${cell}`);
+    }
+
+    const columnIndex = this.columnIndex(match[1]);
+    const rowNumber = parseInt(match[2]);
+    const row = [...(this.sheets[sheetName][rowNumber - 1] || [])];
+
+    while (row.length <= columnIndex) {
+      row.push('');
+    }
+    row[columnIndex] = value;
+
+    return this.updateRow(sheetName, rowNumber, row);
+  }
+
+  async clearRow(sheetName, rowNumber) {
+    await this.ensureSheetExists(sheetName);
+
+    const rows = this.sheets[sheetName];
+    if (rowNumber - 1 < rows.length) {
+      rows[rowNumber - 1] = [];
+      this.persist();
+    }
+
+    console.log(`✅ Successfully cleared row ${rowNumber} in ${sheetName}`);
+    return { success: true };
+  }
+
+  // Replace every data row (headers are kept)
+  async batchUpdateRows(sheetName, rows) {
+    await this.ensureSheetExists(sheetName);
+
+    try {
+      const headers = this.sheets[sheetName].slice(0, 1);
+      const normalizedRows = rows.map(row => this.normalizeRow(row));
+
+      this.sheets[sheetName] = [...headers, ...normalizedRows];
+      this.persist();
+
+      const updatedCells = normalizedRows.reduce((sum, row) => sum + row.length, 0);
+      return { success: true, updatedCells };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to batch update rows in ${sheetName}: ${error.message}`);
+    }
+  }
+
+  async updateRow(sheetName, rowNumber, values) {
+    await this.ensureSheetExists(sheetName);
+
+    try {
+      const rows = this.sheets[sheetName];
+      while (rows.length < rowNumber) {
+        rows.push([]);
+      }
+
+      // Like a Sheets range update, cells past the written values are left untouched
+      const existingRow = rows[rowNumber - 1];
+      const updatedRow = [...existingRow];
+      const stringValues = values.map(value => value !== null && value !== undefined ? value.toString() : '');
+
+      stringValues.forEach((value, index) => {
+        updatedRow[index] = value;
+      });
+
+      rows[rowNumber - 1] = this.normalizeRow(updatedRow);
+      this.persist();
+
+      return { success: true, updatedCells: stringValues.length };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to update row in ${sheetName}: ${error.message}`);
+    }
+  }
+
+  async findRow(sheetName, searchColumn, searchValue) {
+    const data = await this.getSheetData(sheetName);
+    if (!data || data.length === 0) return null;
+
+    const headers = data[0];
+    const searchColumnIndex = headers.findIndex(header => header === searchColumn);
+
+    if (searchColumnIndex === -1) return null;
+
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][searchColumnIndex] === searchValue) {
+        return {
+          rowIndex: i + 1,
+          data: data[i],
+          headers: headers
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new LocalSheetsService();
@@ -0,0 +1,420 @@
+const storage = require('./storage');
+const { ValidationError, NotFoundError, ConflictError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { validateZones, validateIdentifierTypes, validateTimezone } = require('../utils/validation');
+const inventoryPolicyService = require('./inventoryPolicyService');
+const { LOCATIONS_SHEET_NAME, locationRegistryHeaders } = require('../config/sheetSchemas');
+const { types, defaultLocations, defaultTimezone } = require('../config/locations');
+const identifierConfig = require('../config/identifierTypes');
+
+// Location ids are lowercase slugs: "alfa-romeo", "bodega-coyote"
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+class LocationService {
+  constructor() {
+    this.sheetName = LOCATIONS_SHEET_NAME;
+    this.locations = new Map(); // id -> location
+    this.loadedAt = 0;
+    this.loading = null;
+
+    // Reload periodically so changes made by another instance are picked up
+    this.cacheDuration = 60 * 1000; // 1 minute
+  }
+
+  // Normalize an id, name or sheet name for comparison ("Bodega Coyote", "bodega_coyote" -> "bodega-coyote")
+  normalizeKey(value) {
+    return value.toString().trim().toLowerCase().replace(/[\s_]+/g, '-');
+  }
+
+  // Parse the Policy column; a malformed value falls back to the default policy
+  parsePolicyOverrides(value, id) {
+    if (!value) return null;
+
+    try {
+      const overrides = JSON.parse(value);
+      inventoryPolicyService.assertValidOverrides(overrides);
+      return overrides;
+    } catch (error) {
+      console.error(`⚠️ Ignoring invalid inventory policy of location ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Parse the Zones column; a malformed value leaves the location without zones
+  parseZones(value, id) {
+    if (!value) return [];
+
+    try {
+      return this.normalizeZones(JSON.parse(value));
+    } catch (error) {
+      console.error(`⚠️ Ignoring invalid zones of location ${id}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Validate a location's zones and trim their names and ubicaciones
+  normalizeZones(zones) {
+    const validation = validateZones(zones);
+    if (!validation.isValid) {
+      throw new ValidationError(`Invalid zones: ${validation.errors.join('; ')}`, validation.errors);
+    }
+
+    return zones.map(zone => ({
+      id: zone.id,
+      name: zone.name.trim(),
+      ubicaciones: (zone.ubicaciones || []).map(value => value.trim())
+    }));
+  }
+
+  // Parse the Identifier Types column; a malformed value falls back to the default types
+  parseIdentifierTypes(value, id) {
+    if (!value) return null;
+
+    try {
+      return this.normalizeIdentifierTypes(JSON.parse(value));
+    } catch (error) {
+      console.error(`⚠️ Ignoring invalid identifier types of location ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Validate a location's identifier types and trim their names
+  normalizeIdentifierTypes(identifierTypes) {
+    const validation = validateIdentifierTypes(identifierTypes);
+    if (!validation.isValid) {
+      throw new ValidationError(`Invalid identifier types: ${validation.errors.join('; ')}`, validation.errors);
+    }
+
+    return identifierTypes.map(type => ({
+      id: type.id,
+      name: type.name.trim(),
+      pattern: type.pattern,
+      normalize: type.normalize || [],
+      priority: type.priority
+    }));
+  }
+
+  /**
+   * Apply an identifier types update: a list replaces the location's types, null or [] resets it to the defaults
+   */
+  mergeIdentifierTypes(existing, identifierTypes) {
+    if (identifierTypes === undefined) return existing;
+    if (identifierTypes === null || (Array.isArray(identifierTypes) && identifierTypes.length === 0)) return null;
+
+    return this.normalizeIdentifierTypes(identifierTypes);
+  }
+
+  // Parse the Timezone column; an unknown timezone falls back to the default one
+  parseTimezone(value, id) {
+    if (!value) return null;
+    if (validateTimezone(value)) return value;
+
+    console.error(`⚠️ Ignoring invalid timezone of location ${id}: ${value}`);
+    return null;
+  }
+
+  /**
+   * Apply a timezone update: a timezone name replaces the location's, null or '' resets it to the default
+   */
+  mergeTimezone(existing, timezone) {
+    if (timezone === undefined) return existing;
+    if (timezone === null || timezone === '') return null;
+
+    if (!validateTimezone(timezone)) {
+      throw new ValidationError(`Invalid timezone: ${timezone}. Use an IANA timezone name (e.g. "America/Mexico_City")`);
+    }
+    return timezone;
+  }
+
+  // Convert a Locations row into a location object
+  parseRow(row, rowNumber) {
+    const policyOverrides = this.parsePolicyOverrides(row[8], row[0]);
+    const customIdentifierTypes = this.parseIdentifierTypes(row[10], row[0]);
+    const customTimezone = this.parseTimezone(row[11], row[0]);
+
+    return {
+      id: row[0],
+      name: row[1] || row[0],
+      type: row[2] || 'agency',
+      sheetName: row[3] || row[1] || row[0],
+      driveFolder: row[4] || row[3] || row[1] || row[0],
+      active: (row[5] || 'TRUE').toUpperCase() !== 'FALSE',
+      createdAt: row[6] || '',
+      updatedAt: row[7] || '',
+      policy: inventoryPolicyService.resolvePolicy(policyOverrides),
+      policyOverrides,
+      zones: this.parseZones(row[9], row[0]),
+      identifierTypes: customIdentifierTypes || identifierConfig.defaultTypes,
+      customIdentifierTypes,
+      timezone: customTimezone || defaultTimezone,
+      customTimezone,
+      rowNumber
+    };
+  }
+
+  // Convert a location object into a Locations row
+  toRow(location) {
+    return [
+      location.id,
+      location.name,
+      location.type,
+      location.sheetName,
+      location.driveFolder,
+      location.active ? 'TRUE' : 'FALSE',
+      location.createdAt,
+      location.updatedAt,
+      location.policyOverrides ? JSON.stringify(location.policyOverrides) : '',
+      location.zones && location.zones.length > 0 ? JSON.stringify(location.zones) : '',
+      location.customIdentifierTypes ? JSON.stringify(location.customIdentifierTypes) : '',
+      location.customTimezone || ''
+    ];
+  }
+
+  // Public view of a location (without the sheet row number); policy, identifierTypes and timezone are the effective ones
+  toJSON(location) {
+    const { rowNumber, policyOverrides, customIdentifierTypes, customTimezone, ...publicLocation } = location;
+    return publicLocation;
+  }
+
+  // Load the registry from storage, seeding the default locations on first use
+  async loadLocations(force = false) {
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < this.cacheDuration) {
+      return;
+    }
+
+    // Share one load between concurrent callers
+    if (!this.loading) {
+      this.loading = this.readLocations().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    await this.loading;
+  }
+
+  async readLocations() {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+      let data = await storage.getSheetData(this.sheetName);
+
+      if (data.length <= 1) {
+        await this.seedDefaultLocations();
+        data = await storage.getSheetData(this.sheetName);
+      }
+
+      // Registries created before inventory policies, zones, identifier types and timezones lack their headers
+      const headers = data[0] || [];
+      if (headers.length < locationRegistryHeaders.length) {
+        await storage.updateRow(this.sheetName, 1, locationRegistryHeaders);
+      }
+
+      const locations = new Map();
+      data.slice(1).forEach((row, index) => {
+        if (row[0]) {
+          locations.set(row[0], this.parseRow(row, index + 2)); // +2: header row and 1-based rows
+        }
+      });
+
+      this.locations = locations;
+      this.loadedAt = Date.now();
+      console.log(`📍 Loaded ${locations.size} locations`);
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to load locations: ${error.message}`);
+    }
+  }
+
+  async seedDefaultLocations() {
+    console.log(`📍 Seeding ${defaultLocations.length} default locations`);
+    const now = new Date().toISOString();
+
+    for (const location of defaultLocations) {
+      await storage.appendRow(this.sheetName, this.toRow({
+        ...location,
+        driveFolder: location.driveFolder || location.sheetName,
+        active: true,
+        createdAt: now,
+        updatedAt: now
+      }));
+    }
+  }
+
+  /**
+   * Find a location in the loaded registry by id, name or sheet name
+   * Synchronous for callers that cannot await (WebSocket handshake, authorization checks)
+   * @param {string} value - Location id, display name or sheet name
+   * @returns {Object|null}
+   */
+  findLocation(value) {
+    if (!value) return null;
+
+    const key = this.normalizeKey(value);
+    for (const location of this.locations.values()) {
+      if (this.normalizeKey(location.id) === key ||
+          this.normalizeKey(location.name) === key ||
+          this.normalizeKey(location.sheetName) === key) {
+        return location;
+      }
+    }
+    return null;
+  }
+
+  // Find a location by id, name or sheet name
+  async getLocation(value) {
+    await this.loadLocations();
+    return this.findLocation(value);
+  }
+
+  /**
+   * Resolve a location and make sure it can receive inventories
+   * @param {string} value - Location id, display name or sheet name
+   * @returns {Promise<Object>} - The location
+   */
+  async validateLocation(value) {
+    if (!value) {
+      throw new ValidationError('Missing required field: agency');
+    }
+
+    const location = await this.getLocation(value);
+    if (!location) {
+      throw new ValidationError(`Unknown location: ${value}`);
+    }
+    if (!location.active) {
+      throw new ValidationError(`Location is inactive: ${location.name}`);
+    }
+
+    return location;
+  }
+
+  // List locations (active only unless includeInactive)
+  async listLocations({ includeInactive = false } = {}) {
+    await this.loadLocations();
+    return Array.from(this.locations.values())
+      .filter(location => includeInactive || location.active)
+      .map(location => this.toJSON(location));
+  }
+
+  // Validate the editable fields of a location
+  validateFields(location) {
+    if (!location.name || !location.name.toString().trim()) {
+      throw new ValidationError('Missing required field: name');
+    }
+    if (!types.includes(location.type)) {
+      throw new ValidationError(`Invalid location type: ${location.type}. Must be one of: ${types.join(', ')}`);
+    }
+    if (typeof location.active !== 'boolean') {
+      throw new ValidationError(`Invalid active flag: ${JSON.stringify(location.active)}. Must be true or false`);
+    }
+  }
+
+  // Reject an id, name or sheet name already used by another location
+  assertUnique(location) {
+    for (const existing of this.locations.values()) {
+      if (existing.id === location.id) continue;
+
+      const taken = [existing.id, existing.name, existing.sheetName].map(value => this.normalizeKey(value));
+      const conflict = [location.id, location.name, location.sheetName]
+        .find(value => taken.includes(this.normalizeKey(value)));
+
+      if (conflict) {
+        throw new ConflictError(`"${conflict}" is already used by location ${existing.id}`);
+      }
+    }
+  }
+
+  /**
+   * Apply a policy update to a location's overrides
+   * Given fields replace the stored ones; policy: null resets the location to the default policy
+   */
+  mergePolicyOverrides(existing, policy) {
+    if (policy === undefined) return existing;
+    if (policy === null) return null;
+
+    inventoryPolicyService.assertValidOverrides(policy);
+    const overrides = { ...(existing || {}), ...policy };
+    return Object.keys(overrides).length > 0 ? overrides : null;
+  }
+
+  async createLocation(data) {
+    await this.loadLocations(true);
+
+    const id = (data.id || '').toString().trim().toLowerCase();
+    if (!ID_PATTERN.test(id)) {
+      throw new ValidationError('Invalid location id. Use lowercase letters, numbers and hyphens (e.g. "bodega-coyote")');
+    }
+    if (this.locations.has(id)) {
+      throw new ConflictError(`Location already exists: ${id}`);
+    }
+
+    const name = (data.name || '').toString().trim();
+    const sheetName = (data.sheetName || name).toString().trim();
+    const now = new Date().toISOString();
+    const location = {
+      id,
+      name,
+      type: data.type || 'agency',
+      sheetName,
+      driveFolder: (data.driveFolder || sheetName).toString().trim(),
+      active: data.active !== undefined ? data.active : true,
+      createdAt: now,
+      updatedAt: now,
+      policyOverrides: this.mergePolicyOverrides(null, data.policy),
+      zones: data.zones !== undefined && data.zones !== null ? this.normalizeZones(data.zones) : [],
+      customIdentifierTypes: this.mergeIdentifierTypes(null, data.identifierTypes),
+      customTimezone: this.mergeTimezone(null, data.timezone)
+    };
+
+    this.validateFields(location);
+    this.assertUnique(location);
+
+    await storage.appendRow(this.sheetName, this.toRow(location));
+
+    // Create the location sheet up front so the first scan does not have to
+    await storage.ensureSheetExists(location.sheetName);
+
+    await this.loadLocations(true);
+    console.log(`📍 Created location: ${id}`);
+    return this.toJSON(this.locations.get(id));
+  }
+
+  async updateLocation(id, updates) {
+    await this.loadLocations(true);
+
+    const existing = this.locations.get(id);
+    if (!existing) {
+      throw new NotFoundError(`Location not found: ${id}`);
+    }
+
+    // The sheet holds the location's scans; renaming it here would orphan them
+    if (updates.sheetName !== undefined && updates.sheetName !== existing.sheetName) {
+      throw new ValidationError('sheetName cannot be changed once a location is created');
+    }
+
+    const location = {
+      ...existing,
+      name: updates.name !== undefined ? updates.name.toString().trim() : existing.name,
+      type: updates.type !== undefined ? updates.type : existing.type,
+      driveFolder: updates.driveFolder !== undefined ? updates.driveFolder.toString().trim() : existing.driveFolder,
+      active: updates.active !== undefined ? updates.active : existing.active,
+      policyOverrides: this.mergePolicyOverrides(existing.policyOverrides, updates.policy),
+      zones: updates.zones !== undefined ? this.normalizeZones(updates.zones || []) : existing.zones,
+      customIdentifierTypes: this.mergeIdentifierTypes(existing.customIdentifierTypes, updates.identifierTypes),
+      customTimezone: this.mergeTimezone(existing.customTimezone, updates.timezone),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.validateFields(location);
+    this.assertUnique(location);
+
+    await storage.updateRow(this.sheetName, existing.rowNumber, this.toRow(location));
+
+    await this.loadLocations(true);
+    console.log(`📍 Updated location: ${id}`);
+    return this.toJSON(this.locations.get(id));
+  }
+
+  // Deactivate a location; its sheet, inventories and Drive files are kept
+  async deleteLocation(id) {
+    return this.updateLocation(id, { active: false });
+  }
+}
+
+module.exports = new LocationService();
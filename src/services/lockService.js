@@ -0,0 +1,113 @@
+/**
+ * Serialized write queues
+ *
+ * Writes that read, modify and write back a sheet (duplicate check + append, scan counts,
+ * sheet rewrites) run one at a time per key. Within one process this is an in-memory queue.
+ * When several instances share a spreadsheet, register a distributed lock with
+ * setDistributedLock(); it is acquired after the in-process queue, around the same work.
+ *
+ * A distributed lock implements:
+ *   acquire(key, ttlMs) -> Promise<token|null>   (null when another holder has the key)
+ *   release(key, token) -> Promise<void>
+ */
+const { ConflictError } = require('../middleware/errorHandler');
+const config = require('../config/locks');
+
+class LockService {
+  constructor() {
+    this.queues = new Map(); // key -> promise that resolves when the last queued holder is done
+    this.distributedLock = null;
+  }
+
+  // Use a distributed lock (e.g. Redis) in addition to the in-process queue; pass null to remove it
+  setDistributedLock(lock) {
+    if (lock && (typeof lock.acquire !== 'function' || typeof lock.release !== 'function')) {
+      throw new Error('A distributed lock must implement acquire(key, ttlMs) and release(key, token)');
+    }
+    this.distributedLock = lock;
+  }
+
+  // Whether writes are also coordinated across instances
+  isDistributed() {
+    return !!this.distributedLock;
+  }
+
+  // Wait for a promise, failing after timeout ms
+  async waitFor(promise, timeout, key) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new ConflictError(`Timed out waiting for ${key}, please retry`));
+      }, timeout);
+    });
+
+    try {
+      await Promise.race([promise, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Acquire the distributed lock, retrying until the deadline
+  async acquireDistributed(key, deadline) {
+    while (true) {
+      const token = await this.distributedLock.acquire(key, config.ttl);
+      if (token) return token;
+
+      if (Date.now() + config.retryInterval > deadline) {
+        throw new ConflictError(`Timed out waiting for ${key}, please retry`);
+      }
+      await new Promise(resolve => setTimeout(resolve, config.retryInterval));
+    }
+  }
+
+  /**
+   * Run fn once every earlier holder of key is done
+   * Not reentrant: fn must not wait for the same key
+   * @param {string} key - Lock key (e.g. "inventory:Renault:October:2026")
+   * @param {Function} fn - Async work to serialize
+   * @param {Object} options - { timeout } max wait in ms
+   * @returns {Promise<*>} - fn's result
+   */
+  async withLock(key, fn, { timeout = config.waitTimeout } = {}) {
+    const deadline = Date.now() + timeout;
+    const previous = this.queues.get(key) || Promise.resolve();
+
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    // The next holder waits for both, so giving up early never lets it skip ahead
+    const tail = previous.then(() => current);
+    this.queues.set(key, tail);
+
+    let token = null;
+    try {
+      await this.waitFor(previous, timeout, key);
+
+      if (this.distributedLock) {
+        token = await this.acquireDistributed(key, deadline);
+      }
+
+      return await fn();
+    } finally {
+      if (token) {
+        await this.distributedLock.release(key, token).catch(error => {
+          console.error(`❌ Failed to release distributed lock ${key}:`, error.message);
+        });
+      }
+
+      release();
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    }
+  }
+
+  // Number of keys with queued or running work
+  getActiveLockCount() {
+    return this.queues.size;
+  }
+}
+
+module.exports = new LockService();
@@ -173,13 +173,13 @@ class OAuthGoogleDriveService {
     await this.ensureInitialized();
 
     try {
-      // Create location-specific folder
-      const locationFolderId = await this.ensureLocationFolder(metadata.agency, parentFolderId);
+      // Create location-specific folder (the location's registry folder when given)
+      const locationFolderId = await this.ensureLocationFolder(metadata.folder || metadata.agency, parentFolderId);
 
       const fileMetadata = {
         name: metadata.filename,
         parents: [locationFolderId], // Store in location-specific folder
-        description: `Inventory file for ${metadata.agency} - ${metadata.month} ${metadata.year}`,
+        description: metadata.description || `Inventory file for ${metadata.agency} - ${metadata.month} ${metadata.year}`,
         properties: {
           agency: metadata.agency,
           month: metadata.month,
@@ -191,7 +191,7 @@ class OAuthGoogleDriveService {
       };
 
       const media = {
-        mimeType: this.getMimeType(metadata.type),
+        mimeType: metadata.mimeType || this.getMimeType(metadata.type),
         body: fs.createReadStream(filePath)
       };
 
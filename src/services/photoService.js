@@ -0,0 +1,169 @@
+const storage = require('./storage');
+const photoStorage = require('./photoStorage');
+const inventoryService = require('./inventoryService');
+const locationService = require('./locationService');
+const { ValidationError, NotFoundError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { v4: uuidv4 } = require('uuid');
+const { SCAN_PHOTOS_SHEET_NAME } = require('../config/sheetSchemas');
+const config = require('../config/photos');
+
+class PhotoService {
+  constructor() {
+    this.sheetName = SCAN_PHOTOS_SHEET_NAME;
+  }
+
+  // Map a ScanPhotos row to a photo
+  parseRow(row) {
+    return {
+      photoId: row[0],
+      agency: row[1],
+      inventoryId: row[2],
+      identifier: row[3],
+      filename: row[4],
+      mimeType: row[5],
+      size: parseInt(row[6]) || 0,
+      storage: row[7],
+      fileId: row[8],
+      url: row[9],
+      uploadedAt: row[10],
+      uploadedBy: row[11] || ''
+    };
+  }
+
+  // Link to a photo: the storage URL, or the API route serving locally stored files
+  getPhotoUrl(photoId, storedUrl) {
+    return storedUrl || `${config.baseUrl}/api/inventory/photos/${photoId}/file`;
+  }
+
+  /**
+   * Attach uploaded photos to a scanned vehicle
+   * @param {Object} inventory - Inventory the scan belongs to (from findInventoryById)
+   * @param {string} identifier - Scan identifier (barcode or serie)
+   * @param {Array} files - Multer files (temp paths; removed by the caller)
+   * @param {string} user - Uploader
+   * @returns {Promise<Array>} - The stored photos
+   */
+  async addScanPhotos(inventory, identifier, files, user) {
+    try {
+      if (!files || files.length === 0) {
+        throw new ValidationError('No photos uploaded (use the "photos" form field)');
+      }
+
+      const agency = inventory.agency;
+      const rows = await inventoryService.getInventoryScanRows(agency, inventory);
+      if (!rows.some(row => row[1] === identifier)) {
+        throw new NotFoundError(`Scan ${identifier} not found in inventory ${inventory.inventoryId}`);
+      }
+
+      await storage.ensureSheetExists(this.sheetName);
+      const location = await locationService.getLocation(agency);
+      const folder = location ? location.driveFolder : agency;
+      const uploadedAt = new Date().toISOString();
+
+      const photos = [];
+      for (const file of files) {
+        const photoId = `pho_${uuidv4()}`;
+        const extension = config.mimeTypes[file.mimetype];
+        const filename = `${identifier.replace(/[^a-zA-Z0-9-]/g, '_')}_${photoId.slice(-8)}.${extension}`;
+
+        const stored = await photoStorage.save(file.path, {
+          filename,
+          folder,
+          mimeType: file.mimetype,
+          agency,
+          month: inventory.month,
+          year: inventory.year,
+          description: `Photo of ${identifier} - ${agency} inventory ${inventory.inventoryId}`
+        });
+
+        photos.push({
+          photoId,
+          agency,
+          inventoryId: inventory.inventoryId,
+          identifier,
+          filename,
+          mimeType: file.mimetype,
+          size: stored.size || file.size,
+          storage: photoStorage.name,
+          fileId: stored.fileId,
+          url: this.getPhotoUrl(photoId, stored.url),
+          uploadedAt,
+          uploadedBy: user
+        });
+      }
+
+      await storage.appendRows(this.sheetName, photos.map(photo => [
+        photo.photoId,
+        photo.agency,
+        photo.inventoryId,
+        photo.identifier,
+        photo.filename,
+        photo.mimeType,
+        photo.size.toString(),
+        photo.storage,
+        photo.fileId,
+        photo.url,
+        photo.uploadedAt,
+        photo.uploadedBy
+      ]));
+
+      console.log(`📷 Stored ${photos.length} photo(s) for ${identifier} in ${agency} inventory ${inventory.inventoryId}`);
+      return photos;
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to store scan photos: ${error.message}`);
+    }
+  }
+
+  // Get the photos of an inventory, grouped by scan identifier (upload order)
+  async getInventoryPhotos(inventoryId) {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+      const data = await storage.getSheetData(this.sheetName);
+
+      const photos = new Map();
+      data.slice(1)
+        .filter(row => row[2] === inventoryId)
+        .forEach(row => {
+          const photo = this.parseRow(row);
+          if (!photos.has(photo.identifier)) photos.set(photo.identifier, []);
+          photos.get(photo.identifier).push(photo);
+        });
+
+      return photos;
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get inventory photos: ${error.message}`);
+    }
+  }
+
+  // Get the photos of one scanned vehicle
+  async getScanPhotos(inventoryId, identifier) {
+    const photos = await this.getInventoryPhotos(inventoryId);
+    return photos.get(identifier) || [];
+  }
+
+  // Get a photo by ID (null when unknown)
+  async getPhoto(photoId) {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+      const data = await storage.getSheetData(this.sheetName);
+      const row = data.find((photo, idx) => idx > 0 && photo[0] === photoId);
+
+      return row ? this.parseRow(row) : null;
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get photo: ${error.message}`);
+    }
+  }
+
+  // Read a photo's file from the adapter that stored it
+  async readPhotoFile(photo) {
+    if (photo.storage !== photoStorage.name) {
+      throw new ValidationError(`Photo ${photo.photoId} is stored in ${photo.storage}, but the server uses ${photoStorage.name} photo storage`);
+    }
+    return photoStorage.read(photo.fileId);
+  }
+}
+
+module.exports = new PhotoService();
@@ -0,0 +1,22 @@
+/**
+ * Photo storage selector
+ *
+ * Scan photos are stored through one of two adapters sharing one interface:
+ *   save(filePath, { filename, folder, mimeType, agency, month, year, description })
+ *     -> { fileId, url, size }   (url is null when the API serves the file itself)
+ *   read(fileId) -> Buffer
+ *
+ * The adapter is chosen with PHOTO_STORAGE_DRIVER (see src/config/photos.js).
+ */
+const config = require('../config/photos');
+
+const adapters = {
+  drive: () => require('./drivePhotoStorage'),
+  local: () => require('./localPhotoStorage')
+};
+
+if (!adapters[config.driver]) {
+  throw new Error(`Unknown photo storage driver "${config.driver}". Supported drivers: ${Object.keys(adapters).join(', ')}`);
+}
+
+module.exports = adapters[config.driver]();
@@ -6,6 +6,7 @@ const csv = require('csv-parse');
 const { createCanvas, loadImage, registerFont } = require('canvas');
 const { ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
 const { validateCSVRowData, validateQRData, validateSerie } = require('../utils/validation');
+const vinDecoderService = require('./vinDecoderService');
 
 class QRService {
   constructor() {
@@ -56,36 +57,48 @@ class QRService {
           }
 
           // Normalize column names and validate data
-          const normalizedData = data.map((row, index) => {
-            const normalizedRow = {};
+          // Errors thrown in this callback would escape the promise, so they are passed to reject
+          try {
+            const normalizedData = data.map((row, index) => {
+              const normalizedRow = {};
             
-            // Find columns case-insensitively
-            Object.keys(row).forEach(key => {
-              const normalizedKey = key.toLowerCase().trim();
-              if (requiredColumns.includes(normalizedKey)) {
-                normalizedRow[normalizedKey] = row[key]?.toString().trim() || '';
+              // Find columns case-insensitively
+              Object.keys(row).forEach(key => {
+                const normalizedKey = key.toLowerCase().trim();
+                if (requiredColumns.includes(normalizedKey)) {
+                  normalizedRow[normalizedKey] = row[key]?.toString().trim() || '';
+                }
+              });
+
+              // Validate row data
+              const missingFields = requiredColumns.filter(col => !normalizedRow[col]);
+              if (missingFields.length > 0) {
+                throw new ValidationError(`Row ${index + 2} is missing data for: ${missingFields.join(', ')}`);
               }
-            });
 
-            // Validate row data
-            const missingFields = requiredColumns.filter(col => !normalizedRow[col]);
-            if (missingFields.length > 0) {
-              throw new ValidationError(`Row ${index + 2} is missing data for: ${missingFields.join(', ')}`);
-            }
-
-            // Validate using comprehensive validation
-            const validation = validateCSVRowData(normalizedRow);
-            if (!validation.isValid) {
-              throw new ValidationError(`Row ${index + 2} validation failed: ${validation.errors.join(', ')}`);
-            }
-
-            return {
-              ...normalizedRow,
-              rowNumber: index + 2 // +2 because CSV is 1-based and we skip header
-            };
-          });
+              // Validate using comprehensive validation
+              const validation = validateCSVRowData(normalizedRow);
+              if (!validation.isValid) {
+                throw new ValidationError(`Row ${index + 2} validation failed: ${validation.errors.join(', ')}`);
+              }
 
-          resolve(normalizedData);
+              // Check digit (rejected in strict mode) and marca against the VIN's manufacturer
+              const vinCheck = vinDecoderService.checkVin(normalizedRow.serie, { marca: normalizedRow.marca });
+              if (vinCheck.errors.length > 0) {
+                throw new ValidationError(`Row ${index + 2} validation failed: ${vinCheck.errors.join(', ')}`);
+              }
+
+              return {
+                ...normalizedRow,
+                rowNumber: index + 2, // +2 because CSV is 1-based and we skip header
+                warnings: vinCheck.warnings
+              };
+            });
+
+            resolve(normalizedData);
+          } catch (error) {
+            reject(error);
+          }
         });
       });
     } catch (error) {
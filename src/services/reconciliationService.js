@@ -0,0 +1,327 @@
+const storage = require('./storage');
+const inventoryService = require('./inventoryService');
+const fileStorageService = require('./fileStorageService');
+const { ValidationError, NotFoundError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { v4: uuidv4 } = require('uuid');
+const { EXPECTED_STOCK_SHEET_NAME } = require('../config/sheetSchemas');
+
+class ReconciliationService {
+  constructor() {
+    this.expectedSheetName = EXPECTED_STOCK_SHEET_NAME;
+  }
+
+  // Normalize a serie / identifier for matching
+  normalizeSerie(value) {
+    return (value || '').toString().trim().toUpperCase();
+  }
+
+  // Normalize a location within the lot (ubicaciones) for comparison
+  normalizeUbicacion(value) {
+    return (value || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Persist an uploaded CSV as the expected stock of a location/month
+   * A new upload replaces the previous list (older uploads are kept but ignored)
+   * @param {string} agency - Location sheet name
+   * @param {Array} records - Parsed CSV rows ({ serie, marca, color, ubicaciones })
+   * @returns {Promise<Object>} - { uploadId, totalVehicles }
+   */
+  async saveExpectedStock(agency, month, year, records, user) {
+    try {
+      await storage.ensureSheetExists(this.expectedSheetName);
+
+      const uploadId = `exp_${uuidv4()}`;
+      const uploadedAt = new Date().toISOString();
+
+      for (const record of records) {
+        await storage.appendRow(this.expectedSheetName, [
+          uploadId,
+          agency,
+          inventoryService.getMonthName(month),
+          year.toString(),
+          record.serie,
+          record.marca || '',
+          record.color || '',
+          record.ubicaciones || '',
+          uploadedAt,
+          user
+        ]);
+      }
+
+      console.log(`📋 Saved expected stock for ${agency} - ${inventoryService.getMonthName(month)} ${year}: ${records.length} vehicles (${uploadId})`);
+
+      return {
+        uploadId,
+        uploadedAt,
+        totalVehicles: records.length
+      };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to save expected stock: ${error.message}`);
+    }
+  }
+
+  // Get the latest expected stock list for a location/month
+  async getExpectedStock(agency, month, year) {
+    try {
+      await storage.ensureSheetExists(this.expectedSheetName);
+      const data = await storage.getSheetData(this.expectedSheetName);
+
+      const rows = data.slice(1).filter(row =>
+        row[1] === agency &&
+        row[2] === inventoryService.getMonthName(month) &&
+        row[3] === year.toString()
+      );
+
+      if (rows.length === 0) return null;
+
+      // Rows are appended in upload order, so the last row belongs to the latest upload
+      const uploadId = rows[rows.length - 1][0];
+      const latestRows = rows.filter(row => row[0] === uploadId);
+
+      return {
+        uploadId,
+        uploadedAt: latestRows[0][8] || '',
+        uploadedBy: latestRows[0][9] || '',
+        vehicles: latestRows.map(row => ({
+          serie: row[4],
+          marca: row[5] || '',
+          color: row[6] || '',
+          ubicaciones: row[7] || ''
+        }))
+      };
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get expected stock: ${error.message}`);
+    }
+  }
+
+  // Get the scans of an inventory, from the agency sheet or, once it was cleared, the Drive backup
+  async getInventoryScans(agency, inventory) {
+    const rows = await inventoryService.getInventoryScanRows(agency, inventory);
+    if (rows.length > 0 || inventory.totalScans === 0) {
+      return rows.map(row => inventoryService.parseScanRow(row));
+    }
+
+    const backupScans = await fileStorageService.getBackupScans(agency, inventory.inventoryId);
+    if (!backupScans) {
+      throw new ValidationError(`Scans for inventory ${inventory.inventoryId} are no longer in the sheet and no backup was found`);
+    }
+    return backupScans;
+  }
+
+  /**
+   * Compare the expected stock of a location/month with what was scanned
+   *   found      - expected and scanned at the expected ubicación
+   *   misplaced  - expected and scanned with a different ubicación
+   *   missing    - expected but not scanned
+   *   unexpected - scanned but not on the expected list
+   * @param {string} inventoryId - Optional; defaults to the month's active (or most recent) inventory
+   */
+  async getReconciliation(agency, month, year, inventoryId = null) {
+    try {
+      const expected = await this.getExpectedStock(agency, month, year);
+      if (!expected) {
+        throw new ValidationError(`No expected stock uploaded for ${agency} - ${inventoryService.getMonthName(month)} ${year}. Upload a CSV through /api/qr/upload-csv first.`);
+      }
+
+      const inventory = await inventoryService.resolveInventory(agency, month, year, inventoryId);
+      const scans = inventory ? await this.getInventoryScans(agency, inventory) : [];
+
+      const scansBySerie = this.indexScansBySerie(scans);
+
+      const found = [];
+      const misplaced = [];
+      const missing = [];
+      const expectedSeries = new Set();
+
+      expected.vehicles.forEach(vehicle => {
+        const key = this.normalizeSerie(vehicle.serie);
+        expectedSeries.add(key);
+
+        const scan = scansBySerie.get(key);
+        if (!scan) {
+          missing.push({ ...vehicle });
+          return;
+        }
+
+        const entry = {
+          serie: vehicle.serie,
+          marca: vehicle.marca,
+          color: vehicle.color,
+          expectedUbicaciones: vehicle.ubicaciones,
+          scannedUbicaciones: scan.ubicaciones,
+          scannedBy: scan.scannedBy,
+          scanDate: scan.date
+        };
+
+        // Manual scans carry no ubicación and cannot be misplaced
+        if (scan.ubicaciones && this.normalizeUbicacion(scan.ubicaciones) !== this.normalizeUbicacion(vehicle.ubicaciones)) {
+          misplaced.push(entry);
+        } else {
+          found.push(entry);
+        }
+      });
+
+      const unexpected = [];
+      scansBySerie.forEach((scan, key) => {
+        if (!expectedSeries.has(key)) {
+          unexpected.push({
+            serie: scan.serie || scan.identifier,
+            marca: scan.marca,
+            color: scan.color,
+            scannedUbicaciones: scan.ubicaciones,
+            scannedBy: scan.scannedBy,
+            scanDate: scan.date
+          });
+        }
+      });
+
+      return {
+        agency,
+        month: inventoryService.getMonthName(month),
+        year: year.toString(),
+        inventoryId: inventory ? inventory.inventoryId : null,
+        inventoryStatus: inventory ? inventory.status : 'Not Started',
+        expectedUploadId: expected.uploadId,
+        expectedUploadedAt: expected.uploadedAt,
+        summary: {
+          expected: expected.vehicles.length,
+          scanned: scansBySerie.size,
+          found: found.length,
+          misplaced: misplaced.length,
+          missing: missing.length,
+          unexpected: unexpected.length
+        },
+        found,
+        misplaced,
+        missing,
+        unexpected
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to build reconciliation report: ${error.message}`);
+    }
+  }
+
+  // Index an inventory's scans by serie (QR scans) or identifier (manual / barcode scans); the first scan of a vehicle wins
+  indexScansBySerie(scans) {
+    const scansBySerie = new Map();
+    scans.forEach(scan => {
+      const key = this.normalizeSerie(scan.serie || scan.identifier);
+      if (key && !scansBySerie.has(key)) {
+        scansBySerie.set(key, scan);
+      }
+    });
+    return scansBySerie;
+  }
+
+  // Load an inventory of a location for a diff
+  async getDiffInventory(agency, inventoryId, param) {
+    if (!inventoryId) {
+      throw new ValidationError(`Missing required query parameter: ${param}`);
+    }
+
+    const inventory = await inventoryService.findInventoryById(inventoryId);
+    if (!inventory) {
+      throw new NotFoundError(`Inventory not found: ${inventoryId}`);
+    }
+    if (inventory.agency !== agency) {
+      throw new ValidationError(`Inventory ${inventoryId} belongs to ${inventory.agency}, not ${agency}`);
+    }
+    return inventory;
+  }
+
+  /**
+   * Compare two inventories of a location, e.g. last month's count with this month's
+   *   arrivals    - in the `to` inventory only
+   *   departures  - in the `from` inventory only
+   *   relocations - in both, scanned at a different ubicación
+   * Scans of an inventory already cleared from the sheet are read from its Drive backup
+   * @param {string} agency - Location sheet name
+   * @param {string} fromInventoryId - Earlier inventory
+   * @param {string} toInventoryId - Later inventory
+   */
+  async getInventoryDiff(agency, fromInventoryId, toInventoryId) {
+    try {
+      const from = await this.getDiffInventory(agency, fromInventoryId, 'from');
+      const to = await this.getDiffInventory(agency, toInventoryId, 'to');
+
+      const fromScans = this.indexScansBySerie(await this.getInventoryScans(agency, from));
+      const toScans = this.indexScansBySerie(await this.getInventoryScans(agency, to));
+
+      const toVehicle = scan => ({
+        serie: scan.serie || scan.identifier,
+        marca: scan.marca,
+        color: scan.color,
+        ubicaciones: scan.ubicaciones,
+        scannedBy: scan.scannedBy,
+        scanDate: scan.date
+      });
+
+      const arrivals = [];
+      const relocations = [];
+      let unchanged = 0;
+      toScans.forEach((scan, key) => {
+        const previous = fromScans.get(key);
+        if (!previous) {
+          arrivals.push(toVehicle(scan));
+          return;
+        }
+
+        // Manual scans carry no ubicación and cannot be relocated
+        if (scan.ubicaciones && previous.ubicaciones &&
+            this.normalizeUbicacion(scan.ubicaciones) !== this.normalizeUbicacion(previous.ubicaciones)) {
+          const { ubicaciones, ...vehicle } = toVehicle(scan);
+          relocations.push({
+            ...vehicle,
+            marca: scan.marca || previous.marca,
+            color: scan.color || previous.color,
+            fromUbicaciones: previous.ubicaciones,
+            toUbicaciones: ubicaciones
+          });
+        } else {
+          unchanged++;
+        }
+      });
+
+      const departures = [];
+      fromScans.forEach((scan, key) => {
+        if (!toScans.has(key)) {
+          departures.push(toVehicle(scan));
+        }
+      });
+
+      const describe = (inventory, scans) => ({
+        inventoryId: inventory.inventoryId,
+        month: inventory.month,
+        year: inventory.year,
+        status: inventory.status,
+        vehicles: scans.size
+      });
+
+      return {
+        agency,
+        from: describe(from, fromScans),
+        to: describe(to, toScans),
+        summary: {
+          arrivals: arrivals.length,
+          departures: departures.length,
+          relocations: relocations.length,
+          unchanged
+        },
+        arrivals,
+        departures,
+        relocations
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to build inventory diff: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -0,0 +1,24 @@
+/**
+ * Storage backend selector
+ *
+ * Every service reads and writes sheets through this module instead of talking to
+ * Google Sheets directly. Adapters share one interface:
+ *   appendRow, appendRows, getSheetData, updateRow, batchUpdateRows, clearSheet, ensureSheetExists
+ *   (plus clearRow, updateCell, findRow, clearCache and ensureInitialized)
+ *
+ * The adapter is chosen with STORAGE_DRIVER (see src/config/storage.js).
+ */
+const config = require('../config/storage');
+
+const adapters = {
+  googleSheets: () => require('./googleSheets'),
+  local: () => require('./localSheets')
+};
+
+if (!adapters[config.driver]) {
+  throw new Error(`Unknown storage driver "${config.driver}". Supported drivers: ${Object.keys(adapters).join(', ')}`);
+}
+
+console.log(`🗄️ Storage driver: ${config.driver}`);
+
+module.exports = adapters[config.driver]();
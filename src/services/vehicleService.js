@@ -0,0 +1,106 @@
+const vinIndexService = require('./vinIndexService');
+const vinDecoderService = require('./vinDecoderService');
+
+/**
+ * Vehicle registry keyed by VIN, built from the global VIN index
+ * Location sheets are cleared after each inventory is downloaded; the index keeps every count,
+ * so a vehicle's locations and ubicaciones can be followed across months
+ */
+class VehicleService {
+  // Latest non-empty value of a field among entries sorted oldest first
+  getLatestValue(entries, field) {
+    const entry = [...entries].reverse().find(item => item[field]);
+    return entry ? entry[field] : '';
+  }
+
+  /**
+   * Summarize the counted entries of one VIN
+   * @param {Array} entries - Index entries of the VIN, oldest first
+   * @returns {Object} - { vin, marca, color, firstSeen, lastSeen, lastLocation, lastInventoryId, lastUbicaciones, timesCounted, locations }
+   */
+  toVehicle(vin, entries) {
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+
+    return {
+      vin,
+      marca: this.getLatestValue(entries, 'marca'),
+      color: this.getLatestValue(entries, 'color'),
+      firstSeen: first.recordedAt,
+      lastSeen: last.recordedAt,
+      lastLocation: last.agency,
+      lastInventoryId: last.inventoryId,
+      lastUbicaciones: this.getLatestValue(entries, 'ubicaciones'),
+      timesCounted: entries.length,
+      locations: Array.from(new Set(entries.map(entry => entry.agency)))
+    };
+  }
+
+  // Group counted index entries by VIN, each group oldest first
+  groupByVin(entries) {
+    const byVin = new Map();
+    entries
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+      .forEach(entry => byVin.set(entry.vin, [...(byVin.get(entry.vin) || []), entry]));
+    return byVin;
+  }
+
+  /**
+   * A vehicle with every inventory it was counted in and its ubicaciones history
+   * @param {string} vin - VIN (already normalized)
+   * @param {Object} options - { isVisible } agency => whether the user may see counts at that location
+   * @returns {Promise<Object|null>} - null when the VIN was never counted at a visible location
+   */
+  async getVehicle(vin, { isVisible = () => true } = {}) {
+    const entries = (await vinIndexService.getCountedEntries(row => row[0] === vin))
+      .filter(entry => isVisible(entry.agency));
+    if (entries.length === 0) return null;
+
+    const history = this.groupByVin(entries).get(vin);
+    const decoded = vinDecoderService.decode(vin);
+
+    return {
+      ...this.toVehicle(vin, history),
+      manufacturer: decoded.manufacturer,
+      modelYear: decoded.modelYear,
+      history: history.map(entry => ({
+        agency: entry.agency,
+        inventoryId: entry.inventoryId,
+        inventoryStatus: entry.inventoryStatus,
+        month: entry.month,
+        year: entry.year,
+        identifier: entry.identifier,
+        ubicaciones: entry.ubicaciones,
+        recordedAt: entry.recordedAt,
+        user: entry.user
+      })),
+      ubicacionesHistory: history
+        .filter(entry => entry.ubicaciones)
+        .map(entry => ({ ubicaciones: entry.ubicaciones, agency: entry.agency, inventoryId: entry.inventoryId, recordedAt: entry.recordedAt }))
+    };
+  }
+
+  /**
+   * Vehicles of the registry, most recently seen first
+   * @param {Object} options - { location } sheet name the vehicles were last counted at,
+   *   { lastSeenBefore } Date the vehicles were last counted before, { isVisible } as in getVehicle
+   */
+  async listVehicles({ location = null, lastSeenBefore = null, isVisible = () => true } = {}) {
+    const entries = (await vinIndexService.getCountedEntries()).filter(entry => isVisible(entry.agency));
+
+    const vehicles = Array.from(this.groupByVin(entries).entries())
+      .map(([vin, history]) => this.toVehicle(vin, history))
+      .filter(vehicle => !location || vehicle.lastLocation === location)
+      .filter(vehicle => !lastSeenBefore || new Date(vehicle.lastSeen) < lastSeenBefore)
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+    return {
+      location,
+      lastSeenBefore: lastSeenBefore ? lastSeenBefore.toISOString() : null,
+      totalVehicles: vehicles.length,
+      vehicles
+    };
+  }
+}
+
+module.exports = new VehicleService();
@@ -0,0 +1,137 @@
+const vinConfig = require('../config/vin');
+const { validateSerie, computeVinCheckDigit } = require('../utils/validation');
+
+// Order of VIN characters in ISO 3780 ranges (letters first, then 1-9 and 0)
+const CHARACTER_ORDER = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+// 10th character codes, one per model year from 1980 (A) to 2009 (9); the cycle repeats every 30 years
+const MODEL_YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+/**
+ * Offline VIN decoding: WMI to manufacturer, region and country, model year and check digit
+ * Used to flag typos in CSV imports and scans, e.g. a VIN whose manufacturer is not the row's marca
+ */
+class VinDecoderService {
+  constructor() {
+    this.checkDigitMode = vinConfig.checkDigitMode;
+  }
+
+  // Compare two VIN prefixes of the same length in ISO 3780 order
+  comparePrefix(a, b) {
+    for (let i = 0; i < a.length; i++) {
+      const diff = CHARACTER_ORDER.indexOf(a[i]) - CHARACTER_ORDER.indexOf(b[i]);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  // Entry of a { from, to } range table that covers a prefix
+  findRange(ranges, prefix) {
+    return ranges.find(range => this.comparePrefix(prefix, range.from) >= 0 && this.comparePrefix(prefix, range.to) <= 0) || null;
+  }
+
+  // Most recent model year the 10th character can stand for, up to next year
+  getModelYear(vin, now = new Date()) {
+    const index = MODEL_YEAR_CODES.indexOf(vin[9]);
+    if (index === -1) return null;
+
+    let year = 1980 + index;
+    while (year + 30 <= now.getFullYear() + 1) {
+      year += 30;
+    }
+    return year;
+  }
+
+  /**
+   * Decode a VIN
+   * @param {string} vin - VIN in serie format
+   * @returns {Object} - { vin, wmi, manufacturer, makes, region, country, modelYear, checkDigit: { expected, actual, valid } }
+   */
+  decode(vin) {
+    const value = vin.toUpperCase();
+    const wmi = value.slice(0, 3);
+    const manufacturer = vinConfig.manufacturers[wmi] || vinConfig.manufacturers[wmi.slice(0, 2)] || null;
+    const region = this.findRange(vinConfig.regions, value.slice(0, 1));
+    const country = this.findRange(vinConfig.countries, value.slice(0, 2));
+    const expected = computeVinCheckDigit(value);
+
+    return {
+      vin: value,
+      wmi,
+      manufacturer: manufacturer ? manufacturer.name : null,
+      makes: manufacturer ? manufacturer.makes : [],
+      region: region ? region.region : null,
+      country: country ? country.country : null,
+      modelYear: this.getModelYear(value),
+      checkDigit: {
+        expected,
+        actual: value[8],
+        valid: expected === value[8]
+      }
+    };
+  }
+
+  // Compare brand names ignoring case, accents, spaces and punctuation
+  normalizeMake(value) {
+    return (value || '').toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Whether a marca is one of the makes of the VIN's manufacturer ("Jeep Compass" matches Jeep)
+   * @returns {boolean|null} - null when the manufacturer is not in the WMI table or the marca is empty
+   */
+  matchesMarca(decoded, marca) {
+    const normalized = this.normalizeMake(marca);
+    if (!normalized || decoded.makes.length === 0) return null;
+
+    return decoded.makes.some(make => {
+      const normalizedMake = this.normalizeMake(make);
+      return normalized === normalizedMake || normalized.startsWith(normalizedMake);
+    });
+  }
+
+  /**
+   * Check a VIN being imported or scanned
+   * A wrong check digit is an error with VIN_CHECK_DIGIT_MODE=strict and a warning otherwise;
+   * a marca that is not the manufacturer's is always a warning
+   * @param {string} vin - VIN to check
+   * @param {Object} options - { marca } the CSV row or scan names
+   * @returns {Object} - { decoded, errors: [string], warnings: [{ type, message, vin, ... }] }
+   */
+  checkVin(vin, { marca = '' } = {}) {
+    if (!validateSerie(vin)) {
+      return {
+        decoded: null,
+        errors: [`${vin} is not a valid VIN: 17 letters and digits, without I, O and Q`],
+        warnings: []
+      };
+    }
+
+    const decoded = this.decode(vin);
+    const errors = [];
+    const warnings = [];
+
+    if (!decoded.checkDigit.valid) {
+      const message = `VIN ${decoded.vin} has check digit ${decoded.checkDigit.actual}, expected ${decoded.checkDigit.expected}`;
+      if (this.checkDigitMode === 'strict') {
+        errors.push(message);
+      } else {
+        warnings.push({ type: 'vin_check_digit', message, vin: decoded.vin, expected: decoded.checkDigit.expected });
+      }
+    }
+
+    if (this.matchesMarca(decoded, marca) === false) {
+      warnings.push({
+        type: 'vin_marca_mismatch',
+        message: `VIN ${decoded.vin} belongs to ${decoded.manufacturer}, not ${marca}`,
+        vin: decoded.vin,
+        marca,
+        manufacturer: decoded.manufacturer
+      });
+    }
+
+    return { decoded, errors, warnings };
+  }
+}
+
+module.exports = new VinDecoderService();
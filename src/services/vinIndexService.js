@@ -0,0 +1,238 @@
+const storage = require('./storage');
+const inventoryService = require('./inventoryService');
+const reconciliationService = require('./reconciliationService');
+const { ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { VIN_INDEX_SHEET_NAME, vinIndexHeaders } = require('../config/sheetSchemas');
+const { INVENTORY_STATUS } = require('../config/inventoryStatus');
+const { validateSerie } = require('../utils/validation');
+const vinIndexConfig = require('../config/vinIndex');
+
+const VIN_ACTIONS = vinIndexConfig.actions;
+
+/**
+ * Global index of the VINs counted at every location (VinIndex sheet)
+ * Location sheets only know their own scans; the index lets a scan see the same VIN counted elsewhere in its month
+ * Scans without a VIN (8-digit barcodes) are not indexed
+ */
+class VinIndexService {
+  constructor() {
+    this.sheetName = VIN_INDEX_SHEET_NAME;
+    this.actions = VIN_ACTIONS;
+    this.collisionAction = vinIndexConfig.collisionAction;
+  }
+
+  // VIN of a scan: its serie, or its code when that is a serie ('' for barcodes)
+  getVin({ code, serie }) {
+    const vin = reconciliationService.normalizeSerie(serie || code);
+    return validateSerie(vin) ? vin : '';
+  }
+
+  // VIN of a location sheet row
+  getRowVin(row) {
+    return this.getVin({ code: row[1], serie: row[3] });
+  }
+
+  // Car data of a location sheet row, as recorded in the index
+  getRowCarData(row) {
+    return { marca: row[4] || '', color: row[5] || '', ubicaciones: row[6] || '' };
+  }
+
+  /**
+   * Append index entries; entries without a VIN are skipped
+   * @param {Array} entries - [{ vin, agency, inventoryId, month (name), year, identifier, user, marca, color, ubicaciones }]
+   * @param {string} action - 'scanned' or 'removed'
+   */
+  async record(entries, action) {
+    const rows = entries.filter(entry => entry.vin).map(entry => [
+      entry.vin,
+      entry.agency,
+      entry.inventoryId,
+      entry.month,
+      entry.year.toString(),
+      entry.identifier || entry.vin,
+      action,
+      new Date().toISOString(),
+      entry.user || '',
+      entry.marca || '',
+      entry.color || '',
+      entry.ubicaciones || ''
+    ]);
+    if (rows.length === 0) return 0;
+
+    try {
+      // Indexes created before the car data columns get their headers on the next write
+      await inventoryService.upgradeSheetHeaders(this.sheetName, vinIndexHeaders);
+      await storage.appendRows(this.sheetName, rows);
+      return rows.length;
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to update VIN index: ${error.message}`);
+    }
+  }
+
+  /**
+   * VINs currently counted, at every location
+   * The latest row per VIN, location and inventory wins; removed VINs and cancelled inventories are left out
+   * @param {Function} filter - Index rows to consider (all by default)
+   * @returns {Promise<Array>} - [{ vin, agency, inventoryId, inventoryStatus, month, year, identifier, recordedAt, user, marca, color, ubicaciones }]
+   */
+  async getCountedEntries(filter = () => true) {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+      const [data, summaryData] = await Promise.all([
+        storage.getSheetData(this.sheetName),
+        storage.getSheetData(inventoryService.summarySheetName)
+      ]);
+
+      const statuses = new Map(inventoryService.parseSummaryRows(summaryData.slice(1))
+        .map(inventory => [inventory.inventoryId, inventory.status]));
+
+      const latest = new Map();
+      data.slice(1)
+        .filter(row => row[0] && filter(row))
+        .forEach(row => latest.set(`${row[0]}|${row[1]}|${row[2]}`, row));
+
+      return Array.from(latest.values())
+        .filter(row => row[6] === VIN_ACTIONS.SCANNED && statuses.get(row[2]) !== INVENTORY_STATUS.CANCELLED)
+        .map(row => ({
+          vin: row[0],
+          agency: row[1],
+          inventoryId: row[2],
+          inventoryStatus: statuses.get(row[2]) || null,
+          month: row[3],
+          year: row[4],
+          identifier: row[5],
+          recordedAt: row[7],
+          user: row[8] || '',
+          marca: row[9] || '',
+          color: row[10] || '',
+          ubicaciones: row[11] || ''
+        }));
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to read VIN index: ${error.message}`);
+    }
+  }
+
+  /**
+   * VINs currently counted in a month, at every location
+   * @param {string} month - Month name
+   */
+  async getActiveEntries(month, year) {
+    return this.getCountedEntries(row => row[3] === month && row[4] === year.toString());
+  }
+
+  /**
+   * Build the lookup a location's scans are checked with
+   * @param {string} month - Month name
+   * @returns {Promise<Function>} - vin => entries of that VIN at other locations ([] when none)
+   */
+  async getCollisionLookup(agency, month, year) {
+    const byVin = new Map();
+    (await this.getActiveEntries(month, year))
+      .filter(entry => entry.agency !== agency)
+      .forEach(entry => byVin.set(entry.vin, [...(byVin.get(entry.vin) || []), entry]));
+
+    return vin => byVin.get(vin) || [];
+  }
+
+  // Message telling where else a VIN is counted
+  describeCollision(vin, collisions) {
+    const locations = Array.from(new Set(collisions.map(entry => entry.agency)));
+    return `VIN ${vin} is already counted at ${locations.join(', ')} this month`;
+  }
+
+  // Warning returned with a saved scan whose VIN is counted elsewhere (null when it is not)
+  toWarning(vin, collisions) {
+    if (collisions.length === 0) return null;
+    return {
+      type: 'vin_collision',
+      message: this.describeCollision(vin, collisions),
+      vin,
+      collisions
+    };
+  }
+
+  /**
+   * Check a scan about to be saved; throws in block mode when the VIN is counted elsewhere
+   * @returns {Object|null} - The warning to return with the scan
+   */
+  checkScan(vin, collisions) {
+    if (collisions.length > 0 && this.collisionAction === 'block') {
+      throw new ValidationError(`${this.describeCollision(vin, collisions)}; scans of it are blocked at other locations`, { vin, collisions });
+    }
+    return this.toWarning(vin, collisions);
+  }
+
+  /**
+   * VINs counted at more than one location in a month
+   * @param {string} month - Month name
+   * @param {Object} options - { agency } to list only collisions involving one location
+   */
+  async getCollisions(month, year, { agency = null } = {}) {
+    const byVin = new Map();
+    (await this.getActiveEntries(month, year))
+      .forEach(entry => byVin.set(entry.vin, [...(byVin.get(entry.vin) || []), entry]));
+
+    const collisions = Array.from(byVin.entries())
+      .map(([vin, entries]) => ({
+        vin,
+        locations: Array.from(new Set(entries.map(entry => entry.agency))),
+        entries: entries.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+      }))
+      .filter(collision => collision.locations.length > 1)
+      .filter(collision => !agency || collision.locations.includes(agency))
+      .sort((a, b) => a.vin.localeCompare(b.vin));
+
+    return {
+      month,
+      year: year.toString(),
+      agency,
+      totalCollisions: collisions.length,
+      collisions
+    };
+  }
+
+  /**
+   * Index the VINs of a month's scans that are missing from the index (scans saved before it existed)
+   * Reads the location sheets, so inventories already cleared after approval are not picked up
+   * @param {string} month - Month name
+   */
+  async reindex(month, year, user) {
+    try {
+      const summaryData = await storage.getSheetData(inventoryService.summarySheetName);
+      const inventories = inventoryService.parseSummaryRows(summaryData.slice(1))
+        .filter(inventory => inventory.month === month && inventory.year === year.toString() &&
+          inventory.inventoryId && inventory.status !== INVENTORY_STATUS.CANCELLED);
+
+      const indexed = new Set((await this.getActiveEntries(month, year))
+        .map(entry => `${entry.vin}|${entry.agency}|${entry.inventoryId}`));
+
+      const entries = [];
+      for (const inventory of inventories) {
+        const rows = await inventoryService.getInventoryScanRows(inventory.agency, inventory);
+        rows.forEach(row => {
+          const vin = this.getRowVin(row);
+          const key = `${vin}|${inventory.agency}|${inventory.inventoryId}`;
+          if (!vin || indexed.has(key)) return;
+
+          indexed.add(key);
+          entries.push({
+            vin, agency: inventory.agency, inventoryId: inventory.inventoryId, month, year, identifier: row[1], user: row[2],
+            ...this.getRowCarData(row)
+          });
+        });
+      }
+
+      const added = await this.record(entries, VIN_ACTIONS.SCANNED);
+      console.log(`🔎 Reindexed VINs of ${month} ${year}: ${added} added from ${inventories.length} inventories (by ${user})`);
+
+      return { month, year: year.toString(), inventories: inventories.length, added };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to reindex VINs: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new VinIndexService();
@@ -1,4 +1,7 @@
 const WebSocket = require('ws');
+const { verifyToken, getBearerToken, getUserFromClaims } = require('../middleware/auth');
+const { canAccessAgency } = require('../middleware/authorize');
+const locationService = require('./locationService');
 
 class WebSocketService {
   constructor() {
@@ -25,8 +28,10 @@ class WebSocketService {
     console.log('🔌 Initializing WebSocket service...');
     
     this.wss = new WebSocket.Server({ 
-      server
+      server,
       // Remove the path restriction to allow /ws/inventory/{agency}/{month}/{year}
+      // Reject the handshake unless it carries a valid access token
+      verifyClient: (info, done) => this.verifyClient(info, done)
     });
 
     this.wss.on('connection', (ws, req) => {
@@ -56,6 +61,33 @@ class WebSocketService {
     return this.wss;
   }
 
+  // Validate the access token sent with the handshake
+  // Browsers cannot set headers on WebSocket requests, so ?token= is accepted as well
+  async verifyClient(info, done) {
+    try {
+      const url = new URL(info.req.url, `http://${info.req.headers.host}`);
+      const token = getBearerToken(info.req.headers.authorization) || url.searchParams.get('token');
+
+      if (!token) {
+        console.log('🚫 WebSocket handshake rejected - missing access token');
+        return done(false, 401, 'Unauthorized');
+      }
+
+      const decoded = await verifyToken(token);
+      info.req.user = getUserFromClaims(decoded);
+
+      // Refresh the location registry so handleConnection can resolve the room synchronously
+      await locationService.loadLocations().catch(error => {
+        console.error('❌ Failed to refresh locations:', error.message);
+      });
+      done(true);
+    } catch (error) {
+      console.log(`🚫 WebSocket handshake rejected - ${error.message}`);
+      this.metrics.errors++;
+      done(false, 401, 'Unauthorized');
+    }
+  }
+
   handleConnection(ws, req) {
     console.log('🔗 New WebSocket connection established');
     
@@ -69,18 +101,33 @@ class WebSocketService {
       
       // Check if this is a WebSocket inventory request
       if (pathParts.length >= 4 && pathParts[0] === 'ws' && pathParts[1] === 'inventory') {
-        const agency = decodeURIComponent(pathParts[2]);
+        const requestedAgency = decodeURIComponent(pathParts[2]);
         const month = pathParts[3];
         const year = pathParts[4];
         
-        console.log('🔍 Parsed room info:', { agency, month, year });
+        console.log('🔍 Parsed room info:', { agency: requestedAgency, month, year });
         
-        if (!agency || !month || !year) {
+        if (!requestedAgency || !month || !year) {
           console.log('❌ Invalid WebSocket path - missing room parameters');
           ws.close(1008, 'Invalid path - missing room parameters');
           return;
         }
         
+        // Rooms are keyed by the location's sheet name, like the REST notifications
+        const location = locationService.findLocation(requestedAgency);
+        if (!location || !location.active) {
+          console.log(`❌ Unknown location: ${requestedAgency}`);
+          ws.close(1008, 'Invalid path - unknown location');
+          return;
+        }
+        const agency = location.sheetName;
+
+        if (!canAccessAgency(req.user, location.id)) {
+          console.log(`❌ User ${req.user.user} has no access to location: ${agency}`);
+          ws.close(1008, 'Forbidden - no access to this location');
+          return;
+        }
+
         const roomKey = `${agency}/${month}/${year}`;
         
         // Add connection to room
@@ -88,7 +135,9 @@ class WebSocketService {
           return; // Connection was closed due to room being full
         }
         
-        // Store connection info
+        // Store connection info (identity comes from the verified token)
+        ws.userId = req.user.user;
+        ws.userName = req.user.userName;
         ws.roomKey = roomKey;
         ws.agency = agency;
         ws.month = month;
@@ -203,10 +252,6 @@ class WebSocketService {
           this.handleScanRemoved(ws, roomConnections, messageData);
           break;
           
-        case 'inventory_completed':
-          this.handleInventoryCompleted(ws, roomConnections, messageData);
-          break;
-          
         case 'ping':
           this.sendMessage(ws, { type: 'pong', data: { timestamp: new Date().toISOString() } });
           break;
@@ -227,12 +272,9 @@ class WebSocketService {
 
   // Message handlers
   handleUserJoined(ws, roomConnections, data) {
-    // Store user info
-    ws.userId = data.userId;
-    ws.userName = data.userName;
-    
+    // User info is taken from the verified token, not from the payload
     // Store user session
-    this.userSessions.set(data.userId, {
+    this.userSessions.set(ws.userId, {
       roomKey: ws.roomKey,
       connectedAt: ws.connectedAt,
       ws: ws
@@ -245,13 +287,13 @@ class WebSocketService {
         agency: data.agency,
         month: data.month,
         year: data.year,
-        userId: data.userId,
-        userName: data.userName,
+        userId: ws.userId,
+        userName: ws.userName,
         timestamp: new Date().toISOString()
       }
     });
     
-    console.log(`👥 User ${data.userName} joined room ${ws.roomKey}`);
+    console.log(`👥 User ${ws.userName} joined room ${ws.roomKey}`);
   }
 
   handleScanAdded(ws, roomConnections, data) {
@@ -262,14 +304,14 @@ class WebSocketService {
         agency: data.agency,
         month: data.month,
         year: data.year,
-        userId: data.userId,
-        userName: data.userName,
+        userId: ws.userId,
+        userName: ws.userName,
         scanData: data.scanData,
         timestamp: new Date().toISOString()
       }
     });
     
-    console.log(`📱 Scan added by ${data.userName}: ${data.scanData.code}`);
+    console.log(`📱 Scan added by ${ws.userName}: ${data.scanData.code}`);
   }
 
   handleScanRemoved(ws, roomConnections, data) {
@@ -280,45 +322,14 @@ class WebSocketService {
         agency: data.agency,
         month: data.month,
         year: data.year,
-        userId: data.userId,
-        userName: data.userName,
+        userId: ws.userId,
+        userName: ws.userName,
         scanData: data.scanData,
         timestamp: new Date().toISOString()
       }
     });
     
-    console.log(`🗑️ Scan removed by ${data.userName}: ${data.scanData.code}`);
-  }
-
-  handleInventoryCompleted(ws, roomConnections, data) {
-    // Broadcast completion to all users in room
-    this.broadcastToRoom(roomConnections, ws, {
-      type: 'inventory_completed',
-      data: {
-        agency: data.agency,
-        month: data.month,
-        year: data.year,
-        completedBy: data.completedBy,
-        inventoryId: data.inventoryId,
-        message: data.message,
-        timestamp: new Date().toISOString()
-      }
-    });
-    
-    // Also send session_terminated to all users
-    this.broadcastToRoom(roomConnections, ws, {
-      type: 'session_terminated',
-      data: {
-        agency: data.agency,
-        month: data.month,
-        year: data.year,
-        completedBy: data.completedBy,
-        message: `Tu sesión ha sido terminada porque ${data.completedBy} completó el inventario.`,
-        timestamp: new Date().toISOString()
-      }
-    });
-    
-    console.log(`✅ Inventory completed by ${data.completedBy} in room ${ws.roomKey}`);
+    console.log(`🗑️ Scan removed by ${ws.userName}: ${data.scanData.code}`);
   }
 
   // Broadcasting and utility methods
@@ -418,6 +429,7 @@ class WebSocketService {
   }
 
   // API integration methods
+  // Completion is only announced by the server, once a supervisor approves the inventory (clients cannot send it)
   notifyInventoryCompleted(agency, month, year, completedBy, inventoryId, message) {
     const roomKey = `${agency}/${month}/${year}`;
     const roomConnections = this.activeConnections.get(roomKey);
@@ -457,6 +469,93 @@ class WebSocketService {
     return false;
   }
 
+  // Lifecycle transition of an inventory (paused, resumed, submitted for review, approved, reopened, ...)
+  notifyInventoryStatusChanged(agency, month, year, inventoryId, change) {
+    const roomKey = `${agency}/${month}/${year}`;
+    const roomConnections = this.activeConnections.get(roomKey);
+
+    if (roomConnections && roomConnections.size > 0) {
+      this.broadcastToRoom(roomConnections, null, {
+        type: 'inventory_status_changed',
+        data: {
+          agency,
+          month,
+          year,
+          inventoryId,
+          transition: change.transition,
+          from: change.from,
+          status: change.status,
+          changedBy: change.changedBy,
+          reason: change.reason || '',
+          message: `El inventario cambió de ${change.from} a ${change.status} por ${change.changedBy}.`,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      console.log(`📢 Notified ${roomConnections.size} users about inventory status ${change.from} → ${change.status}`);
+      return true;
+    }
+
+    return false;
+  }
+
+  notifyInventoryStale(agency, month, year, inventoryId, stale) {
+    const roomKey = `${agency}/${month}/${year}`;
+    const roomConnections = this.activeConnections.get(roomKey);
+
+    if (roomConnections && roomConnections.size > 0) {
+      const message = stale.reasons.includes('monthEnded')
+        ? 'El mes de este inventario ya terminó. Envíalo a revisión o cancélalo.'
+        : `El inventario no tiene actividad desde hace ${stale.inactiveHours} horas.`;
+
+      this.broadcastToRoom(roomConnections, null, {
+        type: 'inventory_stale',
+        data: {
+          agency,
+          month,
+          year,
+          inventoryId,
+          status: stale.status,
+          reasons: stale.reasons,
+          lastActivityAt: stale.lastActivityAt,
+          inactiveHours: stale.inactiveHours,
+          message,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      console.log(`📢 Notified ${roomConnections.size} users that inventory ${inventoryId} is stale`);
+      return true;
+    }
+
+    return false;
+  }
+
+  notifyZoneProgress(agency, month, year, progress) {
+    const roomKey = `${agency}/${month}/${year}`;
+    const roomConnections = this.activeConnections.get(roomKey);
+
+    if (roomConnections && roomConnections.size > 0) {
+      this.broadcastToRoom(roomConnections, null, {
+        type: 'zone_progress',
+        data: {
+          agency,
+          month,
+          year,
+          inventoryId: progress.inventoryId,
+          zones: progress.zones,
+          unzoned: progress.unzoned,
+          totals: progress.totals,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+      return true;
+    }
+
+    return false;
+  }
+
   notifyScanAdded(agency, month, year, userId, userName, code, user) {
     const roomKey = `${agency}/${month}/${year}`;
     const roomConnections = this.activeConnections.get(roomKey);
@@ -486,6 +585,37 @@ class WebSocketService {
     return false;
   }
 
+  // One message for a batch of scans uploaded at once (e.g. replayed offline scans)
+  notifyScansAdded(agency, month, year, userId, userName, codes, user) {
+    const roomKey = `${agency}/${month}/${year}`;
+    const roomConnections = this.activeConnections.get(roomKey);
+    
+    if (roomConnections && roomConnections.size > 0) {
+      this.broadcastToRoom(roomConnections, null, {
+        type: 'scans_added',
+        data: {
+          agency,
+          month,
+          year,
+          userId,
+          userName,
+          scanData: {
+            codes,
+            count: codes.length,
+            user: user || userName,
+            timestamp: new Date().toISOString()
+          },
+          timestamp: new Date().toISOString()
+        }
+      });
+      
+      console.log(`📱 Notified ${roomConnections.size} users about ${codes.length} batch scans`);
+      return true;
+    }
+    
+    return false;
+  }
+
   notifyScanRemoved(agency, month, year, userId, userName, code, user) {
     const roomKey = `${agency}/${month}/${year}`;
     const roomConnections = this.activeConnections.get(roomKey);
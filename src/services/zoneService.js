@@ -0,0 +1,245 @@
+const storage = require('./storage');
+const inventoryService = require('./inventoryService');
+const locationService = require('./locationService');
+const reconciliationService = require('./reconciliationService');
+const websocketService = require('./websocketService');
+const { ValidationError, GoogleSheetsError } = require('../middleware/errorHandler');
+const { ZONE_ASSIGNMENTS_SHEET_NAME } = require('../config/sheetSchemas');
+const { OPEN_STATUSES } = require('../config/inventoryStatus');
+
+/**
+ * Zones split a location into areas counted by different auditors
+ * Zones are defined with the location (Zones column); assignments are per inventory (ZoneAssignments sheet)
+ * A scan is attributed to the zone it names, else the zone of its ubicación, else the scanning auditor's zone
+ */
+class ZoneService {
+  constructor() {
+    this.sheetName = ZONE_ASSIGNMENTS_SHEET_NAME;
+
+    // Most assignments accepted in one request
+    this.maxAssignments = 100;
+  }
+
+  // Zones of a location ([] when it has none)
+  async getZones(agency) {
+    const location = await locationService.getLocation(agency);
+    return location ? location.zones : [];
+  }
+
+  // Map each ubicación (normalized as in reconciliation) to its zone id
+  buildUbicacionIndex(zones) {
+    const index = new Map();
+    zones.forEach(zone => {
+      zone.ubicaciones.forEach(value => index.set(reconciliationService.normalizeUbicacion(value), zone.id));
+    });
+    return index;
+  }
+
+  // Map a ZoneAssignments row to an assignment
+  parseRow(row) {
+    return {
+      inventoryId: row[0],
+      agency: row[1],
+      zoneId: row[2] || null,
+      user: row[3],
+      assignedAt: row[4],
+      assignedBy: row[5] || ''
+    };
+  }
+
+  /**
+   * Current zone assignments of an inventory (latest row per user; unassigned users left out)
+   * @returns {Promise<Array>} - [{ user, zoneId, assignedAt, assignedBy }]
+   */
+  async getAssignments(inventory) {
+    try {
+      await storage.ensureSheetExists(this.sheetName);
+      const data = await storage.getSheetData(this.sheetName);
+
+      const latest = new Map();
+      data.slice(1)
+        .filter(row => row[0] === inventory.inventoryId && row[1] === inventory.agency)
+        .forEach(row => latest.set(row[3], this.parseRow(row)));
+
+      return Array.from(latest.values())
+        .filter(assignment => assignment.zoneId)
+        .map(({ user, zoneId, assignedAt, assignedBy }) => ({ user, zoneId, assignedAt, assignedBy }));
+    } catch (error) {
+      throw new GoogleSheetsError(`Failed to get zone assignments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Assign auditors to zones of an inventory in progress; zone null unassigns the user
+   * @param {Object} inventory - Inventory (from findInventoryById)
+   * @param {Array} assignments - [{ user, zone }]
+   * @param {string} assignedBy - Supervisor making the change
+   * @returns {Promise<Array>} - The inventory's assignments after the change
+   */
+  async assignUsers(inventory, assignments, assignedBy) {
+    try {
+      if (!Array.isArray(assignments) || assignments.length === 0) {
+        throw new ValidationError('assignments must be a non-empty array of { user, zone }');
+      }
+      if (assignments.length > this.maxAssignments) {
+        throw new ValidationError(`At most ${this.maxAssignments} assignments can be changed at once, got ${assignments.length}`);
+      }
+      if (!OPEN_STATUSES.includes(inventory.status)) {
+        throw new ValidationError(`Inventory ${inventory.inventoryId} is ${inventory.status}; zones can only be assigned while it is in progress`);
+      }
+
+      const zones = await this.getZones(inventory.agency);
+      if (zones.length === 0) {
+        throw new ValidationError(`${inventory.agency} has no zones. Define them through PUT /api/locations/:id first.`);
+      }
+
+      const zoneIds = new Set(zones.map(zone => zone.id));
+      const errors = [];
+      assignments.forEach((assignment, index) => {
+        if (!assignment || typeof assignment.user !== 'string' || !assignment.user.trim()) {
+          errors.push(`Assignment ${index + 1}: user is required`);
+        } else if (assignment.zone !== null && !zoneIds.has(assignment.zone)) {
+          errors.push(`Assignment ${index + 1}: unknown zone ${assignment.zone}. Must be one of ${Array.from(zoneIds).join(', ')} or null`);
+        }
+      });
+      if (errors.length > 0) {
+        throw new ValidationError(`Invalid zone assignments: ${errors.join('; ')}`, errors);
+      }
+
+      await storage.ensureSheetExists(this.sheetName);
+      const assignedAt = new Date().toISOString();
+      await storage.appendRows(this.sheetName, assignments.map(assignment => [
+        inventory.inventoryId,
+        inventory.agency,
+        assignment.zone || '',
+        assignment.user.trim(),
+        assignedAt,
+        assignedBy
+      ]));
+
+      console.log(`🗺️ Updated ${assignments.length} zone assignments of ${inventory.inventoryId} (${inventory.agency})`);
+      return this.getAssignments(inventory);
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to assign zones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the function that attributes a scan to a zone of an inventory
+   * The function throws a ValidationError when the scan names a zone the location does not have
+   * @returns {Promise<Function>} - ({ zone, ubicaciones, user }) => zone id ('' when none applies)
+   */
+  async getZoneResolver(agency, inventory) {
+    const zones = await this.getZones(agency);
+    if (zones.length === 0) {
+      return ({ zone }) => {
+        if (zone) {
+          throw new ValidationError(`${agency} has no zones; got zone ${zone}`);
+        }
+        return '';
+      };
+    }
+
+    const zoneIds = new Set(zones.map(zone => zone.id));
+    const ubicacionIndex = this.buildUbicacionIndex(zones);
+    const assignedZones = new Map((await this.getAssignments(inventory)).map(assignment => [assignment.user, assignment.zoneId]));
+
+    return ({ zone, ubicaciones, user }) => {
+      if (zone) {
+        if (!zoneIds.has(zone)) {
+          throw new ValidationError(`Unknown zone ${zone} for ${agency}. Must be one of ${Array.from(zoneIds).join(', ')}`);
+        }
+        return zone;
+      }
+      return ubicacionIndex.get(reconciliationService.normalizeUbicacion(ubicaciones)) || assignedZones.get(user) || '';
+    };
+  }
+
+  /**
+   * Expected vs scanned vehicles per zone of an inventory
+   * Expected counts come from the month's uploaded QR CSV (by ubicación); they are null when none was uploaded
+   * Scans saved before zones existed are attributed by their ubicación
+   */
+  async getProgress(inventory) {
+    try {
+      const agency = inventory.agency;
+      const month = inventoryService.getMonthNumber(inventory.month);
+      const zones = await this.getZones(agency);
+      const ubicacionIndex = this.buildUbicacionIndex(zones);
+      const zoneOf = (ubicaciones) => ubicacionIndex.get(reconciliationService.normalizeUbicacion(ubicaciones)) || '';
+
+      const [expected, scans, assignments] = await Promise.all([
+        reconciliationService.getExpectedStock(agency, month, inventory.year),
+        reconciliationService.getInventoryScans(agency, inventory),
+        this.getAssignments(inventory)
+      ]);
+
+      // Counts keyed by zone id; '' collects vehicles outside every zone
+      const counts = new Map([...zones.map(zone => [zone.id, { expected: 0, scanned: 0 }]), ['', { expected: 0, scanned: 0 }]]);
+      if (expected) {
+        expected.vehicles.forEach(vehicle => counts.get(zoneOf(vehicle.ubicaciones)).expected++);
+      }
+      scans.forEach(scan => {
+        const zoneId = scan.zone && counts.has(scan.zone) ? scan.zone : zoneOf(scan.ubicaciones);
+        counts.get(zoneId).scanned++;
+      });
+
+      const toProgress = ({ expected: expectedCount, scanned }) => ({
+        expected: expected ? expectedCount : null,
+        scanned,
+        remaining: expected ? Math.max(0, expectedCount - scanned) : null,
+        percent: expected && expectedCount > 0 ? Math.min(100, Math.round((scanned / expectedCount) * 100)) : null
+      });
+
+      return {
+        agency,
+        inventoryId: inventory.inventoryId,
+        month: inventory.month,
+        year: inventory.year,
+        status: inventory.status,
+        expectedUploadId: expected ? expected.uploadId : null,
+        zones: zones.map(zone => ({
+          zoneId: zone.id,
+          name: zone.name,
+          assignees: assignments.filter(assignment => assignment.zoneId === zone.id).map(assignment => assignment.user),
+          ...toProgress(counts.get(zone.id))
+        })),
+        unzoned: toProgress(counts.get('')),
+        totals: toProgress({ expected: expected ? expected.vehicles.length : 0, scanned: scans.length })
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof GoogleSheetsError) {
+        throw error;
+      }
+      throw new GoogleSheetsError(`Failed to get zone progress: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send an inventory's zone progress to its WebSocket room (empty rooms and locations without zones are skipped)
+   * Runs after the response; failures are only logged
+   * @param {string} month - Month as the room is keyed by the caller's other notifications
+   */
+  async broadcastProgress(agency, month, year, inventoryId) {
+    try {
+      if (!inventoryId || websocketService.getUsersInRoom(agency, month, year).length === 0) return false;
+
+      const zones = await this.getZones(agency);
+      if (zones.length === 0) return false;
+
+      const inventory = await inventoryService.getInventoryById(agency, inventoryId);
+      if (!inventory) return false;
+
+      const progress = await this.getProgress(inventory);
+      return websocketService.notifyZoneProgress(agency, month, year, progress);
+    } catch (error) {
+      console.error(`❌ Failed to broadcast zone progress of ${inventoryId}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new ZoneService();
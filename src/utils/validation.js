@@ -1,6 +1,10 @@
 /**
  * Validation utilities for the inventory system
  */
+const conditionConfig = require('../config/condition');
+const policyConfig = require('../config/inventoryPolicy');
+const locationConfig = require('../config/locations');
+const identifierConfig = require('../config/identifierTypes');
 
 /**
  * Validates barcode format (8 digits)
@@ -12,12 +16,46 @@ const validateBarcode = (code) => {
 };
 
 /**
- * Validates serie format (17 alphanumeric characters)
+ * Validates serie format (ISO 3779 VIN: 17 letters and digits, without I, O and Q)
  * @param {string} serie - Serie to validate
  * @returns {boolean} - True if valid, false otherwise
  */
 const validateSerie = (serie) => {
-  return /^[A-Z0-9]{17}$/i.test(serie);
+  return /^[A-HJ-NPR-Z0-9]{17}$/i.test(serie);
+};
+
+// Value of each VIN letter in the check digit sum (digits count as themselves)
+const VIN_LETTER_VALUES = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+
+// Weight of each VIN position; the check digit itself (9th) weighs 0
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+/**
+ * Computes the check digit of a VIN (North American rule: weighted sum modulo 11, 10 written as X)
+ * @param {string} vin - VIN in serie format
+ * @returns {string} - Expected 9th character
+ */
+const computeVinCheckDigit = (vin) => {
+  const sum = vin.toUpperCase().split('').reduce((total, char, index) => {
+    const value = /\d/.test(char) ? parseInt(char) : VIN_LETTER_VALUES[char];
+    return total + value * VIN_WEIGHTS[index];
+  }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : remainder.toString();
+};
+
+/**
+ * Validates the check digit (9th character) of a VIN
+ * @param {string} vin - VIN to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+const validateVinCheckDigit = (vin) => {
+  return validateSerie(vin) && computeVinCheckDigit(vin) === vin[8].toUpperCase();
 };
 
 /**
@@ -58,6 +96,21 @@ const validateEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Validates an IANA timezone name (e.g. "America/Mexico_City")
+ * @param {string} timeZone - Timezone to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+const validateTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 /**
  * Validates timestamp format (ISO string)
  * @param {string} timestamp - Timestamp to validate
@@ -68,44 +121,70 @@ const validateTimestamp = (timestamp) => {
   return !isNaN(date.getTime());
 };
 
+/**
+ * Normalize a scan code with the rules of an identifier type (surrounding spaces are always trimmed)
+ * @param {string} code - Code as scanned or typed
+ * @param {Object} type - Identifier type ({ normalize: [rule] })
+ * @returns {string} - Normalized code
+ */
+const normalizeIdentifier = (code, type) => {
+  return (type.normalize || []).reduce(
+    (value, rule) => identifierConfig.normalizations[rule](value),
+    (code || '').toString().trim()
+  );
+};
+
+/**
+ * Detect the identifier type of a scan code
+ * Types are tried by priority (lowest first); the first whose pattern matches the normalized code wins
+ * @param {string} code - Code as scanned or typed
+ * @param {Array} identifierTypes - [{ id, name, pattern, normalize, priority }]
+ * @returns {Object|null} - { type, code (normalized) }, null when no type matches
+ */
+const detectIdentifierType = (code, identifierTypes = identifierConfig.defaultTypes) => {
+  const types = [...identifierTypes].sort((a, b) => a.priority - b.priority);
+  for (const type of types) {
+    const normalized = normalizeIdentifier(code, type);
+    if (normalized && new RegExp(type.pattern).test(normalized)) {
+      return { type, code: normalized };
+    }
+  }
+  return null;
+};
+
 /**
  * Comprehensive validation for scan data
+ * The code must match one of the location's identifier types; car data, when sent, must carry a valid serie
  * @param {Object} scanData - Scan data to validate
+ * @param {Array} identifierTypes - The location's identifier types (defaults: VIN and 8-digit barcode)
  * @returns {Object} - Validation result with success and errors
  */
-const validateScanData = (scanData) => {
+const validateScanData = (scanData, identifierTypes = identifierConfig.defaultTypes) => {
   const errors = [];
 
   if (!validateAgency(scanData.agency)) {
     errors.push('Invalid agency name');
   }
 
-  // Validate code - can be either barcode (8 digits) or serie (17 alphanumeric)
-  if (scanData.code) {
-    // Check if it's a QR scan with serie data
-    if (scanData.carData?.serie) {
-      if (!validateSerie(scanData.carData.serie)) {
-        errors.push('Serie must be exactly 17 alphanumeric characters');
-      }
-    } else {
-      // Legacy barcode validation
-      if (!validateBarcode(scanData.code)) {
-        errors.push('Code must be either 8-digit barcode or 17-character serie');
-      }
-    }
-  } else {
-    errors.push('Code or serie is required');
+  if (scanData.code === undefined || scanData.code === null || !scanData.code.toString().trim()) {
+    errors.push('Code is required');
+  } else if (!detectIdentifierType(scanData.code, identifierTypes)) {
+    const names = identifierTypes.map(type => type.name).join(', ');
+    errors.push(`Code ${scanData.code} does not match any identifier type of this location (${names})`);
   }
 
-  if (scanData.month && !validateMonth(scanData.month)) {
-    errors.push('Month must be in MM format (01-12)');
+  if (scanData.month && !validateMonth(scanData.month.toString().padStart(2, '0'))) {
+    errors.push('Month must be between 1 and 12');
   }
 
-  if (scanData.year && !validateYear(scanData.year)) {
+  if (scanData.year && !validateYear(parseInt(scanData.year, 10))) {
     errors.push('Year must be between 2020 and next year');
   }
 
-  if (!validateEmail(scanData.user)) {
+  // Tokens without an email claim identify the user by subject
+  if (typeof scanData.user !== 'string' || !scanData.user.trim()) {
+    errors.push('User is required');
+  } else if (scanData.user.includes('@') && !validateEmail(scanData.user)) {
     errors.push('Invalid user email format');
   }
 
@@ -117,11 +196,12 @@ const validateScanData = (scanData) => {
     errors.push('User name is required');
   }
 
-  // Validate car data if present (for QR scans)
+  // Car data comes from QR codes and CSV rows; only its serie is required
   if (scanData.carData) {
-    const carValidation = validateCSVRowData(scanData.carData);
-    if (!carValidation.isValid) {
-      errors.push(...carValidation.errors);
+    if (typeof scanData.carData !== 'object') {
+      errors.push('carData must be an object');
+    } else if (scanData.carData.serie && !validateSerie(scanData.carData.serie)) {
+      errors.push('Serie must be a 17-character VIN (letters I, O and Q are not allowed)');
     }
   }
 
@@ -180,7 +260,7 @@ const validateQRData = (qrData) => {
   if (!qrData.serie || typeof qrData.serie !== 'string') {
     errors.push('Serie is required');
   } else if (!validateSerie(qrData.serie)) {
-    errors.push('Serie must be exactly 17 alphanumeric characters');
+    errors.push('Serie must be a 17-character VIN (letters I, O and Q are not allowed)');
   }
 
   if (!qrData.marca || typeof qrData.marca !== 'string') {
@@ -220,7 +300,7 @@ const validateCSVRowData = (rowData) => {
   if (!rowData.serie || typeof rowData.serie !== 'string') {
     errors.push('Serie is required');
   } else if (!validateSerie(rowData.serie)) {
-    errors.push('Serie must be exactly 17 alphanumeric characters');
+    errors.push('Serie must be a 17-character VIN (letters I, O and Q are not allowed)');
   }
 
   if (!rowData.marca || typeof rowData.marca !== 'string') {
@@ -241,16 +321,276 @@ const validateCSVRowData = (rowData) => {
   };
 };
 
+/**
+ * Comprehensive validation for a vehicle condition report
+ * @param {Object} condition - { damages: [{ panel, code }], notes, mileage, keysPresent, fuelLevel }
+ * @returns {Object} - Validation result with success and errors
+ */
+const validateConditionReport = (condition) => {
+  const errors = [];
+
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return { isValid: false, errors: ['Condition must be an object'] };
+  }
+
+  if (condition.damages !== undefined) {
+    if (!Array.isArray(condition.damages)) {
+      errors.push('Damages must be an array of { panel, code }');
+    } else {
+      condition.damages.forEach((damage, index) => {
+        if (!damage || !conditionConfig.panels.includes(damage.panel)) {
+          errors.push(`Damage ${index + 1}: panel must be one of ${conditionConfig.panels.join(', ')}`);
+        }
+        if (!damage || !conditionConfig.damageCodes[damage.code]) {
+          errors.push(`Damage ${index + 1}: code must be one of ${Object.keys(conditionConfig.damageCodes).join(', ')}`);
+        }
+      });
+    }
+  }
+
+  if (condition.notes !== undefined && condition.notes !== null) {
+    if (typeof condition.notes !== 'string') {
+      errors.push('Notes must be a string');
+    } else if (condition.notes.length > conditionConfig.maxNotesLength) {
+      errors.push(`Notes must be at most ${conditionConfig.maxNotesLength} characters`);
+    }
+  }
+
+  if (condition.mileage !== undefined && condition.mileage !== null) {
+    if (!Number.isInteger(condition.mileage) || condition.mileage < 0) {
+      errors.push('Mileage must be a non-negative whole number');
+    }
+  }
+
+  if (condition.keysPresent !== undefined && condition.keysPresent !== null && typeof condition.keysPresent !== 'boolean') {
+    errors.push('keysPresent must be true or false');
+  }
+
+  if (condition.fuelLevel !== undefined && condition.fuelLevel !== null && !conditionConfig.fuelLevels.includes(condition.fuelLevel)) {
+    errors.push(`Fuel level must be one of ${conditionConfig.fuelLevels.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// "HH:MM", 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validates the overrides of a location's inventory policy (every field is optional)
+ * @param {Object} policy - { maxInventoriesPerPeriod, period, allowedDays, startWindow: { from, to }, maxActiveInventories,
+ *   staleAfterHours, staleAction }
+ * @returns {Object} - Validation result with success and errors
+ */
+const validateInventoryPolicy = (policy) => {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return { isValid: false, errors: ['Policy must be an object'] };
+  }
+
+  const unknown = Object.keys(policy).filter(key => !(key in policyConfig.defaultPolicy));
+  if (unknown.length > 0) {
+    errors.push(`Unknown policy fields: ${unknown.join(', ')}`);
+  }
+
+  const isLimit = (value) => Number.isInteger(value) && value >= 1 && value <= policyConfig.maxLimit;
+
+  if (policy.maxInventoriesPerPeriod !== undefined && !isLimit(policy.maxInventoriesPerPeriod)) {
+    errors.push(`maxInventoriesPerPeriod must be a whole number between 1 and ${policyConfig.maxLimit}`);
+  }
+
+  if (policy.period !== undefined && !policyConfig.periods.includes(policy.period)) {
+    errors.push(`period must be one of ${policyConfig.periods.join(', ')}`);
+  }
+
+  if (policy.allowedDays !== undefined) {
+    if (!Array.isArray(policy.allowedDays) || policy.allowedDays.some(day => !policyConfig.weekdays.includes(day))) {
+      errors.push(`allowedDays must be a list of ${policyConfig.weekdays.join(', ')}`);
+    }
+  }
+
+  if (policy.startWindow !== undefined && policy.startWindow !== null) {
+    const window = policy.startWindow;
+    if (typeof window !== 'object' || !TIME_PATTERN.test(window.from) || !TIME_PATTERN.test(window.to)) {
+      errors.push('startWindow must be { from: "HH:MM", to: "HH:MM" }');
+    } else if (window.from >= window.to) {
+      errors.push('startWindow.from must be earlier than startWindow.to');
+    }
+  }
+
+  if (policy.maxActiveInventories !== undefined && policy.maxActiveInventories !== null && !isLimit(policy.maxActiveInventories)) {
+    errors.push(`maxActiveInventories must be null or a whole number between 1 and ${policyConfig.maxLimit}`);
+  }
+
+  if (policy.staleAfterHours !== undefined) {
+    const hours = policy.staleAfterHours;
+    if (!Number.isInteger(hours) || hours < 1 || hours > policyConfig.maxStaleAfterHours) {
+      errors.push(`staleAfterHours must be a whole number between 1 and ${policyConfig.maxStaleAfterHours}`);
+    }
+  }
+
+  if (policy.staleAction !== undefined && !policyConfig.staleActions.includes(policy.staleAction)) {
+    errors.push(`staleAction must be one of ${policyConfig.staleActions.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Zone ids are lowercase slugs, like location ids: "patio-norte"
+const ZONE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Validates the zones of a location
+ * Each ubicación (as written in the QR CSV) may belong to one zone only
+ * @param {Array} zones - [{ id, name, ubicaciones: [string] }]
+ * @returns {Object} - Validation result with success and errors
+ */
+const validateZones = (zones) => {
+  const errors = [];
+
+  if (!Array.isArray(zones)) {
+    return { isValid: false, errors: ['Zones must be an array of { id, name, ubicaciones }'] };
+  }
+  if (zones.length > locationConfig.maxZones) {
+    errors.push(`A location can have at most ${locationConfig.maxZones} zones`);
+  }
+
+  const ids = new Set();
+  const ubicaciones = new Map(); // normalized ubicación -> zone id
+  zones.forEach((zone, index) => {
+    const label = `Zone ${index + 1}`;
+    if (!zone || typeof zone !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (typeof zone.id !== 'string' || !ZONE_ID_PATTERN.test(zone.id)) {
+      errors.push(`${label}: id must use lowercase letters, numbers and hyphens`);
+    } else if (ids.has(zone.id)) {
+      errors.push(`${label}: duplicate id ${zone.id}`);
+    } else {
+      ids.add(zone.id);
+    }
+
+    if (typeof zone.name !== 'string' || !zone.name.trim()) {
+      errors.push(`${label}: name is required`);
+    }
+
+    if (zone.ubicaciones !== undefined) {
+      if (!Array.isArray(zone.ubicaciones) || zone.ubicaciones.some(value => typeof value !== 'string' || !value.trim())) {
+        errors.push(`${label}: ubicaciones must be a list of non-empty strings`);
+      } else {
+        zone.ubicaciones.forEach(value => {
+          const key = value.trim().toLowerCase().replace(/\s+/g, ' ');
+          if (ubicaciones.has(key) && ubicaciones.get(key) !== zone.id) {
+            errors.push(`${label}: ubicación "${value}" already belongs to zone ${ubicaciones.get(key)}`);
+          }
+          ubicaciones.set(key, zone.id);
+        });
+      }
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Identifier type ids are lowercase slugs, like zone ids: "stock-number"
+const IDENTIFIER_TYPE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Validates the identifier types of a location
+ * @param {Array} identifierTypes - [{ id, name, pattern, normalize: [rule], priority }]
+ * @returns {Object} - Validation result with success and errors
+ */
+const validateIdentifierTypes = (identifierTypes) => {
+  const errors = [];
+
+  if (!Array.isArray(identifierTypes)) {
+    return { isValid: false, errors: ['Identifier types must be an array of { id, name, pattern, normalize, priority }'] };
+  }
+  if (identifierTypes.length > identifierConfig.maxTypes) {
+    errors.push(`A location can have at most ${identifierConfig.maxTypes} identifier types`);
+  }
+
+  const rules = Object.keys(identifierConfig.normalizations);
+  const ids = new Set();
+  identifierTypes.forEach((type, index) => {
+    const label = `Identifier type ${index + 1}`;
+    if (!type || typeof type !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    if (typeof type.id !== 'string' || !IDENTIFIER_TYPE_ID_PATTERN.test(type.id)) {
+      errors.push(`${label}: id must use lowercase letters, numbers and hyphens`);
+    } else if (ids.has(type.id)) {
+      errors.push(`${label}: duplicate id ${type.id}`);
+    } else {
+      ids.add(type.id);
+    }
+
+    if (typeof type.name !== 'string' || !type.name.trim()) {
+      errors.push(`${label}: name is required`);
+    }
+
+    if (typeof type.pattern !== 'string' || !type.pattern) {
+      errors.push(`${label}: pattern is required`);
+    } else if (type.pattern.length > identifierConfig.maxPatternLength) {
+      errors.push(`${label}: pattern must be at most ${identifierConfig.maxPatternLength} characters`);
+    } else {
+      try {
+        new RegExp(type.pattern);
+      } catch (error) {
+        errors.push(`${label}: invalid pattern (${error.message})`);
+      }
+    }
+
+    if (type.normalize !== undefined) {
+      if (!Array.isArray(type.normalize) || type.normalize.some(rule => !rules.includes(rule))) {
+        errors.push(`${label}: normalize must be a list of: ${rules.join(', ')}`);
+      }
+    }
+
+    if (!Number.isInteger(type.priority)) {
+      errors.push(`${label}: priority must be an integer`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
 module.exports = {
   validateBarcode,
   validateSerie,
+  computeVinCheckDigit,
+  validateVinCheckDigit,
   validateMonth,
   validateYear,
   validateAgency,
   validateEmail,
   validateTimestamp,
+  validateTimezone,
   validateScanData,
   validateSessionData,
   validateQRData,
-  validateCSVRowData
+  validateCSVRowData,
+  validateConditionReport,
+  validateInventoryPolicy,
+  validateZones,
+  validateIdentifierTypes,
+  normalizeIdentifier,
+  detectIdentifierType
 };